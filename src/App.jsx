@@ -3,6 +3,8 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Layout from './components/Layout';
 import { migrateToZustand } from './utils/migrateData';
 import useUserStore from './store/userStore';
+// Loading the settings applies the learner's memory parameters to scheduling
+import './store/settingsStore';
 
 // Lazy load route components for code splitting
 const Home = lazy(() => import('./screens/Home'));
@@ -12,6 +14,13 @@ const WordsList = lazy(() => import('./screens/WordsList'));
 const Game = lazy(() => import('./screens/Game'));
 const Statistics = lazy(() => import('./screens/Statistics'));
 const TopicDetails = lazy(() => import('./screens/TopicDetails'));
+const Leeches = lazy(() => import('./screens/Leeches'));
+const TypingGame = lazy(() => import('./screens/TypingGame'));
+const QuizGame = lazy(() => import('./screens/QuizGame'));
+const Flashcards = lazy(() => import('./screens/Flashcards'));
+const ListeningGame = lazy(() => import('./screens/ListeningGame'));
+const GrammarDrill = lazy(() => import('./screens/GrammarDrill'));
+const ClozeGame = lazy(() => import('./screens/ClozeGame'));
 
 // Loading fallback component
 const LoadingFallback = () => (
@@ -48,6 +57,13 @@ function App() {
             <Route path="/game" element={<Game />} />
             <Route path="/stats" element={<Statistics />} />
             <Route path="/stats/topic/:topicId" element={<TopicDetails />} />
+            <Route path="/leeches" element={<Leeches />} />
+            <Route path="/typing" element={<TypingGame />} />
+            <Route path="/quiz" element={<QuizGame />} />
+            <Route path="/flashcards" element={<Flashcards />} />
+            <Route path="/listening" element={<ListeningGame />} />
+            <Route path="/grammar" element={<GrammarDrill />} />
+            <Route path="/cloze" element={<ClozeGame />} />
           </Routes>
         </Suspense>
       </Layout>
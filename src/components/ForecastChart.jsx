@@ -0,0 +1,43 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+// Stacked daily bars of upcoming reviews and new words
+const ForecastChart = React.memo(({ data, isDark }) => {
+  return (
+    <ResponsiveContainer width="100%" height={260}>
+      <BarChart data={data}>
+        <CartesianGrid
+          strokeDasharray="3 3"
+          stroke={isDark ? '#334155' : '#e2e8f0'}
+          vertical={false}
+        />
+        <XAxis
+          dataKey="date"
+          stroke={isDark ? '#94a3b8' : '#64748b'}
+          style={{ fontSize: '12px' }}
+          interval="preserveStartEnd"
+        />
+        <YAxis
+          stroke={isDark ? '#94a3b8' : '#64748b'}
+          style={{ fontSize: '12px' }}
+          allowDecimals={false}
+        />
+        <Tooltip
+          contentStyle={{
+            backgroundColor: isDark ? '#1e293b' : '#ffffff',
+            border: `1px solid ${isDark ? '#334155' : '#e2e8f0'}`,
+            borderRadius: '12px'
+          }}
+          cursor={{ fill: isDark ? '#334155' : '#f1f5f9' }}
+        />
+        <Legend wrapperStyle={{ paddingTop: '12px' }} iconType="circle" />
+        <Bar dataKey="reviews" stackId="workload" fill="#6366f1" name="Reviews" />
+        <Bar dataKey="newWords" stackId="workload" fill="#f59e0b" name="New Words" radius={[6, 6, 0, 0]} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+});
+
+ForecastChart.displayName = 'ForecastChart';
+
+export default ForecastChart;
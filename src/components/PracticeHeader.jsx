@@ -0,0 +1,52 @@
+import React from 'react';
+import Button from './Button';
+import Card from './Card';
+
+// Top bar of the one-word-at-a-time practice modes: exit, topic and progress
+const PracticeHeader = React.memo(({ topics, selectedTopic, onTopicChange, position, total, correct, onExit }) => {
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-3">
+      <div className="flex gap-2">
+        <Button variant="secondary" size="sm" onClick={onExit} icon="←">
+          End Practice
+        </Button>
+        {topics.length > 0 && (
+          <select
+            value={selectedTopic || ''}
+            onChange={(e) => onTopicChange(e.target.value ? parseInt(e.target.value) : null)}
+            aria-label="Topic"
+            className="px-3 py-2 rounded-xl border-2 border-slate-200 dark:border-slate-600 focus:border-primary-500 focus:outline-none transition-colors bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 text-sm"
+          >
+            <option value="">All Topics</option>
+            {topics.map(topic => (
+              <option key={topic.id} value={topic.id}>
+                {topic.emoji} {topic.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className="flex gap-2 sm:gap-4">
+        <Card className="px-4 py-2">
+          <div className="text-center">
+            <div className="text-xs text-slate-500 dark:text-slate-400">Word</div>
+            <div className="text-lg font-bold text-primary-600 dark:text-primary-400">
+              {Math.min(position, total)}/{total}
+            </div>
+          </div>
+        </Card>
+        <Card className="px-4 py-2">
+          <div className="text-center">
+            <div className="text-xs text-slate-500 dark:text-slate-400">Correct</div>
+            <div className="text-lg font-bold text-emerald-600 dark:text-emerald-400">{correct}</div>
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+});
+
+PracticeHeader.displayName = 'PracticeHeader';
+
+export default PracticeHeader;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import Button from './Button';
+import Card from './Card';
+
+// End-of-session results of a practice mode, with the words that were missed
+const PracticeSummary = React.memo(({ title, results, wordsById, onRestart, onHome }) => {
+  const correct = results.filter(r => r.isCorrect).length;
+  const accuracy = results.length > 0 ? Math.round((correct / results.length) * 100) : 0;
+  const points = results.reduce((sum, r) => sum + r.points, 0);
+  const missed = results.filter(r => !r.isCorrect).map(r => wordsById.get(r.wordId)).filter(Boolean);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      className="max-w-2xl mx-auto"
+    >
+      <Card className="card-glass border-0 p-6 sm:p-10 space-y-6">
+        <div className="text-center">
+          <div className="text-6xl mb-3">{accuracy >= 80 ? '🏆' : accuracy >= 50 ? '💪' : '📚'}</div>
+          <h2 className="text-3xl sm:text-4xl font-black text-slate-900 dark:text-white">{title}</h2>
+          <p className="text-slate-600 dark:text-slate-300 mt-2">
+            {correct} of {results.length} right
+          </p>
+        </div>
+
+        <div className="grid grid-cols-3 gap-4">
+          <Card className="glass p-4 text-center">
+            <p className="text-xs uppercase tracking-wide text-slate-500 dark:text-slate-400">Accuracy</p>
+            <p className="text-2xl font-bold text-emerald-600 dark:text-emerald-300">{accuracy}%</p>
+          </Card>
+          <Card className="glass p-4 text-center">
+            <p className="text-xs uppercase tracking-wide text-slate-500 dark:text-slate-400">Points</p>
+            <p className="text-2xl font-bold text-indigo-600 dark:text-indigo-300">{points}</p>
+          </Card>
+          <Card className="glass p-4 text-center">
+            <p className="text-xs uppercase tracking-wide text-slate-500 dark:text-slate-400">Missed</p>
+            <p className="text-2xl font-bold text-rose-600 dark:text-rose-300">{missed.length}</p>
+          </Card>
+        </div>
+
+        {missed.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-sm font-bold text-slate-700 dark:text-slate-300">Worth another look</p>
+            {missed.map(word => (
+              <div
+                key={word.id}
+                className="flex justify-between gap-4 px-4 py-2 rounded-xl bg-rose-50 dark:bg-rose-900/20 text-sm"
+              >
+                <span className="font-bold text-slate-900 dark:text-slate-100">{word.word}</span>
+                <span className="text-slate-600 dark:text-slate-300 text-right">{word.meaning}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex flex-col sm:flex-row gap-3">
+          <Button onClick={onRestart} variant="primary" size="md" fullWidth>
+            Practice Again
+          </Button>
+          <Button onClick={onHome} variant="secondary" size="md" fullWidth>
+            Home
+          </Button>
+        </div>
+      </Card>
+    </motion.div>
+  );
+});
+
+PracticeSummary.displayName = 'PracticeSummary';
+
+export default PracticeSummary;
@@ -4,6 +4,7 @@ import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Responsi
 // Custom tooltip to format percentages to 2 decimal places
 const CustomTooltip = ({ active, payload, label, isDark }) => {
   if (active && payload && payload.length) {
+    const point = payload[0].payload;
     return (
       <div 
         style={{
@@ -14,11 +15,14 @@ const CustomTooltip = ({ active, payload, label, isDark }) => {
         }}
       >
         <p className="text-sm font-semibold mb-2">{label}</p>
-        {payload.map((entry, index) => (
+        {payload.filter(entry => entry.value != null).map((entry, index) => (
           <p key={index} style={{ color: entry.color }} className="text-sm">
             {`${entry.name}: ${entry.value.toFixed(2)}%`}
           </p>
         ))}
+        <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+          {point.reviews} reviews · {point.newWords} new words
+        </p>
       </div>
     );
   }
@@ -67,6 +71,7 @@ const ProgressChart = React.memo(({ data, isDark }) => {
           fillOpacity={1} 
           fill="url(#colorAccuracy)"
           name="Accuracy %"
+          connectNulls
         />
         <Area 
           type="monotone" 
@@ -76,6 +81,7 @@ const ProgressChart = React.memo(({ data, isDark }) => {
           fillOpacity={1} 
           fill="url(#colorMastery)"
           name="Mastery %"
+          connectNulls
         />
       </AreaChart>
     </ResponsiveContainer>
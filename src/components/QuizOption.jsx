@@ -0,0 +1,44 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+
+export const OPTION_KEYS = ['1', '2', '3', '4'];
+
+// One answer of a multiple-choice question, marked right or wrong once answered
+const QuizOption = React.memo(({ option, label, index, chosenId, answerId, onChoose }) => {
+  const isAnswered = chosenId != null;
+  const isAnswer = option.id === answerId;
+  const isChosen = option.id === chosenId;
+
+  let stateClasses = 'border-slate-200 dark:border-slate-700 hover:border-indigo-400 dark:hover:border-indigo-500';
+  if (isAnswered && isAnswer) {
+    stateClasses = 'border-emerald-500 bg-emerald-50 dark:bg-emerald-900/20';
+  } else if (isChosen) {
+    stateClasses = 'border-rose-500 bg-rose-50 dark:bg-rose-900/20';
+  } else if (isAnswered) {
+    stateClasses = 'border-slate-200 dark:border-slate-700 opacity-60';
+  }
+
+  return (
+    <motion.button
+      type="button"
+      whileTap={!isAnswered ? { scale: 0.97 } : undefined}
+      onClick={() => onChoose(option)}
+      disabled={isAnswered}
+      className={`
+        w-full flex items-center gap-4 px-5 py-4 rounded-2xl border-2 text-left transition-colors
+        bg-white dark:bg-slate-800 ${stateClasses}
+      `}
+    >
+      <span className="flex-shrink-0 w-8 h-8 rounded-lg bg-slate-100 dark:bg-slate-700 text-slate-600 dark:text-slate-300 text-sm font-bold flex items-center justify-center">
+        {OPTION_KEYS[index]}
+      </span>
+      <span className="text-lg font-semibold text-slate-800 dark:text-slate-200">{label}</span>
+      {isAnswered && isAnswer && <span className="ml-auto" aria-label="Right answer">✅</span>}
+      {isChosen && !isAnswer && <span className="ml-auto" aria-label="Your answer">❌</span>}
+    </motion.button>
+  );
+});
+
+QuizOption.displayName = 'QuizOption';
+
+export default QuizOption;
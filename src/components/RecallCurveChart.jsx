@@ -0,0 +1,45 @@
+import React from 'react';
+import { ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+// Observed recall per elapsed-time bucket against the fitted and default forgetting curves
+const RecallCurveChart = React.memo(({ data, isDark }) => {
+  return (
+    <ResponsiveContainer width="100%" height={280}>
+      <ComposedChart data={data}>
+        <CartesianGrid
+          strokeDasharray="3 3"
+          stroke={isDark ? '#334155' : '#e2e8f0'}
+          vertical={false}
+        />
+        <XAxis
+          dataKey="label"
+          stroke={isDark ? '#94a3b8' : '#64748b'}
+          style={{ fontSize: '12px' }}
+        />
+        <YAxis
+          stroke={isDark ? '#94a3b8' : '#64748b'}
+          style={{ fontSize: '12px' }}
+          domain={[0, 100]}
+          tickFormatter={(value) => `${value}%`}
+        />
+        <Tooltip
+          contentStyle={{
+            backgroundColor: isDark ? '#1e293b' : '#ffffff',
+            border: `1px solid ${isDark ? '#334155' : '#e2e8f0'}`,
+            borderRadius: '12px'
+          }}
+          formatter={(value, name) => [`${value}%`, name]}
+          labelFormatter={(label) => `${label} stability since last review`}
+        />
+        <Legend wrapperStyle={{ paddingTop: '12px' }} iconType="circle" />
+        <Line type="monotone" dataKey="standard" stroke="#94a3b8" strokeDasharray="5 5" strokeWidth={2} dot={false} name="Default curve" />
+        <Line type="monotone" dataKey="fitted" stroke="#6366f1" strokeWidth={3} dot={false} name="Your curve" />
+        <Line dataKey="observed" stroke="none" fill="#10b981" dot={{ r: 5, fill: '#10b981' }} activeDot={{ r: 7 }} name="Observed recall" />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+});
+
+RecallCurveChart.displayName = 'RecallCurveChart';
+
+export default RecallCurveChart;
@@ -0,0 +1,34 @@
+import React, { useCallback } from 'react';
+import { Volume2 } from 'lucide-react';
+import useSpeech from '../hooks/useSpeech';
+import { hapticLight } from '../utils/haptic';
+
+// Speaker button that reads a word aloud; hidden where the browser can't speak
+const SpeakButton = React.memo(({ word, className = '' }) => {
+  const { isSupported, speakWord } = useSpeech();
+
+  const handleClick = useCallback((e) => {
+    // Cards underneath (e.g. in the match game) must not see the click
+    e.stopPropagation();
+    hapticLight();
+    speakWord(word);
+  }, [speakWord, word]);
+
+  if (!isSupported) return null;
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      aria-label={`Pronounce ${word.word}`}
+      title="Pronounce"
+      className={`p-2 rounded-full text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-indigo-900/30 transition-colors ${className}`}
+    >
+      <Volume2 className="w-5 h-5" />
+    </button>
+  );
+});
+
+SpeakButton.displayName = 'SpeakButton';
+
+export default SpeakButton;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { hapticLight } from '../utils/haptic';
+
+// Pill selector for a small set of options, e.g. the chart time window (7/30/90/365 days)
+const WindowSelector = React.memo(({ options, value, onChange, formatLabel = (days) => `${days}d`, label = 'Time range' }) => {
+  return (
+    <div className="flex justify-center gap-2" role="group" aria-label={label}>
+      {options.map((option) => (
+        <button
+          key={option}
+          type="button"
+          onClick={() => {
+            hapticLight();
+            onChange(option);
+          }}
+          aria-pressed={value === option}
+          className={`
+            px-4 py-1.5 rounded-full text-sm font-bold transition-colors duration-200
+            ${value === option
+              ? 'bg-gradient-to-r from-indigo-500 to-purple-600 text-white shadow'
+              : 'bg-slate-100 dark:bg-slate-800 text-slate-700 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-700'
+            }
+          `}
+        >
+          {formatLabel(option)}
+        </button>
+      ))}
+    </div>
+  );
+});
+
+WindowSelector.displayName = 'WindowSelector';
+
+export default WindowSelector;
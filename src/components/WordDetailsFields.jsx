@@ -0,0 +1,117 @@
+import React, { useCallback } from 'react';
+import {
+  PARTS_OF_SPEECH,
+  MAX_EXAMPLES,
+  MAX_EXAMPLE_LENGTH,
+  MAX_NOTES_LENGTH,
+  MAX_SOURCE_LENGTH
+} from '../utils/wordSchema';
+
+export const EMPTY_WORD_DETAILS = { partOfSpeech: '', examples: [], notes: '', source: '' };
+
+const inputClassName = 'w-full px-4 py-2 rounded-xl border-2 border-slate-200 dark:border-slate-600 focus:border-indigo-500 focus:outline-none transition-colors bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100';
+
+const labelClassName = 'block text-sm font-semibold text-slate-700 dark:text-slate-300';
+
+// Optional word fields of the rich schema: part of speech, examples, notes and source
+const WordDetailsFields = React.memo(({ value, onChange }) => {
+  const update = useCallback((changes) => onChange({ ...value, ...changes }), [value, onChange]);
+
+  const updateExample = (index, changes) => update({
+    examples: value.examples.map((example, i) => (i === index ? { ...example, ...changes } : example))
+  });
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <label htmlFor="word-part-of-speech" className={labelClassName}>Part of speech</label>
+        <select
+          id="word-part-of-speech"
+          value={value.partOfSpeech || ''}
+          onChange={(e) => update({ partOfSpeech: e.target.value })}
+          className={inputClassName}
+        >
+          <option value="">Not set</option>
+          {PARTS_OF_SPEECH.map(part => (
+            <option key={part} value={part}>{part}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="space-y-2">
+        <span className={labelClassName}>Examples</span>
+        {value.examples.map((example, index) => (
+          <div key={index} className="space-y-2 p-3 rounded-xl bg-slate-50 dark:bg-slate-800/50">
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={example.text}
+                onChange={(e) => updateExample(index, { text: e.target.value })}
+                maxLength={MAX_EXAMPLE_LENGTH}
+                placeholder="Sentence using the word"
+                aria-label={`Example ${index + 1}`}
+                className={inputClassName}
+              />
+              <button
+                type="button"
+                onClick={() => update({ examples: value.examples.filter((_, i) => i !== index) })}
+                aria-label={`Remove example ${index + 1}`}
+                className="px-3 rounded-xl text-rose-600 dark:text-rose-400 hover:bg-rose-50 dark:hover:bg-rose-900/30"
+              >
+                ✕
+              </button>
+            </div>
+            <input
+              type="text"
+              value={example.translation}
+              onChange={(e) => updateExample(index, { translation: e.target.value })}
+              maxLength={MAX_EXAMPLE_LENGTH}
+              placeholder="Translation (optional)"
+              aria-label={`Translation of example ${index + 1}`}
+              className={inputClassName}
+            />
+          </div>
+        ))}
+        {value.examples.length < MAX_EXAMPLES && (
+          <button
+            type="button"
+            onClick={() => update({ examples: [...value.examples, { text: '', translation: '' }] })}
+            className="text-sm font-semibold text-indigo-600 dark:text-indigo-400 hover:underline"
+          >
+            + Add an example
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <label htmlFor="word-notes" className={labelClassName}>Notes</label>
+        <textarea
+          id="word-notes"
+          value={value.notes}
+          onChange={(e) => update({ notes: e.target.value })}
+          maxLength={MAX_NOTES_LENGTH}
+          placeholder="Usage, register, false friends…"
+          rows={2}
+          className={`${inputClassName} resize-none`}
+        />
+      </div>
+
+      <div className="space-y-2">
+        <label htmlFor="word-source" className={labelClassName}>Source</label>
+        <input
+          id="word-source"
+          type="text"
+          value={value.source}
+          onChange={(e) => update({ source: e.target.value })}
+          maxLength={MAX_SOURCE_LENGTH}
+          placeholder="Book, course or link where you found it"
+          className={inputClassName}
+        />
+      </div>
+    </div>
+  );
+});
+
+WordDetailsFields.displayName = 'WordDetailsFields';
+
+export default WordDetailsFields;
@@ -0,0 +1,189 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import Button from './Button';
+import WordDetailsFields from './WordDetailsFields';
+import { MAX_WORD_LENGTH, MAX_MEANING_LENGTH, validateWordInput, isSubstantialMeaningChange } from '../utils/wordValidation';
+import { MAX_MEANINGS, MAX_MNEMONIC_LENGTH, buildWordDetails, getMeanings } from '../utils/wordSchema';
+
+const inputClassName = 'w-full px-4 py-2 rounded-xl border-2 border-slate-200 dark:border-slate-600 focus:border-indigo-500 focus:outline-none transition-colors bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100';
+
+const labelClassName = 'block text-sm font-semibold text-slate-700 dark:text-slate-300';
+
+const draftFrom = (word) => ({
+  word: word.word,
+  meanings: getMeanings(word).length > 0 ? getMeanings(word) : [''],
+  topicId: word.topicId,
+  mnemonic: word.mnemonic || '',
+  details: {
+    partOfSpeech: word.partOfSpeech || '',
+    examples: word.examples || [],
+    notes: word.notes || '',
+    source: word.source || ''
+  }
+});
+
+// Form for changing a word in place. Its stats and review history stay
+// unless the learner chooses to start over after changing the meaning.
+const WordEditor = React.memo(({ word, words, topics, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(() => draftFrom(word));
+  const [showDetails, setShowDetails] = useState(false);
+  const [resetChoice, setResetChoice] = useState(null);
+  const [error, setError] = useState('');
+
+  const isMeaningChanged = useMemo(
+    () => isSubstantialMeaningChange(word.meaning, draft.meanings),
+    [word.meaning, draft.meanings]
+  );
+  const hasProgress = (word.correct || 0) + (word.wrong || 0) > 0;
+  // Offered, and ticked until the learner decides, once the meaning is a different one
+  const resetProgress = isMeaningChanged && hasProgress && (resetChoice ?? true);
+
+  const updateMeaning = (index, value) => setDraft(d => ({
+    ...d,
+    meanings: d.meanings.map((m, i) => (i === index ? value : m))
+  }));
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    const validationError = validateWordInput(draft, words, { topicId: draft.topicId, excludeId: word.id });
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    const details = buildWordDetails(draft.details);
+    if (!details.partOfSpeech && word.gender) details.partOfSpeech = 'noun';
+    onSave(word.id, {
+      word: draft.word.trim(),
+      meanings: draft.meanings,
+      topicId: draft.topicId,
+      mnemonic: draft.mnemonic.trim(),
+      ...details
+    }, { resetProgress });
+  }, [draft, words, word.id, word.gender, onSave, resetProgress]);
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="space-y-2">
+        <label htmlFor={`edit-word-${word.id}`} className={labelClassName}>Word</label>
+        <input
+          id={`edit-word-${word.id}`}
+          value={draft.word}
+          onChange={(e) => setDraft(d => ({ ...d, word: e.target.value }))}
+          maxLength={MAX_WORD_LENGTH}
+          autoFocus
+          className={inputClassName}
+        />
+      </div>
+
+      <div className="space-y-2">
+        <span className={labelClassName}>Meaning</span>
+        {draft.meanings.map((meaning, index) => (
+          <div key={index} className="flex gap-2">
+            <input
+              value={meaning}
+              onChange={(e) => updateMeaning(index, e.target.value)}
+              maxLength={MAX_MEANING_LENGTH}
+              aria-label={`Meaning ${index + 1}`}
+              className={inputClassName}
+            />
+            {draft.meanings.length > 1 && (
+              <button
+                type="button"
+                onClick={() => setDraft(d => ({ ...d, meanings: d.meanings.filter((_, i) => i !== index) }))}
+                aria-label={`Remove meaning ${index + 1}`}
+                className="px-3 rounded-xl text-rose-600 dark:text-rose-400 hover:bg-rose-50 dark:hover:bg-rose-900/30"
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+        {draft.meanings.length < MAX_MEANINGS && (
+          <button
+            type="button"
+            onClick={() => setDraft(d => ({ ...d, meanings: [...d.meanings, ''] }))}
+            className="text-sm font-semibold text-indigo-600 dark:text-indigo-400 hover:underline"
+          >
+            + Add another meaning
+          </button>
+        )}
+      </div>
+
+      {topics.length > 0 && (
+        <div className="space-y-2">
+          <label htmlFor={`edit-topic-${word.id}`} className={labelClassName}>Topic</label>
+          <select
+            id={`edit-topic-${word.id}`}
+            value={draft.topicId ?? ''}
+            onChange={(e) => setDraft(d => ({ ...d, topicId: e.target.value ? parseInt(e.target.value) : null }))}
+            className={inputClassName}
+          >
+            {draft.topicId == null && <option value="">No topic</option>}
+            {topics.map(topic => (
+              <option key={topic.id} value={topic.id}>{topic.emoji} {topic.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <label htmlFor={`edit-mnemonic-${word.id}`} className={labelClassName}>Mnemonic</label>
+        <textarea
+          id={`edit-mnemonic-${word.id}`}
+          value={draft.mnemonic}
+          onChange={(e) => setDraft(d => ({ ...d, mnemonic: e.target.value }))}
+          maxLength={MAX_MNEMONIC_LENGTH}
+          placeholder="A story, image or rhyme that helps you remember"
+          rows={2}
+          className={`${inputClassName} resize-none`}
+        />
+      </div>
+
+      <div className="space-y-4">
+        <button
+          type="button"
+          onClick={() => setShowDetails(v => !v)}
+          aria-expanded={showDetails}
+          className="text-sm font-semibold text-slate-600 dark:text-slate-400 hover:text-indigo-600 dark:hover:text-indigo-400"
+        >
+          {showDetails ? '▾' : '▸'} More details: part of speech, examples, notes, source
+        </button>
+        {showDetails && (
+          <WordDetailsFields
+            value={draft.details}
+            onChange={(details) => setDraft(d => ({ ...d, details }))}
+          />
+        )}
+      </div>
+
+      {isMeaningChanged && hasProgress && (
+        <label className="flex items-start gap-3 p-3 rounded-xl bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-800 dark:text-amber-200 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={resetProgress}
+            onChange={(e) => setResetChoice(e.target.checked)}
+            className="mt-0.5 w-4 h-4 accent-indigo-600"
+          />
+          <span>
+            <span className="font-semibold">Start this word over.</span> The meaning changed, so what you learned about the old one may not carry over. Its review history is kept either way.
+          </span>
+        </label>
+      )}
+
+      {error && (
+        <p className="text-rose-700 dark:text-rose-300 text-sm font-medium">❌ {error}</p>
+      )}
+
+      <div className="flex gap-2">
+        <Button type="submit" size="sm" icon="💾">Save</Button>
+        <Button type="button" size="sm" variant="secondary" onClick={onCancel}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+});
+
+WordEditor.displayName = 'WordEditor';
+
+export default WordEditor;
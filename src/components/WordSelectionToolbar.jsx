@@ -0,0 +1,150 @@
+import React, { useState, useCallback } from 'react';
+import Button from './Button';
+import Card from './Card';
+import { MAX_TAG_LENGTH, normalizeTag } from '../utils/wordSchema';
+
+const inputClassName = 'flex-1 min-w-0 px-3 py-2 rounded-xl border-2 border-slate-200 dark:border-slate-600 focus:border-indigo-500 focus:outline-none transition-colors bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100 text-sm';
+
+// Counts and batch actions for the words selected in the word list.
+// Moving, copying and tagging ask for a topic or a tag first.
+const WordSelectionToolbar = React.memo(({
+  selectedCount,
+  shownSelectedCount,
+  resultCount,
+  suspendedCount,
+  topics,
+  notice,
+  onSelectAll,
+  onClear,
+  onMove,
+  onCopy,
+  onTag,
+  onUntag,
+  onSuspend,
+  onReset,
+  onExport,
+  onDelete
+}) => {
+  const [panel, setPanel] = useState(null); // 'move', 'copy' or 'tag'
+  const [targetTopic, setTargetTopic] = useState('');
+  const [tag, setTag] = useState('');
+
+  const togglePanel = useCallback((name) => setPanel(current => (current === name ? null : name)), []);
+
+  const handleTopicAction = useCallback((e) => {
+    e.preventDefault();
+    if (!targetTopic) return;
+    const topicId = parseInt(targetTopic);
+    if (panel === 'move') onMove(topicId);
+    else onCopy(topicId);
+    setPanel(null);
+  }, [targetTopic, panel, onMove, onCopy]);
+
+  const handleTag = useCallback((remove) => {
+    const normalized = normalizeTag(tag);
+    if (!normalized) return;
+    if (remove) onUntag(normalized);
+    else onTag(normalized);
+    setTag('');
+    setPanel(null);
+  }, [tag, onTag, onUntag]);
+
+  const hiddenCount = selectedCount - shownSelectedCount;
+  // Suspend unless everything selected is already suspended
+  const allSuspended = selectedCount > 0 && suspendedCount === selectedCount;
+
+  return (
+    <Card className="card-glass border-0 sticky top-4 z-20 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm text-slate-700 dark:text-slate-300" role="status">
+          <span className="font-black text-indigo-600 dark:text-indigo-400">{selectedCount}</span> selected
+          {hiddenCount > 0 && (
+            <span className="text-slate-500 dark:text-slate-400"> ({hiddenCount} not in these results)</span>
+          )}
+        </p>
+        <div className="flex gap-2">
+          {shownSelectedCount < resultCount && (
+            <Button size="sm" variant="secondary" onClick={onSelectAll}>
+              Select all {resultCount}
+            </Button>
+          )}
+          {selectedCount > 0 && (
+            <Button size="sm" variant="secondary" onClick={onClear}>
+              Clear
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {selectedCount > 0 && (
+        <div className="flex flex-wrap gap-2">
+          <Button size="sm" variant="secondary" icon="📂" onClick={() => togglePanel('move')}>Move</Button>
+          <Button size="sm" variant="secondary" icon="📋" onClick={() => togglePanel('copy')}>Copy</Button>
+          <Button size="sm" variant="secondary" icon="🏷️" onClick={() => togglePanel('tag')}>Tag</Button>
+          <Button
+            size="sm"
+            variant="secondary"
+            icon={allSuspended ? '▶️' : '⏸️'}
+            onClick={() => onSuspend(!allSuspended)}
+          >
+            {allSuspended ? 'Unsuspend' : 'Suspend'}
+          </Button>
+          <Button size="sm" variant="secondary" icon="🔄" onClick={onReset}>Reset</Button>
+          <Button size="sm" variant="secondary" icon="📤" onClick={onExport}>Export</Button>
+          <Button size="sm" variant="danger" icon="🗑️" onClick={onDelete}>Delete</Button>
+        </div>
+      )}
+
+      {selectedCount > 0 && (panel === 'move' || panel === 'copy') && (
+        <form onSubmit={handleTopicAction} className="flex gap-2">
+          <select
+            value={targetTopic}
+            onChange={(e) => setTargetTopic(e.target.value)}
+            aria-label={panel === 'move' ? 'Move to topic' : 'Copy to topic'}
+            className={inputClassName}
+          >
+            <option value="">{panel === 'move' ? 'Move to…' : 'Copy to…'}</option>
+            {topics.map(topic => (
+              <option key={topic.id} value={topic.id}>{topic.emoji} {topic.name}</option>
+            ))}
+          </select>
+          <Button type="submit" size="sm" disabled={!targetTopic}>
+            {panel === 'move' ? `Move ${selectedCount}` : `Copy ${selectedCount}`}
+          </Button>
+        </form>
+      )}
+
+      {selectedCount > 0 && panel === 'tag' && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            handleTag(false);
+          }}
+          className="flex gap-2"
+        >
+          <input
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            maxLength={MAX_TAG_LENGTH}
+            placeholder="Tag, e.g. a1"
+            aria-label="Tag"
+            autoFocus
+            className={inputClassName}
+          />
+          <Button type="submit" size="sm" disabled={!normalizeTag(tag)}>Add</Button>
+          <Button type="button" size="sm" variant="secondary" disabled={!normalizeTag(tag)} onClick={() => handleTag(true)}>
+            Remove
+          </Button>
+        </form>
+      )}
+
+      {notice && (
+        <p className="text-sm font-medium text-emerald-700 dark:text-emerald-300">✅ {notice}</p>
+      )}
+    </Card>
+  );
+});
+
+WordSelectionToolbar.displayName = 'WordSelectionToolbar';
+
+export default WordSelectionToolbar;
@@ -0,0 +1,87 @@
+import { useEffect, useCallback, useMemo } from 'react';
+import useContentStore from '../store/contentStore';
+import useConfusionStore from '../store/confusionStore';
+import { OPTION_KEYS } from '../components/QuizOption';
+import { pickDistractors } from '../utils/distractors';
+import { createConfusionPartners } from '../utils/confusions';
+import { shuffle } from '../utils/random';
+import { hapticSuccess, hapticError } from '../utils/haptic';
+
+/**
+ * Multiple-choice options for the current word of a practice session:
+ * deals the word with its distractors, records the choice and handles
+ * the number keys.
+ *
+ * @param {Object} options
+ * @param {Object|null} options.current - Word being asked
+ * @param {Function} options.answer - The session's answer action
+ * @param {Object} options.thresholds - Response-time thresholds for grading
+ * @param {boolean} options.isAnswered - Whether the current word has been answered
+ * @param {Function} options.onChosen - Called with (option, isCorrect) when an option is picked
+ * @param {Function} options.onNext - Moves on; Enter calls it once the word is answered
+ * @param {boolean} options.isEnabled - Whether the keys pick options (default: true)
+ * @returns {Object} { options, choose }
+ */
+const useChoiceOptions = ({
+  current,
+  answer,
+  thresholds,
+  isAnswered,
+  onChosen,
+  onNext,
+  isEnabled = true
+}) => {
+  const recordConfusion = useConfusionStore(state => state.recordConfusion);
+  const currentId = current?.id;
+
+  // Options are dealt once per word, so answering doesn't reshuffle them
+  const options = useMemo(() => {
+    if (currentId == null) return [];
+    const { words: allWords } = useContentStore.getState();
+    const word = allWords.find(w => w.id === currentId);
+    const candidates = allWords.filter(w => w.topicId != null && !w.suspended);
+    const distractors = pickDistractors(word, candidates, {
+      confusionPartners: createConfusionPartners(useConfusionStore.getState().pairs)
+    });
+    return shuffle([word, ...distractors]);
+  }, [currentId]);
+
+  const choose = useCallback((option) => {
+    if (!current || isAnswered) return;
+
+    const isCorrect = option.id === current.id;
+    onChosen(option, isCorrect);
+    answer(isCorrect, { thresholds });
+
+    if (isCorrect) {
+      hapticSuccess();
+    } else {
+      hapticError();
+      // Picking another word (or its meaning) is the same mix-up as a wrong match
+      recordConfusion(current.id, option.id);
+    }
+  }, [current, isAnswered, onChosen, answer, thresholds, recordConfusion]);
+
+  // Number keys pick an option, Enter moves on once it's answered
+  useEffect(() => {
+    if (!isEnabled) return;
+    const handleKeyDown = (e) => {
+      // A held key would otherwise answer the next word too
+      if (e.repeat) return;
+      if (['SELECT', 'INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      const optionIndex = OPTION_KEYS.indexOf(e.key);
+      if (optionIndex !== -1 && options[optionIndex]) {
+        choose(options[optionIndex]);
+      } else if (e.key === 'Enter' && isAnswered) {
+        e.preventDefault();
+        onNext();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isEnabled, options, isAnswered, choose, onNext]);
+
+  return { options, choose };
+};
+
+export default useChoiceOptions;
@@ -0,0 +1,175 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import useContentStore, { generateUniqueId } from '../store/contentStore';
+import useUserStore from '../store/userStore';
+import { selectWordsForSession } from '../utils/aiWordSelector';
+import { createSchedulerResolver } from '../utils/schedulers';
+import { createNewWordAllowance } from '../utils/learningStages';
+import { gradeAnswer } from '../utils/grading';
+import { DIRECTIONS, resolveDirection } from '../utils/directions';
+import { createRng, randomSeed } from '../utils/random';
+import useSpeech from './useSpeech';
+
+// Words per practice session
+export const PRACTICE_SESSION_SIZE = 10;
+
+// Points for each correct answer
+const POINTS_PER_ANSWER = 20;
+
+/**
+ * One-word-at-a-time practice session shared by the recall modes (typing,
+ * multiple choice, ...). Deals a session with the same smart selection as
+ * the match game and feeds every answer into the same word stats.
+ *
+ * @param {Object} options
+ * @param {string} options.mode - Review mode logged with every answer
+ * @param {number|null} options.topicId - Topic to start with (null: all topics)
+ * @param {string} options.direction - Direction setting to start with ('forward', 'reverse' or 'mixed')
+ * @param {number} options.size - Words per session
+ * @param {Function} options.canPractice - Optional word filter for modes that need extra data
+ * @param {Function} options.recordAnswer - Optional store action taking
+ *   (wordId, isCorrect, review) for modes that don't practise the meaning
+ *   (default: the word's stats)
+ * @returns {Object} Session state and actions
+ */
+const usePracticeSession = ({
+  mode,
+  topicId = null,
+  direction = 'forward',
+  size = PRACTICE_SESSION_SIZE,
+  canPractice = null,
+  recordAnswer = null
+}) => {
+  const words = useContentStore(state => state.words);
+  const topics = useContentStore(state => state.topics);
+  const updateWordStats = useContentStore(state => state.updateWordStats);
+  const record = recordAnswer || updateWordStats;
+  const awardPoints = useUserStore(state => state.awardPoints);
+  const recordMatch = useUserStore(state => state.recordMatch);
+  const incrementGamesPlayed = useUserStore(state => state.incrementGamesPlayed);
+  const { autoPlayWord } = useSpeech();
+
+  const [selectedTopic, setSelectedTopic] = useState(topicId);
+  const [directionSetting, setDirectionSetting] = useState(direction);
+  const [queue, setQueue] = useState([]);
+  const [index, setIndex] = useState(0);
+  const [results, setResults] = useState([]);
+  const [sessionId, setSessionId] = useState(() => generateUniqueId());
+
+  // When the current word was shown, for response times
+  const shownAtRef = useRef(Date.now());
+  // The session's random generator, and the direction setting it deals with
+  const rngRef = useRef(Math.random);
+  const directionSettingRef = useRef(direction);
+
+  // Suspended words (e.g. leeches) sit out like in the match game
+  const isInSession = useCallback((w) => (
+    (selectedTopic ? w.topicId === selectedTopic : w.topicId != null) &&
+    !w.suspended &&
+    (!canPractice || canPractice(w))
+  ), [selectedTopic, canPractice]);
+
+  const pool = useMemo(() => words.filter(isInSession), [words, isInSession]);
+
+  // Reads the stores directly so answering doesn't deal a new session
+  const start = useCallback(() => {
+    const { words: allWords, topics: allTopics } = useContentStore.getState();
+    const candidates = allWords.filter(isInSession);
+    const rng = createRng(randomSeed());
+    rngRef.current = rng;
+
+    const selected = selectWordsForSession(candidates, size, {
+      includeNew: true,
+      balanceChallenge: true,
+      schedulerFor: createSchedulerResolver(allTopics),
+      newWordAllowance: createNewWordAllowance(allTopics, allWords),
+      rng
+    });
+
+    // Mixed sessions draw each word's direction here, once, so it can't
+    // change while the word is on screen
+    setQueue(selected.map(w => ({ wordId: w.id, direction: resolveDirection(directionSettingRef.current, rng) })));
+    setIndex(0);
+    setResults([]);
+    setSessionId(generateUniqueId());
+    shownAtRef.current = Date.now();
+    if (selected.length > 0) incrementGamesPlayed();
+  }, [isInSession, size, incrementGamesPlayed]);
+
+  useEffect(() => {
+    start();
+  }, [start]);
+
+  const wordsById = useMemo(() => new Map(words.map(w => [w.id, w])), [words]);
+  const entry = index < queue.length ? queue[index] : null;
+  const current = entry ? wordsById.get(entry.wordId) || null : null;
+  // Nothing is asked without an entry; 'mixed' then falls back to forward
+  const currentDirection = entry?.direction ?? (directionSetting === DIRECTIONS.REVERSE ? DIRECTIONS.REVERSE : DIRECTIONS.FORWARD);
+  const isFinished = queue.length > 0 && index >= queue.length;
+
+  // A new direction setting applies from the current word on
+  const changeDirectionSetting = useCallback((setting) => {
+    directionSettingRef.current = setting;
+    setDirectionSetting(setting);
+    setQueue(q => q.map((e, i) => (
+      i < index ? e : { ...e, direction: resolveDirection(setting, rngRef.current) }
+    )));
+  }, [index]);
+
+  /**
+   * Record the answer for the current word
+   *
+   * @param {boolean} isCorrect - Whether the answer was right
+   * @param {Object} options - { rating, thresholds, review }; without a rating
+   *   the answer is graded by its response time against thresholds, and
+   *   `review` adds mode-specific fields to the recorded review
+   * @returns {Object} The recorded result
+   */
+  const answer = useCallback((isCorrect, { rating, thresholds, review } = {}) => {
+    if (!current) return null;
+
+    const responseTime = Date.now() - shownAtRef.current;
+    const grade = rating ?? gradeAnswer(isCorrect, responseTime, thresholds);
+
+    record(current.id, isCorrect, { ...review, mode, direction: currentDirection, responseTime, sessionId, rating: grade });
+    recordMatch(isCorrect);
+    if (isCorrect) {
+      awardPoints(POINTS_PER_ANSWER, 0);
+      autoPlayWord(current);
+    }
+
+    const result = {
+      wordId: current.id,
+      isCorrect,
+      rating: grade,
+      direction: currentDirection,
+      points: isCorrect ? POINTS_PER_ANSWER : 0
+    };
+    setResults(prev => [...prev, result]);
+    return result;
+  }, [current, currentDirection, mode, sessionId, record, recordMatch, awardPoints, autoPlayWord]);
+
+  const next = useCallback(() => {
+    setIndex(i => i + 1);
+    shownAtRef.current = Date.now();
+  }, []);
+
+  return {
+    topics,
+    pool,
+    selectedTopic,
+    setSelectedTopic,
+    directionSetting,
+    setDirectionSetting: changeDirectionSetting,
+    direction: currentDirection,
+    current,
+    index,
+    total: queue.length,
+    results,
+    isFinished,
+    answer,
+    next,
+    restart: start,
+  };
+};
+
+export default usePracticeSession;
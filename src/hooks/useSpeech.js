@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import useContentStore from '../store/contentStore';
+import useSettingsStore from '../store/settingsStore';
+import { isSpeechSupported, getTopicLanguage, getVoices, onVoicesChanged, speak } from '../utils/speech';
+
+/**
+ * Pronounce words with the learner's voice and rate settings. Each word is
+ * read in its topic's language.
+ *
+ * @returns {Object} { isSupported, speakWord, autoPlayWord }
+ */
+const useSpeech = () => {
+  const topics = useContentStore(state => state.topics);
+  const speechVoices = useSettingsStore(state => state.speechVoices);
+  const speechRate = useSettingsStore(state => state.speechRate);
+  const autoPlaySpeech = useSettingsStore(state => state.autoPlaySpeech);
+
+  // `rate` overrides the learner's speed, e.g. for a slow replay
+  const speakWord = useCallback((word, { rate = speechRate } = {}) => {
+    if (!word) return false;
+    const language = getTopicLanguage(topics.find(t => t.id === word.topicId));
+    return speak(word.word, { language, voiceURI: speechVoices[language], rate });
+  }, [topics, speechVoices, speechRate]);
+
+  // For matches and correct answers: only speaks when auto-play is on
+  const autoPlayWord = useCallback((word) => (
+    autoPlaySpeech ? speakWord(word) : false
+  ), [autoPlaySpeech, speakWord]);
+
+  return { isSupported: isSpeechSupported(), speakWord, autoPlayWord };
+};
+
+/**
+ * Installed voices, updated once the browser has loaded them
+ *
+ * @returns {Array} SpeechSynthesisVoice list
+ */
+export const useVoices = () => {
+  const [voices, setVoices] = useState(getVoices);
+
+  useEffect(() => onVoicesChanged(setVoices), []);
+
+  return voices;
+};
+
+export default useSpeech;
@@ -1,13 +1,16 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import Button from '../components/Button';
 import Card from '../components/Card';
+import WordDetailsFields, { EMPTY_WORD_DETAILS } from '../components/WordDetailsFields';
 import useContentStore from '../store/contentStore';
+import { normalizeMeaning } from '../utils/ambiguity';
+import { MAX_WORD_LENGTH, MAX_MEANING_LENGTH, validateWordInput } from '../utils/wordValidation';
+import { GENDERS, GENDER_LABELS, buildNounFields, looksLikeNoun, splitArticle } from '../utils/germanNouns';
+import { MAX_MEANINGS, buildWordDetails, joinMeanings } from '../utils/wordSchema';
 
-// Character limits
-const MAX_WORD_LENGTH = 50;
-const MAX_MEANING_LENGTH = 60;
+const EMPTY_NOUN_FIELDS = { gender: '', plural: '', genitive: '' };
 
 const AddWord = () => {
   const navigate = useNavigate();
@@ -18,6 +21,10 @@ const AddWord = () => {
 
   const [word, setWord] = useState('');
   const [meaning, setMeaning] = useState('');
+  const [extraMeanings, setExtraMeanings] = useState([]);
+  const [nounFields, setNounFields] = useState(EMPTY_NOUN_FIELDS);
+  const [details, setDetails] = useState(EMPTY_WORD_DETAILS);
+  const [showDetails, setShowDetails] = useState(false);
   const [selectedTopic, setSelectedTopic] = useState(location.state?.topicId || null);
   const [showSuccess, setShowSuccess] = useState(false);
   const [error, setError] = useState('');
@@ -38,34 +45,35 @@ const AddWord = () => {
     }
   }, [topicIdFromState, navigate]);
 
-  const handleSubmit = useCallback((e) => {
-    e.preventDefault();
-    setError('');
+  const meanings = useMemo(() => [meaning, ...extraMeanings], [meaning, extraMeanings]);
 
-    if (!word.trim() || !meaning.trim()) {
-      setError('Please fill in both fields');
-      return;
-    }
+  // Words in this topic with the same meaning (allowed, but never dealt together)
+  const sameMeaningWords = useMemo(() => {
+    const normalized = normalizeMeaning(joinMeanings(meanings));
+    if (!normalized) return [];
+    return words.filter(w => w.topicId === selectedTopic && normalizeMeaning(w.meaning) === normalized);
+  }, [meanings, words, selectedTopic]);
 
-    // Check character limits
-    if (word.trim().length > MAX_WORD_LENGTH) {
-      setError(`Word must be ${MAX_WORD_LENGTH} characters or less`);
-      return;
-    }
+  const isNoun = looksLikeNoun(word);
+  // An article typed with the word counts until a gender is picked
+  const activeGender = nounFields.gender || splitArticle(word).article;
 
-    if (meaning.trim().length > MAX_MEANING_LENGTH) {
-      setError(`Meaning must be ${MAX_MEANING_LENGTH} characters or less`);
-      return;
-    }
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    setError('');
 
-    // Check if word already exists
-    if (words.some(w => w.word.toLowerCase() === word.trim().toLowerCase())) {
-      setError('This word already exists!');
+    // Required fields, character limits and duplicates within the topic
+    const validationError = validateWordInput({ word, meanings }, words, { topicId: selectedTopic });
+    if (validationError) {
+      setError(validationError);
       return;
     }
 
-    // Add word
-    addWord(word.trim(), meaning.trim(), selectedTopic);
+    // Add word, with its details and its noun grammar if it has any
+    const nounDetails = isNoun ? buildNounFields(word, nounFields) : {};
+    const wordDetails = buildWordDetails(details);
+    if (!wordDetails.partOfSpeech && nounDetails.gender) wordDetails.partOfSpeech = 'noun';
+    addWord(word.trim(), joinMeanings(meanings), selectedTopic, { ...wordDetails, ...nounDetails, meanings });
 
     // Show success animation
     setShowSuccess(true);
@@ -74,7 +82,10 @@ const AddWord = () => {
     // Clear form
     setWord('');
     setMeaning('');
-  }, [word, meaning, words, addWord, selectedTopic]);
+    setExtraMeanings([]);
+    setNounFields(EMPTY_NOUN_FIELDS);
+    setDetails(EMPTY_WORD_DETAILS);
+  }, [word, meanings, words, addWord, selectedTopic, isNoun, nounFields, details]);
 
   return (
     <motion.div
@@ -167,6 +178,106 @@ const AddWord = () => {
               rows={3}
               className="w-full px-4 py-3 rounded-xl border-2 border-slate-200 dark:border-slate-600 focus:border-indigo-500 focus:outline-none transition-colors resize-none bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100"
             />
+            {extraMeanings.map((extra, index) => (
+              <div key={index} className="flex gap-2">
+                <input
+                  type="text"
+                  value={extra}
+                  onChange={(e) => setExtraMeanings(list => list.map((m, i) => (i === index ? e.target.value : m)))}
+                  maxLength={MAX_MEANING_LENGTH}
+                  placeholder="Another meaning..."
+                  aria-label={`Meaning ${index + 2}`}
+                  className="w-full px-4 py-2 rounded-xl border-2 border-slate-200 dark:border-slate-600 focus:border-indigo-500 focus:outline-none transition-colors bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100"
+                />
+                <button
+                  type="button"
+                  onClick={() => setExtraMeanings(list => list.filter((_, i) => i !== index))}
+                  aria-label={`Remove meaning ${index + 2}`}
+                  className="px-3 rounded-xl text-rose-600 dark:text-rose-400 hover:bg-rose-50 dark:hover:bg-rose-900/30"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            {meanings.length < MAX_MEANINGS && (
+              <button
+                type="button"
+                onClick={() => setExtraMeanings(list => [...list, ''])}
+                className="text-sm font-semibold text-indigo-600 dark:text-indigo-400 hover:underline"
+              >
+                + Add another meaning
+              </button>
+            )}
+            {sameMeaningWords.length > 0 && (
+              <p className="text-xs font-medium text-amber-600 dark:text-amber-400">
+                ℹ️ Same meaning as {sameMeaningWords.map(w => `"${w.word}"`).join(', ')}. They won't be dealt on the same board.
+              </p>
+            )}
+          </div>
+
+          {/* Noun Grammar (optional) */}
+          {isNoun && (
+            <div className="space-y-3 p-4 rounded-xl bg-slate-50 dark:bg-slate-800/50">
+              <div>
+                <p className="text-sm font-semibold text-slate-700 dark:text-slate-300">
+                  Noun grammar <span className="font-normal text-slate-500 dark:text-slate-400">(optional)</span>
+                </p>
+                <p className="text-xs text-slate-500 dark:text-slate-400">
+                  Practise these in the grammar drill. Forms can be full ("Häuser") or endings ("¨-er", "-e", "-" for unchanged).
+                </p>
+              </div>
+              <div className="flex gap-2" role="group" aria-label="Gender">
+                {GENDERS.map(gender => (
+                  <button
+                    key={gender}
+                    type="button"
+                    onClick={() => setNounFields(f => ({ ...f, gender: f.gender === gender ? '' : gender }))}
+                    aria-pressed={activeGender === gender}
+                    title={GENDER_LABELS[gender]}
+                    className={`flex-1 px-3 py-2 rounded-xl text-sm font-bold transition-colors ${
+                      activeGender === gender
+                        ? 'bg-gradient-to-r from-indigo-500 to-purple-600 text-white shadow'
+                        : 'bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-300 border-2 border-slate-200 dark:border-slate-600'
+                    }`}
+                  >
+                    {gender}
+                  </button>
+                ))}
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <input
+                  type="text"
+                  value={nounFields.plural}
+                  onChange={(e) => setNounFields(f => ({ ...f, plural: e.target.value }))}
+                  maxLength={MAX_WORD_LENGTH}
+                  placeholder="Plural, e.g. -e"
+                  aria-label="Plural"
+                  className="w-full px-4 py-2 rounded-xl border-2 border-slate-200 dark:border-slate-600 focus:border-indigo-500 focus:outline-none transition-colors bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100"
+                />
+                <input
+                  type="text"
+                  value={nounFields.genitive}
+                  onChange={(e) => setNounFields(f => ({ ...f, genitive: e.target.value }))}
+                  maxLength={MAX_WORD_LENGTH}
+                  placeholder="Genitive, e.g. -s"
+                  aria-label="Genitive"
+                  className="w-full px-4 py-2 rounded-xl border-2 border-slate-200 dark:border-slate-600 focus:border-indigo-500 focus:outline-none transition-colors bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100"
+                />
+              </div>
+            </div>
+          )}
+
+          {/* More Details (optional) */}
+          <div className="space-y-4">
+            <button
+              type="button"
+              onClick={() => setShowDetails(v => !v)}
+              aria-expanded={showDetails}
+              className="text-sm font-semibold text-slate-600 dark:text-slate-400 hover:text-indigo-600 dark:hover:text-indigo-400"
+            >
+              {showDetails ? '▾' : '▸'} More details: part of speech, examples, notes, source
+            </button>
+            {showDetails && <WordDetailsFields value={details} onChange={setDetails} />}
           </div>
 
           {/* Error Message */}
@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import Button from '../components/Button';
+import Card from '../components/Card';
+import WindowSelector from '../components/WindowSelector';
+import PracticeHeader from '../components/PracticeHeader';
+import PracticeSummary from '../components/PracticeSummary';
+import QuizOption from '../components/QuizOption';
+import useContentStore from '../store/contentStore';
+import usePracticeSession from '../hooks/usePracticeSession';
+import useChoiceOptions from '../hooks/useChoiceOptions';
+import { checkAnswer } from '../utils/answerChecker';
+import { buildCloze, canCloze, getAcceptedAnswers } from '../utils/cloze';
+import { splitArticle } from '../utils/germanNouns';
+import { RESPONSE_THRESHOLDS } from '../utils/grading';
+import { Rating } from '../utils/fsrs';
+import { DIRECTIONS } from '../utils/directions';
+import { hapticSuccess, hapticError } from '../utils/haptic';
+
+const TASKS = ['type', 'choose'];
+
+const TASK_LABELS = {
+  type: 'Type it',
+  choose: 'Choose it',
+};
+
+// The sentence with its gap, or with the answer filled in
+const ClozeSentence = React.memo(({ cloze, isRevealed, isCorrect }) => (
+  <p className="text-2xl sm:text-3xl font-bold text-slate-900 dark:text-slate-100 leading-relaxed break-words">
+    {cloze.before}
+    {isRevealed ? (
+      <span className={`px-1 rounded ${isCorrect ? 'bg-emerald-100 dark:bg-emerald-900/40 text-emerald-700 dark:text-emerald-300' : 'bg-rose-100 dark:bg-rose-900/40 text-rose-700 dark:text-rose-300'}`}>
+        {cloze.answer}
+      </span>
+    ) : (
+      <span
+        className="inline-block align-baseline border-b-4 border-indigo-400 dark:border-indigo-500 mx-1"
+        style={{ width: `${Math.max(cloze.answer.length, 4)}ch` }}
+        aria-label="Blank"
+      />
+    )}
+    {cloze.after}
+  </p>
+));
+
+ClozeSentence.displayName = 'ClozeSentence';
+
+const ClozeGame = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const words = useContentStore(state => state.words);
+  // Filling the gap means producing the word, the meaning → word direction
+  const {
+    topics, pool, selectedTopic, setSelectedTopic, current, index, total, results, isFinished, answer, next, restart
+  } = usePracticeSession({
+    mode: 'cloze',
+    topicId: location.state?.topicId || null,
+    direction: DIRECTIONS.REVERSE,
+    canPractice: canCloze
+  });
+
+  const [task, setTask] = useState(TASKS[0]);
+  const [input, setInput] = useState('');
+  const [feedback, setFeedback] = useState(null);
+  const [chosenId, setChosenId] = useState(null);
+  const inputRef = useRef(null);
+
+  const wordsById = useMemo(() => new Map(words.map(w => [w.id, w])), [words]);
+  const correctCount = results.filter(r => r.isCorrect).length;
+  const currentId = current?.id;
+
+  // The sentence is drawn once per word, so answering doesn't switch it
+  const cloze = useMemo(() => {
+    if (currentId == null) return null;
+    return buildCloze(useContentStore.getState().words.find(w => w.id === currentId));
+  }, [currentId]);
+
+  useEffect(() => {
+    if (task === 'type') inputRef.current?.focus();
+  }, [task, index, current]);
+
+  const goNext = useCallback(() => {
+    setFeedback(null);
+    setChosenId(null);
+    setInput('');
+    next();
+  }, [next]);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    if (!current || !cloze) return;
+    if (feedback) {
+      goNext();
+      return;
+    }
+    if (!input.trim()) return;
+
+    // The form in the sentence and the dictionary form both count
+    const checks = getAcceptedAnswers(current, cloze).map(accepted => checkAnswer(input, accepted));
+    const check = checks.find(c => c.isExact) || checks.find(c => c.isCorrect) || checks[0];
+    answer(check.isCorrect, {
+      rating: check.isCorrect && !check.isExact ? Rating.HARD : undefined,
+      thresholds: RESPONSE_THRESHOLDS.typing
+    });
+    if (check.isCorrect) {
+      hapticSuccess();
+    } else {
+      hapticError();
+    }
+    setFeedback(check);
+  }, [current, cloze, feedback, input, answer, goNext]);
+
+  const handleChosen = useCallback((option, isCorrect) => {
+    setChosenId(option.id);
+    setFeedback({ isCorrect, isExact: isCorrect });
+  }, []);
+
+  const { options, choose: handleChoose } = useChoiceOptions({
+    current,
+    answer,
+    thresholds: RESPONSE_THRESHOLDS.quiz,
+    isAnswered: !!feedback,
+    onChosen: handleChosen,
+    onNext: goNext,
+    isEnabled: task === 'choose'
+  });
+
+  const handleGiveUp = useCallback(() => {
+    if (!current || feedback) return;
+    answer(false);
+    hapticError();
+    setFeedback({ isCorrect: false, isExact: false });
+    inputRef.current?.focus();
+  }, [current, feedback, answer]);
+
+  const handleTaskChange = useCallback((value) => {
+    if (feedback) return;
+    setInput('');
+    setTask(value);
+  }, [feedback]);
+
+  const handleTopicChange = useCallback((topicId) => {
+    setFeedback(null);
+    setChosenId(null);
+    setInput('');
+    setSelectedTopic(topicId);
+  }, [setSelectedTopic]);
+
+  const handleRestart = useCallback(() => {
+    setFeedback(null);
+    setChosenId(null);
+    setInput('');
+    restart();
+  }, [restart]);
+
+  if (isFinished) {
+    return (
+      <PracticeSummary
+        title="Sentences Done"
+        results={results}
+        wordsById={wordsById}
+        onRestart={handleRestart}
+        onHome={() => navigate('/')}
+      />
+    );
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="max-w-3xl mx-auto space-y-6"
+    >
+      <PracticeHeader
+        topics={topics}
+        selectedTopic={selectedTopic}
+        onTopicChange={handleTopicChange}
+        position={index + 1}
+        total={total}
+        correct={correctCount}
+        onExit={() => navigate('/')}
+      />
+
+      <WindowSelector
+        options={TASKS}
+        value={task}
+        onChange={handleTaskChange}
+        formatLabel={(option) => TASK_LABELS[option]}
+        label="Answer by"
+      />
+
+      {pool.length === 0 ? (
+        <Card className="card-glass border-0 text-center py-16">
+          <div className="text-7xl mb-6">🧩</div>
+          <h3 className="text-2xl font-black text-slate-900 dark:text-slate-100 mb-3">
+            No example sentences yet
+          </h3>
+          <p className="text-slate-600 dark:text-slate-400 text-lg mb-6">
+            Add example sentences that use your words (under "More details" when adding a word) to practise them in context.
+          </p>
+          <Button onClick={() => navigate('/welcome')} icon="📚">Go to Topics</Button>
+        </Card>
+      ) : current && cloze && (
+        <Card className="card-glass border-0 p-6 sm:p-10">
+          <AnimatePresence mode="wait">
+            <motion.div
+              key={current.id}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+              transition={{ duration: 0.2 }}
+              className="text-center mb-8 space-y-3"
+            >
+              <p className="text-sm uppercase tracking-[0.2em] text-slate-500 dark:text-slate-400">
+                Fill in the gap
+              </p>
+              <ClozeSentence cloze={cloze} isRevealed={!!feedback} isCorrect={feedback?.isCorrect} />
+              {cloze.translation && (
+                <p className="text-slate-600 dark:text-slate-400 italic">{cloze.translation}</p>
+              )}
+              <p className="text-sm text-slate-500 dark:text-slate-400">
+                ({current.meaning})
+              </p>
+            </motion.div>
+          </AnimatePresence>
+
+          {task === 'type' ? (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <input
+                ref={inputRef}
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                readOnly={!!feedback}
+                autoComplete="off"
+                autoCapitalize="off"
+                spellCheck={false}
+                placeholder="Missing word…"
+                aria-label="Missing word"
+                className={`
+                  w-full px-5 py-4 rounded-2xl border-2 text-xl font-semibold text-center focus:outline-none transition-colors
+                  bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100
+                  ${!feedback ? 'border-slate-200 dark:border-slate-600 focus:border-indigo-500' : ''}
+                  ${feedback?.isCorrect ? 'border-emerald-500' : ''}
+                  ${feedback && !feedback.isCorrect ? 'border-rose-500' : ''}
+                `}
+              />
+
+              {feedback && (
+                <p
+                  className={`p-4 rounded-xl text-center font-semibold ${
+                    feedback.isCorrect
+                      ? 'bg-emerald-50 dark:bg-emerald-900/20 text-emerald-800 dark:text-emerald-200'
+                      : 'bg-rose-50 dark:bg-rose-900/20 text-rose-800 dark:text-rose-200'
+                  }`}
+                  role="status"
+                >
+                  {feedback.isExact && '✅ Correct!'}
+                  {feedback.isCorrect && !feedback.isExact && <>✏️ Almost, it's spelled <strong>{feedback.closest}</strong></>}
+                  {!feedback.isCorrect && <>❌ The missing word is <strong>{cloze.answer}</strong> ({current.word})</>}
+                </p>
+              )}
+
+              <div className="flex gap-3">
+                {feedback ? (
+                  <Button type="submit" fullWidth icon="→">
+                    {index + 1 >= total ? 'See Results' : 'Next'}
+                  </Button>
+                ) : (
+                  <>
+                    <Button type="button" variant="secondary" onClick={handleGiveUp}>
+                      I don't know
+                    </Button>
+                    <Button type="submit" fullWidth disabled={!input.trim()}>
+                      Check
+                    </Button>
+                  </>
+                )}
+              </div>
+            </form>
+          ) : (
+            <div className="space-y-3">
+              {options.map((option, optionIndex) => (
+                <QuizOption
+                  key={option.id}
+                  option={option}
+                  label={splitArticle(option.word).noun}
+                  index={optionIndex}
+                  chosenId={chosenId}
+                  answerId={current.id}
+                  onChoose={handleChoose}
+                />
+              ))}
+              {feedback && (
+                <div className="pt-3">
+                  <Button onClick={goNext} fullWidth icon="→">
+                    {index + 1 >= total ? 'See Results' : 'Next'}
+                  </Button>
+                </div>
+              )}
+            </div>
+          )}
+        </Card>
+      )}
+    </motion.div>
+  );
+};
+
+export default ClozeGame;
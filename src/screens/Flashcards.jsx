@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import Button from '../components/Button';
+import Card from '../components/Card';
+import SpeakButton from '../components/SpeakButton';
+import PracticeHeader from '../components/PracticeHeader';
+import PracticeSummary from '../components/PracticeSummary';
+import useContentStore from '../store/contentStore';
+import usePracticeSession from '../hooks/usePracticeSession';
+import { Rating } from '../utils/fsrs';
+import { createSchedulerResolver, previewInterval } from '../utils/schedulers';
+import { formatInterval } from '../utils/numberFormatter';
+import { getPromptAndAnswer } from '../utils/directions';
+import { hapticLight } from '../utils/haptic';
+
+// Self-grades in button order; `key` is the keyboard shortcut
+const GRADES = [
+  { rating: Rating.AGAIN, label: 'Again', key: '1', swipe: '←', className: 'from-rose-500 to-rose-600' },
+  { rating: Rating.HARD, label: 'Hard', key: '2', swipe: '↓', className: 'from-amber-500 to-orange-500' },
+  { rating: Rating.GOOD, label: 'Good', key: '3', swipe: '→', className: 'from-emerald-500 to-emerald-600' },
+  { rating: Rating.EASY, label: 'Easy', key: '4', swipe: '↑', className: 'from-sky-500 to-indigo-500' }
+];
+
+// Drag distance (px) that counts as a swipe
+const SWIPE_THRESHOLD = 100;
+
+/**
+ * Grade for a swipe: left Again, down Hard, right Good, up Easy
+ *
+ * @param {Object} offset - Drag offset { x, y }
+ * @returns {number|null} - One of Rating.*, or null for a short drag
+ */
+const ratingFromSwipe = ({ x, y }) => {
+  if (Math.max(Math.abs(x), Math.abs(y)) < SWIPE_THRESHOLD) return null;
+  if (Math.abs(x) >= Math.abs(y)) return x < 0 ? Rating.AGAIN : Rating.GOOD;
+  return y < 0 ? Rating.EASY : Rating.HARD;
+};
+
+const Flashcards = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const words = useContentStore(state => state.words);
+  const {
+    topics, pool, selectedTopic, setSelectedTopic, direction, current, index, total, results, isFinished, answer, next, restart
+  } = usePracticeSession({
+    mode: 'flashcard',
+    topicId: location.state?.topicId || null,
+    direction: location.state?.direction
+  });
+
+  const [isRevealed, setIsRevealed] = useState(false);
+
+  const wordsById = useMemo(() => new Map(words.map(w => [w.id, w])), [words]);
+  const schedulerFor = useMemo(() => createSchedulerResolver(topics), [topics]);
+  const correctCount = results.filter(r => r.isCorrect).length;
+  const { prompt: front, answer: back } = current ? getPromptAndAnswer(current, direction) : {};
+
+  // When each grade would bring the card back
+  const intervals = useMemo(() => {
+    if (!current) return {};
+    const scheduler = schedulerFor(current);
+    const now = Date.now();
+    return Object.fromEntries(GRADES.map(({ rating }) => [rating, previewInterval(current, scheduler, rating, now)]));
+  }, [current, schedulerFor]);
+
+  const reveal = useCallback(() => {
+    if (!current || isRevealed) return;
+    hapticLight();
+    setIsRevealed(true);
+  }, [current, isRevealed]);
+
+  const grade = useCallback((rating) => {
+    if (!current || !isRevealed) return;
+    hapticLight();
+    answer(rating !== Rating.AGAIN, { rating });
+    setIsRevealed(false);
+    next();
+  }, [current, isRevealed, answer, next]);
+
+  const handleDragEnd = useCallback((event, info) => {
+    const rating = ratingFromSwipe(info.offset);
+    if (rating == null) return;
+    if (isRevealed) {
+      grade(rating);
+    } else {
+      reveal();
+    }
+  }, [isRevealed, grade, reveal]);
+
+  // Space reveals (and then grades Good), 1-4 grade
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // A held key would otherwise reveal and grade card after card
+      if (e.repeat) return;
+      if (['SELECT', 'INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      // Focused buttons handle space and Enter themselves
+      if (e.target.tagName === 'BUTTON' && (e.key === ' ' || e.key === 'Enter')) return;
+      if (e.key === ' ' || e.key === 'Enter') {
+        e.preventDefault();
+        if (isRevealed) {
+          grade(Rating.GOOD);
+        } else {
+          reveal();
+        }
+        return;
+      }
+      const gradeForKey = GRADES.find(g => g.key === e.key);
+      if (gradeForKey) grade(gradeForKey.rating);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isRevealed, grade, reveal]);
+
+  const handleTopicChange = useCallback((topicId) => {
+    setIsRevealed(false);
+    setSelectedTopic(topicId);
+  }, [setSelectedTopic]);
+
+  const handleRestart = useCallback(() => {
+    setIsRevealed(false);
+    restart();
+  }, [restart]);
+
+  if (isFinished) {
+    return (
+      <PracticeSummary
+        title="Deck Done"
+        results={results}
+        wordsById={wordsById}
+        onRestart={handleRestart}
+        onHome={() => navigate('/')}
+      />
+    );
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="max-w-3xl mx-auto space-y-6"
+    >
+      <PracticeHeader
+        topics={topics}
+        selectedTopic={selectedTopic}
+        onTopicChange={handleTopicChange}
+        position={index + 1}
+        total={total}
+        correct={correctCount}
+        onExit={() => navigate('/')}
+      />
+
+      {pool.length === 0 ? (
+        <Card className="card-glass border-0 text-center py-16">
+          <div className="text-7xl mb-6">🗂️</div>
+          <h3 className="text-2xl font-black text-slate-900 dark:text-slate-100 mb-3">
+            No words to practise
+          </h3>
+          <p className="text-slate-600 dark:text-slate-400 text-lg mb-6">
+            Add words to this topic to start flipping cards.
+          </p>
+          <Button onClick={() => navigate('/add-word')} icon="➕">Add Words</Button>
+        </Card>
+      ) : current && (
+        <>
+          <AnimatePresence mode="wait">
+            <motion.div
+              key={current.id}
+              initial={{ opacity: 0, scale: 0.95 }}
+              animate={{ opacity: 1, scale: 1 }}
+              exit={{ opacity: 0, scale: 0.95 }}
+              transition={{ duration: 0.2 }}
+              drag
+              dragSnapToOrigin
+              dragElastic={0.6}
+              onDragEnd={handleDragEnd}
+              onTap={reveal}
+              className="cursor-pointer touch-none select-none"
+              style={{ perspective: '1200px' }}
+            >
+              <motion.div
+                className="relative min-h-[280px] sm:min-h-[320px]"
+                initial={false}
+                animate={{ rotateY: isRevealed ? 180 : 0 }}
+                transition={{ duration: 0.4, ease: 'easeInOut' }}
+                style={{ transformStyle: 'preserve-3d' }}
+              >
+                <div
+                  className="absolute inset-0"
+                  style={{ backfaceVisibility: 'hidden' }}
+                  aria-hidden={isRevealed}
+                >
+                  <Card className="card-glass border-0 h-full flex flex-col items-center justify-center text-center p-8">
+                    <h2 className="text-3xl sm:text-5xl font-black text-slate-900 dark:text-slate-100 break-words max-w-full">
+                      {front}
+                    </h2>
+                    <p className="text-sm text-slate-500 dark:text-slate-400 mt-6">
+                      Tap or press space to reveal
+                    </p>
+                  </Card>
+                </div>
+                <div
+                  className="absolute inset-0"
+                  style={{ backfaceVisibility: 'hidden', transform: 'rotateY(180deg)' }}
+                  aria-hidden={!isRevealed}
+                >
+                  <Card className="card-glass border-0 relative h-full flex flex-col items-center justify-center text-center p-8 gap-4">
+                    {/* Only on the back: a tap on the front reveals the card */}
+                    {isRevealed && <SpeakButton word={current} className="absolute top-3 right-3" />}
+                    <p className="text-lg font-semibold text-slate-500 dark:text-slate-400 break-words max-w-full">
+                      {front}
+                    </p>
+                    <h2 className="text-3xl sm:text-4xl font-black text-indigo-700 dark:text-indigo-300 break-words max-w-full">
+                      {back}
+                    </h2>
+                    {current.partOfSpeech && (
+                      <p className="text-xs uppercase tracking-[0.2em] text-slate-500 dark:text-slate-400">
+                        {current.partOfSpeech}
+                      </p>
+                    )}
+                    {current.examples?.[0] && (
+                      <p className="text-sm text-slate-600 dark:text-slate-400 max-w-full">
+                        <span className="italic">“{current.examples[0].text}”</span>
+                        {current.examples[0].translation && <> — {current.examples[0].translation}</>}
+                      </p>
+                    )}
+                    {current.notes && (
+                      <p className="text-sm text-slate-600 dark:text-slate-400">📝 {current.notes}</p>
+                    )}
+                    {current.mnemonic && (
+                      <p className="text-sm p-3 rounded-lg bg-indigo-50 dark:bg-indigo-900/20 text-indigo-800 dark:text-indigo-200">
+                        💡 {current.mnemonic}
+                      </p>
+                    )}
+                  </Card>
+                </div>
+              </motion.div>
+            </motion.div>
+          </AnimatePresence>
+
+          {isRevealed ? (
+            <div className="grid grid-cols-4 gap-2 sm:gap-3">
+              {GRADES.map(({ rating, label, key, className }) => (
+                <motion.button
+                  key={rating}
+                  type="button"
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => grade(rating)}
+                  className={`rounded-2xl px-2 py-3 bg-gradient-to-br ${className} text-white shadow-lg`}
+                >
+                  <span className="block text-base sm:text-lg font-bold">{label}</span>
+                  <span className="block text-xs text-white/80">
+                    {formatInterval(intervals[rating])} · {key}
+                  </span>
+                </motion.button>
+              ))}
+            </div>
+          ) : (
+            <Button onClick={reveal} fullWidth size="lg">
+              Show Answer
+            </Button>
+          )}
+
+          <p className="text-center text-xs text-slate-500 dark:text-slate-400">
+            Swipe {GRADES.map(g => `${g.swipe} ${g.label}`).join(' · ')}. Keys 1-4 grade, space shows the answer then picks Good
+          </p>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default Flashcards;
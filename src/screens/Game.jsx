@@ -4,9 +4,21 @@ import { motion, AnimatePresence } from 'framer-motion';
 import Lottie from 'lottie-react';
 import Button from '../components/Button';
 import Card from '../components/Card';
-import useContentStore from '../store/contentStore';
+import SpeakButton from '../components/SpeakButton';
+import useContentStore, { generateUniqueId } from '../store/contentStore';
 import useUserStore from '../store/userStore';
-import { selectWordsForSession, estimateDifficulty } from '../utils/aiWordSelector';
+import useConfusionStore from '../store/confusionStore';
+import useSpeech from '../hooks/useSpeech';
+import { selectWordsForSession, selectWordsForChallenge, getDueQueue, estimateDifficulty } from '../utils/aiWordSelector';
+import { createSchedulerResolver } from '../utils/schedulers';
+import { createNewWordAllowance, getLearningStage, LEARNING_STAGES } from '../utils/learningStages';
+import { createConfusionPartners } from '../utils/confusions';
+import { haveSameMeaning } from '../utils/ambiguity';
+import { createRng, normalizeSeed, randomSeed, shuffle } from '../utils/random';
+import { gradeAnswer } from '../utils/grading';
+import { Rating } from '../utils/fsrs';
+import { DIRECTIONS } from '../utils/directions';
+import { PART_OF_SPEECH_ABBREVIATIONS } from '../utils/wordSchema';
 import { hapticSuccess, hapticError } from '../utils/haptic';
 import gameOverCelebration from '../assets/gameOverCelebration.json';
 
@@ -27,8 +39,26 @@ const COIN_REWARDS = {
   }
 };
 
+// Face-down (concentration) scoring: a pair found with just its two flips
+// earns PERFECT, every extra flip since the previous match costs PER_EXTRA_FLIP
+const FACE_DOWN_POINTS = {
+  PERFECT: 100,
+  PER_EXTRA_FLIP: 5,
+  MIN: 10
+};
+
+// How long a face-down mismatch stays visible before flipping back
+const FACE_DOWN_REVEAL_MS = 1000;
+
+// The card picked first sets the direction: a word first asks for its meaning
+const FIRST_CARD_TYPE = {
+  [DIRECTIONS.FORWARD]: 'word',
+  [DIRECTIONS.REVERSE]: 'meaning'
+};
+
 // Memoized Card Component for performance
-const GameCard = React.memo(({ card, index, isSelected, isMatched, onClick }) => {
+// `word` is set on word cards so they can be pronounced and show their part of speech
+const GameCard = React.memo(({ card, index, isSelected, isMatched, isFaceDown = false, word = null, onClick }) => {
   const handleClick = useCallback((e) => {
     onClick(index, e);
   }, [onClick, index]);
@@ -43,25 +73,59 @@ const GameCard = React.memo(({ card, index, isSelected, isMatched, onClick }) =>
       `}
       style={{
         // Reserve space even when invisible to prevent layout shifts
-        visibility: isMatched ? 'hidden' : 'visible'
+        visibility: isMatched ? 'hidden' : 'visible',
+        perspective: '1000px'
       }}
     >
-      <Card
-        onClick={handleClick}
-        className={`
-          h-full flex items-center justify-center text-center p-4
-          transition-all duration-200
-          ${isMatched ? '' : 'cursor-pointer'}
-        `}
-        pressable={!isMatched}
-        hoverable={!isMatched}
+      <motion.div
+        className="relative h-full"
+        initial={false}
+        animate={{ rotateY: isFaceDown ? 180 : 0 }}
+        transition={{ duration: 0.35, ease: 'easeInOut' }}
+        style={{ transformStyle: 'preserve-3d' }}
       >
-        <p
-          className={`font-semibold text-base sm:text-lg px-4 text-slate-800 dark:text-slate-200`}
-        >
-          {card.value}
-        </p>
-      </Card>
+        <div className="h-full" style={{ backfaceVisibility: 'hidden' }} aria-hidden={isFaceDown}>
+          <Card
+            onClick={handleClick}
+            className={`
+              relative h-full flex items-center justify-center text-center p-4
+              transition-all duration-200
+              ${isMatched ? '' : 'cursor-pointer'}
+            `}
+            pressable={!isMatched}
+            hoverable={!isMatched}
+          >
+            {word && !isFaceDown && (
+              <SpeakButton word={word} className="absolute top-1 right-1" />
+            )}
+            {word?.partOfSpeech && (
+              <span className="absolute bottom-2 left-3 text-xs font-semibold text-slate-400 dark:text-slate-500" title={word.partOfSpeech}>
+                {PART_OF_SPEECH_ABBREVIATIONS[word.partOfSpeech]}
+              </span>
+            )}
+            <p
+              className={`font-semibold text-base sm:text-lg px-4 text-slate-800 dark:text-slate-200`}
+            >
+              {card.value}
+            </p>
+          </Card>
+        </div>
+        {isFaceDown && (
+          <div
+            className="absolute inset-0"
+            style={{ backfaceVisibility: 'hidden', transform: 'rotateY(180deg)' }}
+          >
+            <Card
+              onClick={handleClick}
+              className="h-full flex items-center justify-center bg-gradient-to-br from-indigo-500 to-purple-600 dark:from-indigo-600 dark:to-purple-700"
+              pressable
+              hoverable
+            >
+              <span className="text-4xl font-black text-white/80" aria-label="Face-down card">?</span>
+            </Card>
+          </div>
+        )}
+      </motion.div>
     </div>
   );
 });
@@ -78,17 +142,59 @@ const Game = () => {
   const awardPoints = useUserStore(state => state.awardPoints);
   const recordMatch = useUserStore(state => state.recordMatch);
   const incrementGamesPlayed = useUserStore(state => state.incrementGamesPlayed);
+  const confusionPairs = useConfusionStore(state => state.pairs);
+  const recordConfusion = useConfusionStore(state => state.recordConfusion);
+  const { autoPlayWord } = useSpeech();
 
   const getWordsByTopic = useCallback((topicId) => {
     return words.filter(w => w.topicId === topicId);
   }, [words]);
 
-  const [selectedTopic, setSelectedTopic] = useState(location.state?.topicId || null);
+  // Each topic can use its own scheduling algorithm
+  const schedulerFor = useMemo(() => createSchedulerResolver(topics), [topics]);
+  const wordsById = useMemo(() => new Map(words.map(w => [w.id, w])), [words]);
+
+  // New words each topic may still introduce today
+  const newWordAllowance = useMemo(() => createNewWordAllowance(topics, words), [topics, words]);
+
+  // Words the learner mixed up before are dealt together
+  const confusionPartners = useMemo(() => createConfusionPartners(confusionPairs), [confusionPairs]);
+
+  const searchParams = new URLSearchParams(location.search);
+
+  // Challenge links name their topic, since topic ids differ between devices
+  const [selectedTopic, setSelectedTopic] = useState(() => (
+    location.state?.topicId || topics.find(t => t.name === searchParams.get('topic'))?.id || null
+  ));
   
-  // Get timer duration and difficulty from location state
+  // Get timer duration and difficulty from location state or a challenge link
   const initialTimerDuration = location.state?.timerDuration || 30;
-  const difficulty = location.state?.difficulty || 'easy'; // 'easy' or 'hard'
+  const difficulty = location.state?.difficulty || searchParams.get('difficulty') || 'easy'; // 'easy' or 'hard'
   const isInfiniteMode = location.state?.isInfiniteMode || false;
+  // 'due' deals only the words due for review and ends once they are all done
+  const isDueReview = location.state?.mode === 'due';
+  // Due reviews are untimed so the queue can always be finished
+  const isTimed = !isInfiniteMode && !isDueReview;
+  // Concentration variant: cards start face-down and turn over when tapped
+  const isFaceDown = (!!location.state?.isFaceDown || searchParams.get('faceDown') === '1') && !isDueReview;
+  // Forward boards are played word first, reverse ones meaning first and
+  // mixed ones either way. Face-down cards can't be told apart, so they
+  // are always played either way.
+  const direction = location.state?.direction || searchParams.get('direction') || DIRECTIONS.FORWARD;
+  const requiredFirstType = isFaceDown ? null : FIRST_CARD_TYPE[direction] || null;
+  const startMessage = isFaceDown
+    ? 'Find the pairs! Tap a card to flip it 🃏'
+    : direction === DIRECTIONS.REVERSE
+      ? 'Match meanings with their words! ✨'
+      : 'Match words with their meanings! ✨';
+
+  // A seed from the link (?seed=) or the navigation state replays the exact
+  // same boards, for bug reports and shared challenges. Such boards are
+  // dealt without the learner's stats (see selectWordsForChallenge), so
+  // everyone with the same words gets them.
+  const sharedSeed = searchParams.get('seed') ?? location.state?.seed ?? null;
+  const nextSeed = () => (sharedSeed != null ? normalizeSeed(sharedSeed) : randomSeed());
+  const isChallenge = sharedSeed != null && !isDueReview;
   
   // Calculate cards per round based on difficulty
   // Easy: 2 rows × 4 columns = 8 cards (4 pairs)
@@ -97,12 +203,30 @@ const Game = () => {
   
   // Get words for the game - if a topic is selected, use only that topic's words
   // If no topic is selected, use words that have a topicId (ensuring words are grouped by topic)
-  const gameWords = useMemo(() => 
-    selectedTopic 
+  // Suspended words (e.g. leeches) sit out until the learner brings them
+  // back, except in challenges, which deal from the same pool for everyone
+  const topicWords = useMemo(() => 
+    (selectedTopic 
       ? getWordsByTopic(selectedTopic) 
-      : words.filter(w => w.topicId != null),
-    [selectedTopic, getWordsByTopic, words]
+      : words.filter(w => w.topicId != null)
+    ).filter(w => isChallenge || !w.suspended),
+    [selectedTopic, getWordsByTopic, words, isChallenge]
   );
+
+  // The due queue is frozen when the session starts, so words that get
+  // rescheduled while playing don't change the size of the session
+  const [dueQueueIds] = useState(() => (
+    isDueReview ? getDueQueue(topicWords, { schedulerFor }).map(w => w.id) : []
+  ));
+
+  const gameWords = useMemo(() => {
+    if (!isDueReview) return topicWords;
+    const byId = new Map(topicWords.map(w => [w.id, w]));
+    return dueQueueIds.map(id => byId.get(id)).filter(Boolean);
+  }, [isDueReview, topicWords, dueQueueIds]);
+
+  // Smallest pool that can fill a board
+  const minimumWords = isDueReview ? 1 : CARDS_PER_ROUND * 2;
   
   const [gameCards, setGameCards] = useState([]);
   const [selectedCards, setSelectedCards] = useState([]);
@@ -126,11 +250,31 @@ const Game = () => {
   const [elapsedTime, setElapsedTime] = useState(0);
   const [sessionCoins, setSessionCoins] = useState(0);
   const [sessionStart, setSessionStart] = useState(() => Date.now());
+  const [sessionId, setSessionId] = useState(() => generateUniqueId());
   const [bestCombo, setBestCombo] = useState(0);
+  const [isQueueDone, setIsQueueDone] = useState(false);
+  const [seed, setSeed] = useState(nextSeed);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [flips, setFlips] = useState(0);
+
+  // All selection and dealing draws from this generator
+  const rngRef = React.useRef(null);
 
   // Ref to track combo synchronously for scoring
   const comboRef = React.useRef(0);
 
+  // Time the previous attempt was made. A pair's response time runs from when
+  // it was dealt or from this, whichever is later, so time spent on other
+  // pairs doesn't count against it.
+  const lastAttemptAtRef = React.useRef(0);
+
+  // Face-down mode: flips since the last match (for scoring) and the cards
+  // turned over before, so blind guesses don't count as wrong answers
+  const flipsSinceMatchRef = React.useRef(0);
+  const seenCardIdsRef = React.useRef(new Set());
+  // Whether the first card of the current attempt had been seen before
+  const firstCardSeenRef = React.useRef(true);
+
   // Reset combo ref when game resets
   useEffect(() => {
     if (!gameOver) {
@@ -138,33 +282,38 @@ const Game = () => {
     }
   }, [gameOver, round]);
 
-  // Fisher-Yates shuffle for proper randomization
-  const shuffleArray = useCallback((array) => {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-  }, []);
-
   useEffect(() => {
-    if (gameWords.length < CARDS_PER_ROUND * 2) {
+    if (gameWords.length < minimumWords) {
       navigate('/');
       return;
     }
     incrementGamesPlayed();
+    rngRef.current = createRng(seed);
     startNewRound();
     
     // Start the timer only if not in infinite mode
-    if (!isInfiniteMode) {
+    if (isTimed) {
       setIsTimerActive(true);
     }
   }, [selectedTopic, gameWords.length]);
 
+  // A due review ends once every queued word has been matched
+  useEffect(() => {
+    if (!isQueueDone || gameOver) return;
+
+    const timeout = setTimeout(() => {
+      setGameOver(true);
+      setFinalScore(score);
+      setFinalRound(round);
+      setElapsedTime(Math.round((Date.now() - sessionStart) / 1000));
+    }, 800);
+
+    return () => clearTimeout(timeout);
+  }, [isQueueDone, gameOver, score, round, sessionStart]);
+
   // Timer effect
   useEffect(() => {
-    if (isInfiniteMode || !isTimerActive || gameOver) return;
+    if (!isTimed || !isTimerActive || gameOver) return;
     
     if (timer <= 0) {
       setGameOver(true);
@@ -180,7 +329,7 @@ const Game = () => {
     }, 1000);
     
     return () => clearInterval(interval);
-  }, [timer, isTimerActive, gameOver, score, round, isInfiniteMode, sessionStart]);
+  }, [timer, isTimerActive, gameOver, score, round, isTimed, sessionStart]);
 
   const createParticles = (x, y, isCorrect) => {
     const colors = isCorrect 
@@ -206,24 +355,33 @@ const Game = () => {
     setGameOver(false);
     setSessionCoins(0);
     setSessionStart(Date.now());
+    setSessionId(generateUniqueId());
+    const restartSeed = nextSeed();
+    setSeed(restartSeed);
+    setLinkCopied(false);
+    rngRef.current = createRng(restartSeed);
     setElapsedTime(0);
     setScore(0);
     setCombo(0);
     comboRef.current = 0;
     setBestCombo(0);
+    setFlips(0);
+    flipsSinceMatchRef.current = 0;
+    seenCardIdsRef.current = new Set();
     setRound(1);
     setTimer(timerDuration);
     setMatchedPairs([]);
     setSelectedCards([]);
-    setMessage('Match words with their meanings! ✨');
+    setMessage(startMessage);
     setShowConfetti(false);
     setParticles([]);
     startNewRound();
-    if (!isInfiniteMode) {
+    if (isTimed) {
       setIsTimerActive(true);
     }
   };
 
+
   const replaceMatchedCards = useCallback((matchedPairId) => {
     if (availableWords.length === 0) return;
 
@@ -233,9 +391,29 @@ const Game = () => {
 
       if (unseenWords.length === 0) return currentShownIds;
 
-      const selectedWords = selectWordsForSession(unseenWords, 1, {
+      // New words already on the board count against today's allowance
+      const pendingNew = new Map();
+      words.forEach(w => {
+        if (activeWordIds.includes(w.id) && getLearningStage(w) === LEARNING_STAGES.NEW) {
+          pendingNew.set(w.topicId, (pendingNew.get(w.topicId) || 0) + 1);
+        }
+      });
+
+      const boardIds = new Set(
+        gameCards.filter(c => c.pairId !== matchedPairId && !matchedPairs.includes(c.pairId)).map(c => c.id)
+      );
+
+      const dealtWith = words.filter(w => boardIds.has(w.id));
+      const selectedWords = isChallenge
+        ? selectWordsForChallenge(unseenWords, 1, { rng: rngRef.current, dealtWith })
+        : selectWordsForSession(unseenWords, 1, {
+        rng: rngRef.current,
         balanceChallenge: false,
         includeNew: true,
+        schedulerFor,
+        newWordAllowance: (topicId) => newWordAllowance(topicId) - (pendingNew.get(topicId) || 0),
+        confusionPartners,
+        dealtWith,
       });
 
       if (selectedWords.length === 0) return currentShownIds;
@@ -257,11 +435,11 @@ const Game = () => {
           const newPairId = maxPairId + 1;
           const timestamp = Date.now();
           const newCards = [
-            { type: 'word', value: selectedWord.word, id: selectedWord.id, pairId: newPairId, cardId: `${timestamp}-${newPairId}-word` },
-            { type: 'meaning', value: selectedWord.meaning, id: selectedWord.id, pairId: newPairId, cardId: `${timestamp}-${newPairId}-meaning` }
+            { type: 'word', value: selectedWord.word, id: selectedWord.id, pairId: newPairId, cardId: `${timestamp}-${newPairId}-word`, dealtAt: timestamp },
+            { type: 'meaning', value: selectedWord.meaning, id: selectedWord.id, pairId: newPairId, cardId: `${timestamp}-${newPairId}-meaning`, dealtAt: timestamp }
           ];
 
-          const shuffledNewCards = shuffleArray(newCards);
+          const shuffledNewCards = shuffle(newCards, rngRef.current);
           const updated = [...prev];
           updated[matchedIndices[0]] = shuffledNewCards[0];
           updated[matchedIndices[1]] = shuffledNewCards[1];
@@ -274,14 +452,21 @@ const Game = () => {
 
       return [...currentShownIds, selectedWord.id];
     });
-  }, [availableWords, shuffleArray]);
+  }, [availableWords, activeWordIds, words, gameCards, matchedPairs, schedulerFor,
+      newWordAllowance, confusionPartners, isChallenge]);
 
   const startNewRound = () => {
-    const selectedWords = selectWordsForSession(gameWords, CARDS_PER_ROUND, {
-      includeNew: true,
-      balanceChallenge: true,
-      maxDifficulty: 100,
-    });
+    const selectedWords = isChallenge
+      ? selectWordsForChallenge(gameWords, CARDS_PER_ROUND, { rng: rngRef.current })
+      : selectWordsForSession(gameWords, CARDS_PER_ROUND, {
+        rng: rngRef.current,
+        includeNew: true,
+        balanceChallenge: true,
+        maxDifficulty: 100,
+        schedulerFor,
+        newWordAllowance,
+        confusionPartners,
+      });
     
     if (selectedWords.length === 0) {
       navigate('/');
@@ -294,29 +479,47 @@ const Game = () => {
     setAvailableWords(gameWords.filter(w => !currentWordIds.includes(w.id)));
 
     const cards = [];
+    const dealtAt = Date.now();
     selectedWords.forEach((word, index) => {
-      cards.push({ type: 'word', value: word.word, id: word.id, pairId: index, cardId: `${Date.now()}-${index}-word` });
-      cards.push({ type: 'meaning', value: word.meaning, id: word.id, pairId: index, cardId: `${Date.now()}-${index}-meaning` });
+      cards.push({ type: 'word', value: word.word, id: word.id, pairId: index, cardId: `${dealtAt}-${index}-word`, dealtAt });
+      cards.push({ type: 'meaning', value: word.meaning, id: word.id, pairId: index, cardId: `${dealtAt}-${index}-meaning`, dealtAt });
     });
 
-    const shuffled = shuffleArray(cards);
+    const shuffled = shuffle(cards, rngRef.current);
     setGameCards(shuffled);
     setSelectedCards([]);
     setMatchedPairs([]);
-    setMessage('Match words with their meanings! ✨');
+    setMessage(startMessage);
   };
 
+  // Turning a face-down card over; returns whether it had been seen before
+  const revealCard = useCallback((card) => {
+    const wasSeen = seenCardIdsRef.current.has(card.cardId);
+    seenCardIdsRef.current.add(card.cardId);
+    flipsSinceMatchRef.current += 1;
+    setFlips(f => f + 1);
+    return wasSeen;
+  }, []);
+
   const handleCardClick = useCallback((index, event) => {
     const isSelected = selectedCards.includes(index);
     if (isSelected) {
-      setSelectedCards(prev => prev.filter(i => i !== index));
+      // A flipped card stays up until the pair is checked
+      if (!isFaceDown) setSelectedCards(prev => prev.filter(i => i !== index));
       return;
     }
     
     const card = gameCards[index];
     if (matchedPairs.includes(card.pairId)) return;
+
+    const startsAttempt = selectedCards.length === 0 || (isChecking && selectedCards.length >= 2);
+    if (startsAttempt && requiredFirstType && card.type !== requiredFirstType) {
+      setMessage(requiredFirstType === 'word' ? '👉 Start with a word, then pick its meaning' : '👉 Start with a meaning, then pick its word');
+      return;
+    }
     
     if (isChecking && selectedCards.length >= 2) {
+      firstCardSeenRef.current = isFaceDown ? revealCard(card) : true;
       setSelectedCards([index]);
       setIsChecking(false);
       return;
@@ -324,6 +527,9 @@ const Game = () => {
     
     if (selectedCards.length >= 2) return;
 
+    const wasSeen = isFaceDown ? revealCard(card) : true;
+    if (selectedCards.length === 0) firstCardSeenRef.current = wasSeen;
+
     const rect = event.currentTarget.getBoundingClientRect();
     const x = rect.left + rect.width / 2;
     const y = rect.top + rect.height / 2;
@@ -333,16 +539,51 @@ const Game = () => {
 
     if (newSelected.length === 2) {
       setIsChecking(true);
+      const attemptAt = Date.now();
+      const [firstCard, secondCard] = newSelected.map(i => gameCards[i]);
+      const responseTime = attemptAt - Math.max(firstCard.dealtAt || 0, secondCard.dealtAt || 0, lastAttemptAtRef.current);
+      lastAttemptAtRef.current = attemptAt;
+      // Face-down cards only test memory once they had been seen. Turning
+      // up an unseen second card is a guess, not a wrong answer, and a
+      // match between two unseen cards is luck, not recall.
+      const isFirstSeen = firstCardSeenRef.current;
+      const isGuess = isFaceDown && !wasSeen;
+      const isBlindPair = isFaceDown && !wasSeen && !isFirstSeen;
+      const review = {
+        mode: isFaceDown ? 'concentration' : 'match',
+        direction: gameCards[newSelected[0]].type === 'word' ? DIRECTIONS.FORWARD : DIRECTIONS.REVERSE,
+        responseTime,
+        sessionId
+      };
       
       setTimeout(() => {
           const [first, second] = newSelected;
           const c1 = gameCards[first];
           const c2 = gameCards[second];
 
-          if (c1.pairId === c2.pairId) {
+          // A word matched with a different card showing the same meaning text
+          // is right too. Swap the two meaning cards' pairs so the chosen
+          // cards form the matched pair.
+          const wordCard = c1.type === 'word' ? c1 : c2;
+          const meaningCard = c1.type === 'word' ? c2 : c1;
+          const wordOfWordCard = words.find(w => w.id === wordCard.id);
+          const wordOfMeaningCard = words.find(w => w.id === meaningCard.id);
+          const isSameMeaning = c1.pairId !== c2.pairId && c1.type !== c2.type &&
+              !!wordOfWordCard && !!wordOfMeaningCard && haveSameMeaning(wordOfWordCard, wordOfMeaningCard);
+
+          if (isSameMeaning) {
+             setGameCards(prev => prev.map(card => {
+                 if (card.cardId === meaningCard.cardId) return { ...card, pairId: wordCard.pairId, id: wordCard.id };
+                 if (card.type === 'meaning' && card.pairId === wordCard.pairId) return { ...card, pairId: meaningCard.pairId, id: meaningCard.id };
+                 return card;
+             }));
+          }
+
+          if (c1.pairId === c2.pairId || isSameMeaning) {
+             const matchedPairId = wordCard.pairId;
              hapticSuccess();
              setMatchedPairs(prev => {
-                 const newPairs = [...prev, c1.pairId];
+                 const newPairs = [...prev, matchedPairId];
                  return newPairs;
              });
 
@@ -352,21 +593,44 @@ const Game = () => {
              setBestCombo(prev => Math.max(prev, newCombo));
 
              if (!isInfiniteMode) {
-                 const points = 50 + (newCombo * 10);
+                 const basePoints = isFaceDown
+                     ? Math.max(FACE_DOWN_POINTS.MIN, FACE_DOWN_POINTS.PERFECT - FACE_DOWN_POINTS.PER_EXTRA_FLIP * Math.max(0, flipsSinceMatchRef.current - 2))
+                     : 50;
+                 const points = basePoints + (newCombo * 10);
                  setScore(s => s + points);
                  setSessionCoins(c => c + 1);
                  awardPoints(points, 1, round);
              }
 
-             setMessage('🎉 Perfect Match!');
+             // Time spent hunting for face-down cards says little about recall
+             const rating = isFaceDown ? Rating.GOOD : gradeAnswer(true, responseTime);
+             if (isFaceDown) {
+                 setMessage(flipsSinceMatchRef.current <= 2 ? '🎯 Found it first try!' : '🎉 Match!');
+                 flipsSinceMatchRef.current = 0;
+             } else {
+                 setMessage(
+                   rating === Rating.EASY ? '⚡ Instant recall!' :
+                   rating === Rating.HARD ? '🐢 Got it! It will come back sooner' :
+                   '🎉 Perfect Match!'
+                 );
+             }
              createParticles(x, y, true);
-             updateWordStats(c1.id, true);
+             autoPlayWord(wordsById.get(wordCard.id));
+             if (!isBlindPair) updateWordStats(wordCard.id, true, { ...review, rating });
              recordMatch(true);
 
-             if (matchedPairs.length + 1 === gameCards.length / 2) {
+             // Every card on the board matched (replaced cards get new pair ids)
+             const allMatched = gameCards.every(c => c.pairId === matchedPairId || matchedPairs.includes(c.pairId));
+
+             if (allMatched) {
                  if (availableWords.length > 0) {
                      setMessage('🎯 Keep going! New words incoming...');
-                     replaceMatchedCards(c1.pairId);
+                     replaceMatchedCards(matchedPairId);
+                 } else if (isDueReview) {
+                     setMessage('✅ All due reviews done!');
+                     setShowConfetti(true);
+                     setIsTimerActive(false);
+                     setIsQueueDone(true);
                  } else {
                      setShowConfetti(true);
                      setIsTimerActive(false);
@@ -375,36 +639,53 @@ const Game = () => {
                          setTimer(timerDuration);
                          setTimeout(() => {
                              setShowConfetti(false);
-                             if (!isInfiniteMode) setIsTimerActive(true);
+                             if (isTimed) setIsTimerActive(true);
                              startNewRound();
                          }, 500);
                      }, 300);
                  }
              } else {
-                 if (availableWords.length > 0) replaceMatchedCards(c1.pairId);
+                 if (availableWords.length > 0) replaceMatchedCards(matchedPairId);
              }
 
           } else {
              hapticError();
              comboRef.current = 0;
              setCombo(0);
-             setMessage('❌ Try again!');
-             createParticles(x, y, false);
-             recordMatch(false);
-             updateWordStats(c1.id, false);
-             updateWordStats(c2.id, false);
+             if (isGuess) {
+                 setMessage('🙈 No match. Remember where they are!');
+             } else {
+                 setMessage('❌ Try again!');
+                 createParticles(x, y, false);
+                 recordMatch(false);
+                 if (isFirstSeen) {
+                     updateWordStats(c1.id, false, review);
+                     // The second card was only picked against the first one
+                     updateWordStats(c2.id, false, { ...review, countsAsLapse: false });
+                     // A word matched with another word's meaning: remember the mix-up
+                     if (c1.type !== c2.type) {
+                         recordConfusion(c1.id, c2.id);
+                     }
+                 } else {
+                     // Only the second card had been seen; the first was new.
+                     // Its place was misremembered, not its meaning, so no lapse
+                     updateWordStats(c2.id, false, { ...review, countsAsLapse: false });
+                 }
+             }
           }
 
+          // Face-down mismatches stay up long enough to be memorised
+          const isMismatch = c1.pairId !== c2.pairId && !isSameMeaning;
           setTimeout(() => {
               setSelectedCards([]);
               setIsChecking(false);
-          }, 300);
+          }, isFaceDown && isMismatch ? FACE_DOWN_REVEAL_MS : 300);
 
       }, 150);
     }
-  }, [gameCards, selectedCards, matchedPairs, isChecking, isInfiniteMode, round, availableWords.length,
-      timerDuration, updateWordStats, recordMatch, awardPoints, replaceMatchedCards,
-      startNewRound, shuffleArray]);
+  }, [gameCards, selectedCards, matchedPairs, isChecking, isInfiniteMode, isTimed, isDueReview, isFaceDown, requiredFirstType, round,
+      availableWords.length, timerDuration, sessionId, words, updateWordStats, recordMatch, recordConfusion, awardPoints,
+      replaceMatchedCards, revealCard, startNewRound, autoPlayWord, wordsById]);
 
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
@@ -414,7 +695,7 @@ const Game = () => {
 
   const getDisplayTime = () => {
     if (elapsedTime) return formatTime(elapsedTime);
-    if (isInfiniteMode) return '∞';
+    if (!isTimed) return '∞';
     return `${timerDuration}s`;
   };
 
@@ -427,11 +708,25 @@ const Game = () => {
           index={index}
           isSelected={selectedCards.includes(index)}
           isMatched={matchedPairs.includes(card.pairId)}
+          isFaceDown={isFaceDown && !selectedCards.includes(index) && !matchedPairs.includes(card.pairId)}
+          word={card.type === 'word' ? wordsById.get(card.id) : null}
           onClick={handleCardClick}
         />
       ))}
     </div>
-  ), [gameCards, selectedCards, matchedPairs, handleCardClick, difficulty]);
+  ), [gameCards, selectedCards, matchedPairs, handleCardClick, difficulty, isFaceDown, wordsById]);
+
+  // Link that deals the same boards for anyone who opens it and has the
+  // same words (challenge boards don't depend on anyone's stats)
+  const copyChallengeLink = () => {
+    const params = new URLSearchParams({ seed, difficulty });
+    const topic = topics.find(t => t.id === selectedTopic);
+    if (topic) params.set('topic', topic.name);
+    if (isFaceDown) params.set('faceDown', '1');
+    if (direction !== DIRECTIONS.FORWARD) params.set('direction', direction);
+    const link = `${window.location.origin}${window.location.pathname}?${params}`;
+    navigator.clipboard?.writeText(link).then(() => setLinkCopied(true), () => {});
+  };
 
   const GameOverScreen = () => (
     <motion.div
@@ -454,8 +749,14 @@ const Game = () => {
             </div>
             <div>
               <p className="text-sm uppercase tracking-[0.3em] text-indigo-400 font-semibold">Great Run!</p>
-              <h2 className="text-4xl md:text-5xl font-extrabold text-slate-900 dark:text-white drop-shadow-sm">Game Over</h2>
-              <p className="text-slate-600 dark:text-slate-300 mt-2">Here are your final stats.</p>
+              <h2 className="text-4xl md:text-5xl font-extrabold text-slate-900 dark:text-white drop-shadow-sm">
+                {isQueueDone ? 'Reviews Done' : 'Game Over'}
+              </h2>
+              <p className="text-slate-600 dark:text-slate-300 mt-2">
+                {isQueueDone
+                  ? `You reviewed all ${gameWords.length} due ${gameWords.length === 1 ? 'word' : 'words'}.`
+                  : 'Here are your final stats.'}
+              </p>
             </div>
           </div>
 
@@ -492,21 +793,44 @@ const Game = () => {
                 <p className="text-xs uppercase tracking-wide text-slate-500 dark:text-slate-400">Coins</p>
                 <p className="text-2xl font-bold text-amber-500 dark:text-amber-300">{sessionCoins}</p>
               </Card>
-              <Card className="glass p-4 text-center">
-                <p className="text-xs uppercase tracking-wide text-slate-500 dark:text-slate-400">Difficulty</p>
-                <p className="text-lg font-semibold text-slate-800 dark:text-slate-200 capitalize">{difficulty}</p>
-              </Card>
+              {isFaceDown ? (
+                <Card className="glass p-4 text-center">
+                  <p className="text-xs uppercase tracking-wide text-slate-500 dark:text-slate-400">Flips</p>
+                  <p className="text-2xl font-bold text-slate-800 dark:text-slate-200">{flips}</p>
+                </Card>
+              ) : (
+                <Card className="glass p-4 text-center">
+                  <p className="text-xs uppercase tracking-wide text-slate-500 dark:text-slate-400">Difficulty</p>
+                  <p className="text-lg font-semibold text-slate-800 dark:text-slate-200 capitalize">{difficulty}</p>
+                </Card>
+              )}
             </div>
 
-            <div className="flex flex-col sm:flex-row gap-3">
-              <Button
-                onClick={restartGame}
-                variant="primary"
-                size="md"
-                fullWidth
+            <div className="flex items-center justify-between gap-3 text-sm text-slate-500 dark:text-slate-400">
+              <span>Board seed <span className="font-mono font-semibold">{seed}</span></span>
+              <button
+                type="button"
+                onClick={copyChallengeLink}
+                title={isChallenge
+                  ? 'Friends with the same words get the boards you just played'
+                  : 'Friends with the same words all get the same boards (not the ones picked for you here)'}
+                className="font-semibold text-indigo-600 dark:text-indigo-300 hover:underline"
               >
-                Play Again
-              </Button>
+                {linkCopied ? '✅ Link copied' : '🔗 Copy challenge link'}
+              </button>
+            </div>
+
+            <div className="flex flex-col sm:flex-row gap-3">
+              {!isDueReview && (
+                <Button
+                  onClick={restartGame}
+                  variant="primary"
+                  size="md"
+                  fullWidth
+                >
+                  Play Again
+                </Button>
+              )}
               <Button
                 onClick={() => navigate('/')}
                 variant="secondary"
@@ -570,7 +894,14 @@ const Game = () => {
           >
             End Game
           </Button>
-          {topics.length > 0 && (
+          {isDueReview && (
+            <Card className="px-3 py-2 flex items-center">
+              <span className="text-sm font-semibold text-slate-700 dark:text-slate-300">
+                🗓️ Due review · {gameWords.length} {gameWords.length === 1 ? 'word' : 'words'}
+              </span>
+            </Card>
+          )}
+          {topics.length > 0 && !isDueReview && (
             <select
               value={selectedTopic || ''}
               onChange={(e) => {
@@ -578,6 +909,8 @@ const Game = () => {
                 setRound(1);
                 setScore(0);
                 setCombo(0);
+                setFlips(0);
+                flipsSinceMatchRef.current = 0;
                 setTimeout(() => startNewRound(), 0);
               }}
               className="px-3 py-2 rounded-xl border-2 border-slate-200 dark:border-slate-600 focus:border-primary-500 focus:outline-none transition-colors bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 text-sm"
@@ -633,17 +966,25 @@ const Game = () => {
               </div>
             </Card>
           </motion.div>
+          {isFaceDown && (
+            <Card className="px-4 py-2">
+              <div className="text-center">
+                <div className="text-xs text-slate-500 dark:text-slate-400">Flips</div>
+                <div className="text-lg font-bold text-slate-700 dark:text-slate-300">{flips}</div>
+              </div>
+            </Card>
+          )}
           <motion.div
             animate={{ 
-              scale: timer <= 5 && !isInfiniteMode ? [1, 1.1, 1] : 1,
+              scale: timer <= 5 && isTimed ? [1, 1.1, 1] : 1,
             }}
-            transition={{ duration: 0.5, repeat: timer <= 5 && !isInfiniteMode ? Infinity : 0 }}
+            transition={{ duration: 0.5, repeat: timer <= 5 && isTimed ? Infinity : 0 }}
           >
             <Card className="px-4 py-2">
               <div className="text-center">
                 <div className="text-xs text-slate-500 dark:text-slate-400">Timer</div>
-                <div className={`text-lg font-bold ${!isInfiniteMode && timer <= 5 ? 'text-red-600 dark:text-red-400' : 'text-emerald-600 dark:text-emerald-400'}`}>
-                  {isInfiniteMode ? '∞' : `${timer}s`}
+                <div className={`text-lg font-bold ${isTimed && timer <= 5 ? 'text-red-600 dark:text-red-400' : 'text-emerald-600 dark:text-emerald-400'}`}>
+                  {isTimed ? `${timer}s` : '∞'}
                 </div>
               </div>
             </Card>
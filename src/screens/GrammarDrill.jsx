@@ -0,0 +1,361 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import Button from '../components/Button';
+import Card from '../components/Card';
+import WindowSelector from '../components/WindowSelector';
+import PracticeHeader from '../components/PracticeHeader';
+import PracticeSummary from '../components/PracticeSummary';
+import useContentStore from '../store/contentStore';
+import usePracticeSession from '../hooks/usePracticeSession';
+import { RESPONSE_THRESHOLDS } from '../utils/grading';
+import {
+  GENDERS,
+  GENDER_LABELS,
+  NOUN_ATTRIBUTES,
+  NOUN_ATTRIBUTE_LABELS,
+  checkPlural,
+  formatNoun,
+  getDrillableAttributes,
+  getGrammarStats,
+  splitArticle
+} from '../utils/germanNouns';
+import { hapticSuccess, hapticError } from '../utils/haptic';
+
+// 'mixed' asks for whichever attributes a noun has
+const DRILL_TASKS = ['mixed', NOUN_ATTRIBUTES.GENDER, NOUN_ATTRIBUTES.PLURAL];
+
+const DRILL_TASK_LABELS = {
+  mixed: 'Both',
+  gender: 'Articles',
+  plural: 'Plurals',
+};
+
+const GENDER_KEYS = ['1', '2', '3'];
+
+const GENDER_COLORS = {
+  der: 'from-sky-500 to-blue-600',
+  die: 'from-rose-500 to-pink-600',
+  das: 'from-emerald-500 to-teal-600',
+};
+
+// Delay before a right article moves on by itself
+const AUTO_ADVANCE_MS = 900;
+
+// Accuracy over all drilled nouns, per attribute
+const summarizeAccuracy = (words, attribute) => {
+  const totals = words.reduce((sum, w) => {
+    const stats = getGrammarStats(w, attribute);
+    return { correct: sum.correct + stats.correct, attempts: sum.attempts + stats.correct + stats.wrong };
+  }, { correct: 0, attempts: 0 });
+  return totals.attempts > 0 ? Math.round((totals.correct / totals.attempts) * 100) : null;
+};
+
+const GrammarDrill = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const words = useContentStore(state => state.words);
+  const updateGrammarStats = useContentStore(state => state.updateGrammarStats);
+
+  const [task, setTask] = useState(DRILL_TASKS[0]);
+  const canPractice = useCallback((w) => {
+    const attributes = getDrillableAttributes(w);
+    return task === 'mixed' ? attributes.length > 0 : attributes.includes(task);
+  }, [task]);
+
+  const {
+    topics, pool, selectedTopic, setSelectedTopic, current, index, total, results, isFinished, answer, next, restart
+  } = usePracticeSession({
+    mode: 'grammar',
+    topicId: location.state?.topicId || null,
+    canPractice,
+    recordAnswer: updateGrammarStats
+  });
+
+  const [input, setInput] = useState('');
+  const [feedback, setFeedback] = useState(null);
+  const inputRef = useRef(null);
+
+  const wordsById = useMemo(() => new Map(words.map(w => [w.id, w])), [words]);
+  const correctCount = results.filter(r => r.isCorrect).length;
+  const currentId = current?.id;
+
+  const accuracy = useMemo(() => ({
+    gender: summarizeAccuracy(pool, NOUN_ATTRIBUTES.GENDER),
+    plural: summarizeAccuracy(pool, NOUN_ATTRIBUTES.PLURAL),
+  }), [pool]);
+
+  // Drawn once per word, so answering doesn't switch the question
+  const attribute = useMemo(() => {
+    if (currentId == null) return null;
+    if (task !== 'mixed') return task;
+    const word = useContentStore.getState().words.find(w => w.id === currentId);
+    const attributes = getDrillableAttributes(word);
+    return attributes[Math.floor(Math.random() * attributes.length)];
+  }, [currentId, task]);
+
+  const noun = current ? splitArticle(current.word).noun : '';
+
+  useEffect(() => {
+    if (attribute === NOUN_ATTRIBUTES.PLURAL) inputRef.current?.focus();
+  }, [attribute, index]);
+
+  const goNext = useCallback(() => {
+    setFeedback(null);
+    setInput('');
+    next();
+  }, [next]);
+
+  const record = useCallback((isCorrect, thresholds) => {
+    answer(isCorrect, { thresholds, review: { attribute } });
+    if (isCorrect) {
+      hapticSuccess();
+    } else {
+      hapticError();
+    }
+  }, [answer, attribute]);
+
+  const handleGender = useCallback((gender) => {
+    if (!current || feedback || attribute !== NOUN_ATTRIBUTES.GENDER) return;
+    const isCorrect = gender === current.gender;
+    record(isCorrect, RESPONSE_THRESHOLDS.quiz);
+    setFeedback({ isCorrect, chosen: gender });
+  }, [current, feedback, attribute, record]);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    if (!current) return;
+    if (feedback) {
+      goNext();
+      return;
+    }
+    if (!input.trim()) return;
+    const isCorrect = checkPlural(input, current.plural);
+    record(isCorrect, RESPONSE_THRESHOLDS.typing);
+    setFeedback({ isCorrect });
+  }, [current, feedback, input, record, goNext]);
+
+  const handleGiveUp = useCallback(() => {
+    if (!current || feedback) return;
+    record(false);
+    setFeedback({ isCorrect: false });
+    inputRef.current?.focus();
+  }, [current, feedback, record]);
+
+  useEffect(() => {
+    if (!feedback?.isCorrect || attribute !== NOUN_ATTRIBUTES.GENDER) return;
+    const timeout = setTimeout(goNext, AUTO_ADVANCE_MS);
+    return () => clearTimeout(timeout);
+  }, [feedback, attribute, goNext]);
+
+  // Number keys pick an article, Enter moves on after a wrong one
+  useEffect(() => {
+    if (attribute !== NOUN_ATTRIBUTES.GENDER) return;
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === 'SELECT') return;
+      const genderIndex = GENDER_KEYS.indexOf(e.key);
+      if (genderIndex !== -1) {
+        handleGender(GENDERS[genderIndex]);
+      } else if (e.key === 'Enter' && feedback) {
+        e.preventDefault();
+        goNext();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [attribute, feedback, handleGender, goNext]);
+
+  const handleTaskChange = useCallback((value) => {
+    setFeedback(null);
+    setInput('');
+    setTask(value);
+  }, []);
+
+  const handleTopicChange = useCallback((topicId) => {
+    setFeedback(null);
+    setInput('');
+    setSelectedTopic(topicId);
+  }, [setSelectedTopic]);
+
+  const handleRestart = useCallback(() => {
+    setFeedback(null);
+    setInput('');
+    restart();
+  }, [restart]);
+
+  if (isFinished) {
+    return (
+      <PracticeSummary
+        title="Grammar Done"
+        results={results}
+        wordsById={wordsById}
+        onRestart={handleRestart}
+        onHome={() => navigate('/')}
+      />
+    );
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="max-w-3xl mx-auto space-y-6"
+    >
+      <PracticeHeader
+        topics={topics}
+        selectedTopic={selectedTopic}
+        onTopicChange={handleTopicChange}
+        position={index + 1}
+        total={total}
+        correct={correctCount}
+        onExit={() => navigate('/')}
+      />
+
+      <WindowSelector
+        options={DRILL_TASKS}
+        value={task}
+        onChange={handleTaskChange}
+        formatLabel={(option) => DRILL_TASK_LABELS[option]}
+        label="Drill"
+      />
+
+      {pool.length > 0 && (
+        <p className="text-center text-sm text-slate-600 dark:text-slate-400">
+          {Object.values(NOUN_ATTRIBUTES).map(key => (
+            <span key={key} className="mx-2">
+              {NOUN_ATTRIBUTE_LABELS[key]}:{' '}
+              <span className="font-bold text-indigo-600 dark:text-indigo-400">
+                {accuracy[key] != null ? `${accuracy[key]}%` : '–'}
+              </span>
+            </span>
+          ))}
+        </p>
+      )}
+
+      {pool.length === 0 ? (
+        <Card className="card-glass border-0 text-center py-16">
+          <div className="text-7xl mb-6">🇩🇪</div>
+          <h3 className="text-2xl font-black text-slate-900 dark:text-slate-100 mb-3">
+            No nouns to drill
+          </h3>
+          <p className="text-slate-600 dark:text-slate-400 text-lg mb-6">
+            Give nouns an article or a plural when you add them, then drill them here.
+          </p>
+          <Button onClick={() => navigate('/welcome')} icon="📚">Go to Topics</Button>
+        </Card>
+      ) : current && attribute && (
+        <Card className="card-glass border-0 p-6 sm:p-10">
+          <AnimatePresence mode="wait">
+            <motion.div
+              key={`${current.id}-${attribute}`}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+              transition={{ duration: 0.2 }}
+              className="text-center mb-8"
+            >
+              <p className="text-sm uppercase tracking-[0.2em] text-slate-500 dark:text-slate-400 mb-3">
+                {attribute === NOUN_ATTRIBUTES.GENDER ? 'Pick the article' : 'Type the plural'}
+              </p>
+              <h2 className="text-4xl sm:text-5xl font-black text-slate-900 dark:text-slate-100 break-words">
+                {attribute === NOUN_ATTRIBUTES.GENDER ? noun : formatNoun(current)}
+              </h2>
+              <p className="text-slate-500 dark:text-slate-400 mt-2">{current.meaning}</p>
+            </motion.div>
+          </AnimatePresence>
+
+          {attribute === NOUN_ATTRIBUTES.GENDER ? (
+            <div className="grid grid-cols-3 gap-3">
+              {GENDERS.map((gender, genderIndex) => {
+                const isAnswer = feedback && gender === current.gender;
+                const isWrongChoice = feedback && gender === feedback.chosen && !feedback.isCorrect;
+                return (
+                  <motion.button
+                    key={gender}
+                    type="button"
+                    whileTap={!feedback ? { scale: 0.95 } : undefined}
+                    onClick={() => handleGender(gender)}
+                    disabled={!!feedback}
+                    title={GENDER_LABELS[gender]}
+                    className={`
+                      rounded-2xl px-2 py-4 bg-gradient-to-br ${GENDER_COLORS[gender]} text-white shadow-lg transition-opacity
+                      ${feedback && !isAnswer && !isWrongChoice ? 'opacity-40' : ''}
+                      ${isAnswer ? 'ring-4 ring-emerald-400' : ''}
+                      ${isWrongChoice ? 'ring-4 ring-rose-400' : ''}
+                    `}
+                  >
+                    <span className="block text-2xl font-black">{gender}</span>
+                    <span className="block text-xs text-white/80">{GENDER_KEYS[genderIndex]}</span>
+                  </motion.button>
+                );
+              })}
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <input
+                ref={inputRef}
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                readOnly={!!feedback}
+                autoComplete="off"
+                autoCapitalize="off"
+                spellCheck={false}
+                placeholder="die …"
+                aria-label="Plural"
+                className={`
+                  w-full px-5 py-4 rounded-2xl border-2 text-xl font-semibold text-center focus:outline-none transition-colors
+                  bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100
+                  ${!feedback ? 'border-slate-200 dark:border-slate-600 focus:border-indigo-500' : ''}
+                  ${feedback?.isCorrect ? 'border-emerald-500' : ''}
+                  ${feedback && !feedback.isCorrect ? 'border-rose-500' : ''}
+                `}
+              />
+              <div className="flex gap-3">
+                {feedback ? (
+                  <Button type="submit" fullWidth icon="→">
+                    {index + 1 >= total ? 'See Results' : 'Next'}
+                  </Button>
+                ) : (
+                  <>
+                    <Button type="button" variant="secondary" onClick={handleGiveUp}>
+                      I don't know
+                    </Button>
+                    <Button type="submit" fullWidth disabled={!input.trim()}>
+                      Check
+                    </Button>
+                  </>
+                )}
+              </div>
+            </form>
+          )}
+
+          {feedback && (
+            <div
+              className={`mt-6 p-4 rounded-xl text-center font-semibold ${
+                feedback.isCorrect
+                  ? 'bg-emerald-50 dark:bg-emerald-900/20 text-emerald-800 dark:text-emerald-200'
+                  : 'bg-rose-50 dark:bg-rose-900/20 text-rose-800 dark:text-rose-200'
+              }`}
+              role="status"
+            >
+              {feedback.isCorrect ? '✅ ' : '❌ '}
+              <strong>{formatNoun(current)}</strong>
+              {current.plural && <>, die {current.plural}</>}
+              {current.genitive && <> · Gen. {current.genitive}</>}
+            </div>
+          )}
+
+          {feedback && !feedback.isCorrect && attribute === NOUN_ATTRIBUTES.GENDER && (
+            <div className="mt-4">
+              <Button onClick={goNext} fullWidth icon="→">
+                {index + 1 >= total ? 'See Results' : 'Next'}
+              </Button>
+            </div>
+          )}
+        </Card>
+      )}
+    </motion.div>
+  );
+};
+
+export default GrammarDrill;
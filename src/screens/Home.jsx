@@ -1,18 +1,40 @@
 import React, { useState, useMemo, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Target, Gamepad2, BookOpen, BarChart3, GraduationCap, Lightbulb, Clock, Zap, ArrowRight, Sparkles, FolderOpen } from 'lucide-react';
+import { Target, Gamepad2, BookOpen, BarChart3, GraduationCap, Lightbulb, Clock, Zap, ArrowRight, Sparkles, FolderOpen, CalendarClock, ArrowLeftRight, Volume2, Headphones, Languages, TextCursorInput, Keyboard, ListChecks, Layers, WalletCards } from 'lucide-react';
 import { motion } from 'framer-motion';
 import Button from '../components/Button';
 import Card from '../components/Card';
 import useContentStore from '../store/contentStore';
+import useSettingsStore from '../store/settingsStore';
+import { useVoices } from '../hooks/useSpeech';
 import { hapticLight } from '../utils/haptic';
+import { getDueQueue } from '../utils/aiWordSelector';
+import { createSchedulerResolver } from '../utils/schedulers';
+import { DIRECTION_SETTINGS, DIRECTION_LABELS } from '../utils/directions';
+import { canCloze } from '../utils/cloze';
+import { SPEECH_RATES, isSpeechSupported, getTopicLanguage, getLanguageName, getVoicesForLanguage } from '../utils/speech';
 
 const Home = () => {
   const navigate = useNavigate();
   const words = useContentStore(state => state.words);
+  const topics = useContentStore(state => state.topics);
   const [timerDuration, setTimerDuration] = useState(30);
   const [isInfiniteMode, setIsInfiniteMode] = useState(false);
   const [difficulty, setDifficulty] = useState('easy'); // 'easy' or 'hard'
+  const [direction, setDirection] = useState('forward'); // 'forward', 'reverse' or 'mixed'
+  const speechVoices = useSettingsStore(state => state.speechVoices);
+  const speechRate = useSettingsStore(state => state.speechRate);
+  const autoPlaySpeech = useSettingsStore(state => state.autoPlaySpeech);
+  const setSpeechVoice = useSettingsStore(state => state.setSpeechVoice);
+  const setSpeechRate = useSettingsStore(state => state.setSpeechRate);
+  const setAutoPlaySpeech = useSettingsStore(state => state.setAutoPlaySpeech);
+  const voices = useVoices();
+
+  // One voice choice per language your topics are in
+  const topicLanguages = useMemo(
+    () => [...new Set(topics.map(getTopicLanguage))],
+    [topics]
+  );
 
   // Helper function to check if a timer option is selected
   const isTimerSelected = useCallback((duration) => {
@@ -20,6 +42,12 @@ const Home = () => {
            (duration !== 'infinite' && !isInfiniteMode && timerDuration === duration);
   }, [isInfiniteMode, timerDuration]);
 
+  // Words whose next review falls on or before today
+  const dueCount = useMemo(
+    () => getDueQueue(words.filter(w => w.topicId != null), { schedulerFor: createSchedulerResolver(topics) }).length,
+    [words, topics]
+  );
+
   const menuItems = useMemo(() => [
     {
       title: 'Topics',
@@ -37,7 +65,86 @@ const Home = () => {
       variant: 'success',
       gradient: 'from-emerald-500 to-teal-600',
       disabled: words.length < 8,
-      state: { timerDuration, difficulty, isInfiniteMode }
+      state: { timerDuration, difficulty, isInfiniteMode, direction }
+    },
+    {
+      title: 'Memory Game',
+      icon: Layers,
+      description: 'Match face-down cards from memory',
+      path: '/game',
+      variant: 'success',
+      gradient: 'from-teal-500 to-cyan-600',
+      disabled: words.length < 8,
+      state: { timerDuration, difficulty, isInfiniteMode, direction, isFaceDown: true }
+    },
+    {
+      title: 'Review Due Words',
+      icon: CalendarClock,
+      description: dueCount > 0
+        ? `${dueCount} ${dueCount === 1 ? 'word' : 'words'} due today`
+        : 'Nothing due today 🎉',
+      path: '/game',
+      variant: 'primary',
+      gradient: 'from-amber-500 to-orange-600',
+      disabled: dueCount === 0,
+      state: { mode: 'due', difficulty, direction }
+    },
+    {
+      title: 'Flashcards',
+      icon: WalletCards,
+      description: 'Flip cards and grade yourself',
+      path: '/flashcards',
+      variant: 'primary',
+      gradient: 'from-rose-500 to-pink-600',
+      disabled: words.length === 0,
+      state: { direction }
+    },
+    {
+      title: 'Type the Answer',
+      icon: Keyboard,
+      description: 'Recall meanings by typing them',
+      path: '/typing',
+      variant: 'primary',
+      gradient: 'from-violet-500 to-fuchsia-600',
+      disabled: words.length === 0,
+      state: { direction }
+    },
+    {
+      title: 'Multiple Choice',
+      icon: ListChecks,
+      description: 'Pick the meaning out of four',
+      path: '/quiz',
+      variant: 'primary',
+      gradient: 'from-sky-500 to-indigo-600',
+      disabled: words.length < 4,
+      state: { direction }
+    },
+    {
+      title: 'Listening',
+      icon: Headphones,
+      description: 'Hear a word, then spell it or pick its meaning',
+      path: '/listening',
+      variant: 'primary',
+      gradient: 'from-cyan-500 to-teal-600',
+      disabled: words.length === 0
+    },
+    {
+      title: 'Grammar Drill',
+      icon: Languages,
+      description: 'Articles and plurals of German nouns',
+      path: '/grammar',
+      variant: 'primary',
+      gradient: 'from-amber-500 to-orange-600',
+      disabled: !words.some(w => w.gender || w.plural)
+    },
+    {
+      title: 'Sentences',
+      icon: TextCursorInput,
+      description: 'Fill your words into their example sentences',
+      path: '/cloze',
+      variant: 'primary',
+      gradient: 'from-lime-500 to-emerald-600',
+      disabled: !words.some(canCloze)
     },
     {
       title: 'My Words',
@@ -55,7 +162,7 @@ const Home = () => {
       variant: 'secondary',
       gradient: 'from-pink-500 to-rose-600'
     }
-  ], [words.length, timerDuration, difficulty, isInfiniteMode]);
+  ], [words.length, dueCount, timerDuration, difficulty, isInfiniteMode, direction]);
 
   return (
     <div className="space-y-8 sm:space-y-12 pb-8">
@@ -238,6 +345,125 @@ const Home = () => {
             </div>
           </Card>
         </motion.div>
+
+        {/* Direction Selection Card */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.3, delay: 0.28 }}
+          className="sm:col-span-2"
+        >
+          <Card className="p-6 card-glass hover-lift border-0">
+            <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+              <div className="flex items-center gap-3 sm:w-64">
+                <div className="p-3 rounded-xl bg-gradient-to-br from-fuchsia-500 to-pink-600">
+                  <ArrowLeftRight className="w-6 h-6 text-white" />
+                </div>
+                <div>
+                  <span className="text-base font-bold text-slate-900 dark:text-slate-100 block">Direction</span>
+                  <span className="text-xs text-slate-500 dark:text-slate-400">What you see and what you recall</span>
+                </div>
+              </div>
+              <div className="flex flex-1 gap-2">
+                {DIRECTION_SETTINGS.map((option) => (
+                  <motion.button
+                    key={option}
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => {
+                      hapticLight();
+                      setDirection(option);
+                    }}
+                    className={`
+                      flex-1 px-3 py-3 rounded-xl text-sm font-bold transition-all duration-300 relative overflow-hidden
+                      ${direction === option
+                        ? 'bg-gradient-to-r from-fuchsia-500 to-pink-600 text-white shadow-lg shadow-fuchsia-500/50'
+                        : 'bg-slate-100 dark:bg-slate-800 text-slate-700 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-700'
+                      }
+                    `}
+                  >
+                    <span className="relative z-10">{DIRECTION_LABELS[option]}</span>
+                  </motion.button>
+                ))}
+              </div>
+            </div>
+          </Card>
+        </motion.div>
+
+        {/* Pronunciation Card */}
+        {isSpeechSupported() && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3, delay: 0.29 }}
+            className="sm:col-span-2"
+          >
+            <Card className="p-6 card-glass hover-lift border-0">
+              <div className="flex flex-col sm:flex-row sm:items-start gap-4">
+                <div className="flex items-center gap-3 sm:w-64">
+                  <div className="p-3 rounded-xl bg-gradient-to-br from-sky-500 to-cyan-600">
+                    <Volume2 className="w-6 h-6 text-white" />
+                  </div>
+                  <div>
+                    <span className="text-base font-bold text-slate-900 dark:text-slate-100 block">Pronunciation</span>
+                    <span className="text-xs text-slate-500 dark:text-slate-400">Voice, speed and auto-play</span>
+                  </div>
+                </div>
+                <div className="flex-1 space-y-3">
+                  {topicLanguages.map((language) => (
+                    <label key={language} className="flex items-center justify-between gap-3 text-sm font-bold text-slate-700 dark:text-slate-300">
+                      {getLanguageName(language)} voice
+                      <select
+                        value={speechVoices[language] || ''}
+                        onChange={(e) => setSpeechVoice(language, e.target.value)}
+                        className="flex-1 max-w-xs px-3 py-2 rounded-xl border-2 border-slate-200 dark:border-slate-600 focus:border-sky-500 focus:outline-none transition-colors bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100 font-medium"
+                      >
+                        <option value="">Automatic</option>
+                        {getVoicesForLanguage(voices, language).map(voice => (
+                          <option key={voice.voiceURI} value={voice.voiceURI}>
+                            {voice.name} ({voice.lang})
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                  <div className="flex gap-2">
+                    {SPEECH_RATES.map((rate) => (
+                      <motion.button
+                        key={rate}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={() => {
+                          hapticLight();
+                          setSpeechRate(rate);
+                        }}
+                        aria-pressed={speechRate === rate}
+                        className={`
+                          flex-1 px-3 py-2 rounded-xl text-sm font-bold transition-all duration-300
+                          ${speechRate === rate
+                            ? 'bg-gradient-to-r from-sky-500 to-cyan-600 text-white shadow-lg shadow-sky-500/50'
+                            : 'bg-slate-100 dark:bg-slate-800 text-slate-700 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-700'
+                          }
+                        `}
+                      >
+                        {rate}×
+                      </motion.button>
+                    ))}
+                  </div>
+                  <label className="flex items-center gap-2 text-sm font-medium text-slate-700 dark:text-slate-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={autoPlaySpeech}
+                      onChange={(e) => setAutoPlaySpeech(e.target.checked)}
+                      className="w-4 h-4 accent-sky-500"
+                    />
+                    Say each word when you match or answer it
+                  </label>
+                </div>
+              </div>
+            </Card>
+          </motion.div>
+        )}
       </div>
 
       {/* Menu Grid with Nike-style Cards */}
@@ -246,7 +472,7 @@ const Home = () => {
           const IconComponent = item.icon;
           return (
             <motion.div
-              key={item.path}
+              key={item.title}
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
               transition={{ duration: 0.3, delay: 0.3 + index * 0.05 }}
@@ -0,0 +1,176 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import Button from '../components/Button';
+import Card from '../components/Card';
+import WordEditor from '../components/WordEditor';
+import useContentStore from '../store/contentStore';
+import { LEECH_THRESHOLD, getLeeches } from '../utils/leeches';
+
+// Memoized Leech Item Component
+const LeechItem = React.memo(({ word, topic, index, words, topics, onSave, onReset, onToggleSuspended }) => {
+  const [isEditing, setIsEditing] = useState(false);
+
+  const handleSave = useCallback((id, updates, options) => {
+    onSave(id, updates, options);
+    setIsEditing(false);
+  }, [onSave]);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, x: 100, transition: { duration: 0.2 } }}
+      transition={{ delay: index * 0.03 }}
+      layout
+    >
+      <Card className="card-glass border-0">
+        {isEditing ? (
+          <WordEditor
+            word={word}
+            words={words}
+            topics={topics}
+            onSave={handleSave}
+            onCancel={() => setIsEditing(false)}
+          />
+        ) : (
+          <div className="space-y-4">
+            <div className="flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2 flex-wrap mb-1">
+                  <h3 className="text-2xl font-black text-slate-900 dark:text-slate-100 truncate">{word.word}</h3>
+                  {word.suspended && (
+                    <span className="px-3 py-1 text-xs font-black rounded-full bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300">
+                      ⏸️ Suspended
+                    </span>
+                  )}
+                </div>
+                <p className="text-slate-700 dark:text-slate-300 font-medium">{word.meaning}</p>
+                {topic && (
+                  <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">{topic.emoji} {topic.name}</p>
+                )}
+              </div>
+              <span className="px-3 py-1 bg-rose-100 dark:bg-rose-900/30 text-rose-700 dark:text-rose-300 rounded-full text-sm font-bold whitespace-nowrap">
+                {word.lapses || 0} lapses
+              </span>
+            </div>
+
+            {word.mnemonic && (
+              <p className="text-sm p-3 rounded-lg bg-indigo-50 dark:bg-indigo-900/20 text-indigo-800 dark:text-indigo-200">
+                💡 {word.mnemonic}
+              </p>
+            )}
+
+            <div className="grid grid-cols-3 gap-2">
+              <Button size="sm" variant="secondary" icon="✏️" fullWidth onClick={() => setIsEditing(true)}>
+                Edit
+              </Button>
+              <Button size="sm" variant="secondary" icon="🔄" fullWidth onClick={() => onReset(word.id)}>
+                Reset
+              </Button>
+              <Button
+                size="sm"
+                variant={word.suspended ? 'success' : 'secondary'}
+                icon={word.suspended ? '▶️' : '⏸️'}
+                fullWidth
+                onClick={() => onToggleSuspended(word.id, !word.suspended)}
+              >
+                {word.suspended ? 'Unsuspend' : 'Suspend'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Card>
+    </motion.div>
+  );
+});
+
+LeechItem.displayName = 'LeechItem';
+
+const Leeches = () => {
+  const navigate = useNavigate();
+  const words = useContentStore(state => state.words);
+  const topics = useContentStore(state => state.topics);
+  const editWord = useContentStore(state => state.editWord);
+  const resetWordProgress = useContentStore(state => state.resetWordProgress);
+  const setWordSuspended = useContentStore(state => state.setWordSuspended);
+
+  const leeches = useMemo(() => getLeeches(words), [words]);
+  const topicsById = useMemo(() => new Map(topics.map(t => [t.id, t])), [topics]);
+  const suspendedCount = useMemo(() => leeches.filter(w => w.suspended).length, [leeches]);
+
+  const handleReset = useCallback((id) => {
+    if (window.confirm('Reset this word? It will start over as a new word. Its review history is kept.')) {
+      resetWordProgress(id);
+    }
+  }, [resetWordProgress]);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, x: -20 }}
+      animate={{ opacity: 1, x: 0 }}
+      className="max-w-4xl mx-auto space-y-8 pb-8"
+    >
+      <motion.div whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+        <Button variant="secondary" size="md" onClick={() => navigate('/words')} icon="←">
+          Back to Words
+        </Button>
+      </motion.div>
+
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.3 }}
+        className="relative overflow-hidden rounded-3xl bg-gradient-to-br from-rose-600 via-pink-600 to-orange-500 dark:from-rose-700 dark:via-pink-700 dark:to-orange-600 p-8 sm:p-12"
+      >
+        <div className="relative z-10">
+          <h2 className="text-4xl sm:text-5xl font-black text-white mb-3">🩹 Leeches</h2>
+          <p className="text-lg text-white/90">
+            Words forgotten {LEECH_THRESHOLD} times are suspended so they stop eating your practice time.
+            Rework them with a new meaning or a mnemonic, then bring them back.
+          </p>
+          {leeches.length > 0 && (
+            <p className="text-white/90 mt-3">
+              <span className="font-bold bg-white/20 backdrop-blur-sm px-3 py-1 rounded-full">
+                {leeches.length} {leeches.length === 1 ? 'word' : 'words'}
+              </span>
+              <span className="ml-2">{suspendedCount} suspended</span>
+            </p>
+          )}
+        </div>
+      </motion.div>
+
+      {leeches.length === 0 ? (
+        <Card className="card-glass border-0 text-center py-16">
+          <div className="text-7xl mb-6">🎉</div>
+          <h3 className="text-2xl font-black text-slate-900 dark:text-slate-100 mb-3">
+            No leeches
+          </h3>
+          <p className="text-slate-600 dark:text-slate-400 text-lg">
+            None of your words keep slipping away. Nice!
+          </p>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          <AnimatePresence mode="popLayout">
+            {leeches.map((word, index) => (
+              <LeechItem
+                key={word.id}
+                word={word}
+                topic={topicsById.get(word.topicId)}
+                index={index}
+                words={words}
+                topics={topics}
+                onSave={editWord}
+                onReset={handleReset}
+                onToggleSuspended={setWordSuspended}
+              />
+            ))}
+          </AnimatePresence>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default Leeches;
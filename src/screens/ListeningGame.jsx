@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Volume2 } from 'lucide-react';
+import Button from '../components/Button';
+import Card from '../components/Card';
+import WindowSelector from '../components/WindowSelector';
+import PracticeHeader from '../components/PracticeHeader';
+import PracticeSummary from '../components/PracticeSummary';
+import QuizOption from '../components/QuizOption';
+import useContentStore from '../store/contentStore';
+import usePracticeSession from '../hooks/usePracticeSession';
+import useSpeech from '../hooks/useSpeech';
+import useChoiceOptions from '../hooks/useChoiceOptions';
+import { checkAnswer } from '../utils/answerChecker';
+import { RESPONSE_THRESHOLDS } from '../utils/grading';
+import { Rating } from '../utils/fsrs';
+import { DIRECTIONS } from '../utils/directions';
+import { stopSpeaking } from '../utils/speech';
+import { hapticLight, hapticSuccess, hapticError } from '../utils/haptic';
+
+// What the learner does with the word they hear
+const TASKS = ['dictation', 'meaning'];
+
+const TASK_LABELS = {
+  dictation: 'Type what you hear',
+  meaning: 'Pick the meaning',
+};
+
+// Speed of the "slower" replay
+const SLOW_REPLAY_RATE = 0.6;
+
+// Lets a new word's card appear before it is spoken
+const SPEAK_DELAY_MS = 300;
+
+const ListeningGame = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const words = useContentStore(state => state.words);
+  const { isSupported, speakWord } = useSpeech();
+  // Hearing the word and recalling it is the word → meaning direction
+  const {
+    topics, pool, selectedTopic, setSelectedTopic, current, index, total, results, isFinished, answer, next, restart
+  } = usePracticeSession({
+    mode: 'listening',
+    topicId: location.state?.topicId || null,
+    direction: DIRECTIONS.FORWARD
+  });
+
+  const [task, setTask] = useState(TASKS[0]);
+  const [input, setInput] = useState('');
+  const [feedback, setFeedback] = useState(null);
+  const [chosenId, setChosenId] = useState(null);
+  const inputRef = useRef(null);
+
+  const wordsById = useMemo(() => new Map(words.map(w => [w.id, w])), [words]);
+  const correctCount = results.filter(r => r.isCorrect).length;
+  const currentId = current?.id;
+
+  // Every new word is spoken once by itself
+  useEffect(() => {
+    if (currentId == null) return;
+    const timeout = setTimeout(() => {
+      speakWord(useContentStore.getState().words.find(w => w.id === currentId));
+    }, SPEAK_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [currentId, speakWord]);
+
+  useEffect(() => stopSpeaking, []);
+
+  useEffect(() => {
+    if (task === 'dictation') inputRef.current?.focus();
+  }, [task, index, current]);
+
+  const replay = useCallback((rate) => {
+    hapticLight();
+    speakWord(current, rate ? { rate } : undefined);
+    if (task === 'dictation') inputRef.current?.focus();
+  }, [current, speakWord, task]);
+
+  const goNext = useCallback(() => {
+    setFeedback(null);
+    setChosenId(null);
+    setInput('');
+    next();
+  }, [next]);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    if (!current) return;
+    if (feedback) {
+      goNext();
+      return;
+    }
+    if (!input.trim()) return;
+
+    const check = checkAnswer(input, current.word);
+    // A misspelling still shows the word was heard, but not cleanly
+    answer(check.isCorrect, {
+      rating: check.isCorrect && !check.isExact ? Rating.HARD : undefined,
+      thresholds: RESPONSE_THRESHOLDS.dictation
+    });
+    if (check.isCorrect) {
+      hapticSuccess();
+    } else {
+      hapticError();
+    }
+    setFeedback(check);
+  }, [current, feedback, input, answer, goNext]);
+
+  const handleChosen = useCallback((option, isCorrect) => {
+    setChosenId(option.id);
+    setFeedback({ isCorrect, isExact: isCorrect });
+  }, []);
+
+  const { options, choose: handleChoose } = useChoiceOptions({
+    current,
+    answer,
+    thresholds: RESPONSE_THRESHOLDS.listening,
+    isAnswered: !!feedback,
+    onChosen: handleChosen,
+    onNext: goNext,
+    isEnabled: task === 'meaning'
+  });
+
+  const handleGiveUp = useCallback(() => {
+    if (!current || feedback) return;
+    answer(false);
+    hapticError();
+    setFeedback({ isCorrect: false, isExact: false });
+    inputRef.current?.focus();
+  }, [current, feedback, answer]);
+
+  const handleTaskChange = useCallback((value) => {
+    if (feedback) return;
+    setInput('');
+    setTask(value);
+  }, [feedback]);
+
+  const handleTopicChange = useCallback((topicId) => {
+    setFeedback(null);
+    setChosenId(null);
+    setInput('');
+    setSelectedTopic(topicId);
+  }, [setSelectedTopic]);
+
+  const handleRestart = useCallback(() => {
+    setFeedback(null);
+    setChosenId(null);
+    setInput('');
+    restart();
+  }, [restart]);
+
+  if (isFinished) {
+    return (
+      <PracticeSummary
+        title="Listening Done"
+        results={results}
+        wordsById={wordsById}
+        onRestart={handleRestart}
+        onHome={() => navigate('/')}
+      />
+    );
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="max-w-3xl mx-auto space-y-6"
+    >
+      <PracticeHeader
+        topics={topics}
+        selectedTopic={selectedTopic}
+        onTopicChange={handleTopicChange}
+        position={index + 1}
+        total={total}
+        correct={correctCount}
+        onExit={() => navigate('/')}
+      />
+
+      <WindowSelector
+        options={TASKS}
+        value={task}
+        onChange={handleTaskChange}
+        formatLabel={(option) => TASK_LABELS[option]}
+        label="Listening task"
+      />
+
+      {!isSupported ? (
+        <Card className="card-glass border-0 text-center py-16">
+          <div className="text-7xl mb-6">🔇</div>
+          <h3 className="text-2xl font-black text-slate-900 dark:text-slate-100 mb-3">
+            Your browser can't read words aloud
+          </h3>
+          <p className="text-slate-600 dark:text-slate-400 text-lg">
+            Listening practice needs speech synthesis. Try another browser, or practise with Type the Answer.
+          </p>
+        </Card>
+      ) : pool.length === 0 ? (
+        <Card className="card-glass border-0 text-center py-16">
+          <div className="text-7xl mb-6">🎧</div>
+          <h3 className="text-2xl font-black text-slate-900 dark:text-slate-100 mb-3">
+            No words to practise
+          </h3>
+          <p className="text-slate-600 dark:text-slate-400 text-lg mb-6">
+            Add words to this topic to start listening.
+          </p>
+          <Button onClick={() => navigate('/add-word')} icon="➕">Add Words</Button>
+        </Card>
+      ) : current && (
+        <Card className="card-glass border-0 p-6 sm:p-10">
+          <AnimatePresence mode="wait">
+            <motion.div
+              key={current.id}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+              transition={{ duration: 0.2 }}
+              className="text-center mb-8"
+            >
+              <p className="text-sm uppercase tracking-[0.2em] text-slate-500 dark:text-slate-400 mb-4">
+                {task === 'dictation' ? 'Type the word you hear' : 'Pick the meaning of the word you hear'}
+              </p>
+              <div className="flex justify-center gap-3">
+                <motion.button
+                  type="button"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => replay()}
+                  aria-label="Play the word again"
+                  className="w-20 h-20 rounded-full bg-gradient-to-br from-sky-500 to-cyan-600 text-white shadow-lg shadow-sky-500/40 flex items-center justify-center"
+                >
+                  <Volume2 className="w-9 h-9" />
+                </motion.button>
+                <motion.button
+                  type="button"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => replay(SLOW_REPLAY_RATE)}
+                  aria-label="Play the word slowly"
+                  className="w-20 h-20 rounded-full bg-slate-100 dark:bg-slate-800 text-3xl flex items-center justify-center"
+                >
+                  🐢
+                </motion.button>
+              </div>
+              {feedback && (
+                <div className="mt-6">
+                  <h2 className="text-4xl sm:text-5xl font-black text-slate-900 dark:text-slate-100 break-words">
+                    {current.word}
+                  </h2>
+                  <p className="text-lg text-slate-600 dark:text-slate-400 mt-2">{current.meaning}</p>
+                </div>
+              )}
+            </motion.div>
+          </AnimatePresence>
+
+          {task === 'dictation' ? (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <input
+                ref={inputRef}
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                readOnly={!!feedback}
+                autoComplete="off"
+                autoCapitalize="off"
+                spellCheck={false}
+                placeholder="Word…"
+                aria-label="The word you heard"
+                className={`
+                  w-full px-5 py-4 rounded-2xl border-2 text-xl font-semibold text-center focus:outline-none transition-colors
+                  bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100
+                  ${!feedback ? 'border-slate-200 dark:border-slate-600 focus:border-indigo-500' : ''}
+                  ${feedback?.isCorrect ? 'border-emerald-500' : ''}
+                  ${feedback && !feedback.isCorrect ? 'border-rose-500' : ''}
+                `}
+              />
+
+              {feedback && (
+                <p
+                  className={`p-4 rounded-xl text-center font-semibold ${
+                    feedback.isCorrect
+                      ? 'bg-emerald-50 dark:bg-emerald-900/20 text-emerald-800 dark:text-emerald-200'
+                      : 'bg-rose-50 dark:bg-rose-900/20 text-rose-800 dark:text-rose-200'
+                  }`}
+                  role="status"
+                >
+                  {feedback.isExact && '✅ Correct!'}
+                  {feedback.isCorrect && !feedback.isExact && '✏️ Almost, check the spelling above'}
+                  {!feedback.isCorrect && '❌ Not quite, listen again and compare'}
+                </p>
+              )}
+
+              <div className="flex gap-3">
+                {feedback ? (
+                  <Button type="submit" fullWidth icon="→">
+                    {index + 1 >= total ? 'See Results' : 'Next'}
+                  </Button>
+                ) : (
+                  <>
+                    <Button type="button" variant="secondary" onClick={handleGiveUp}>
+                      I don't know
+                    </Button>
+                    <Button type="submit" fullWidth disabled={!input.trim()}>
+                      Check
+                    </Button>
+                  </>
+                )}
+              </div>
+            </form>
+          ) : (
+            <div className="space-y-3">
+              {options.map((option, optionIndex) => (
+                <QuizOption
+                  key={option.id}
+                  option={option}
+                  label={option.meaning}
+                  index={optionIndex}
+                  chosenId={chosenId}
+                  answerId={current.id}
+                  onChoose={handleChoose}
+                />
+              ))}
+              {feedback && (
+                <div className="pt-3">
+                  <Button onClick={goNext} fullWidth icon="→">
+                    {index + 1 >= total ? 'See Results' : 'Next'}
+                  </Button>
+                </div>
+              )}
+            </div>
+          )}
+        </Card>
+      )}
+    </motion.div>
+  );
+};
+
+export default ListeningGame;
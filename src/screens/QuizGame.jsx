@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import Button from '../components/Button';
+import Card from '../components/Card';
+import PracticeHeader from '../components/PracticeHeader';
+import PracticeSummary from '../components/PracticeSummary';
+import QuizOption from '../components/QuizOption';
+import useContentStore from '../store/contentStore';
+import usePracticeSession from '../hooks/usePracticeSession';
+import useChoiceOptions from '../hooks/useChoiceOptions';
+import { RESPONSE_THRESHOLDS } from '../utils/grading';
+import { DIRECTIONS, getPromptAndAnswer } from '../utils/directions';
+
+// Delay before a right answer moves on by itself
+const AUTO_ADVANCE_MS = 900;
+
+const QuizGame = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const words = useContentStore(state => state.words);
+  const {
+    topics, pool, selectedTopic, setSelectedTopic, direction, current, index, total, results, isFinished, answer, next, restart
+  } = usePracticeSession({
+    mode: 'quiz',
+    topicId: location.state?.topicId || null,
+    direction: location.state?.direction
+  });
+  const isReverse = direction === DIRECTIONS.REVERSE;
+
+  const [chosenId, setChosenId] = useState(null);
+
+  const wordsById = useMemo(() => new Map(words.map(w => [w.id, w])), [words]);
+  const correctCount = results.filter(r => r.isCorrect).length;
+  const currentId = current?.id;
+
+  const goNext = useCallback(() => {
+    setChosenId(null);
+    next();
+  }, [next]);
+
+  const handleChosen = useCallback((option) => setChosenId(option.id), []);
+
+  const { options, choose: handleChoose } = useChoiceOptions({
+    current,
+    answer,
+    thresholds: RESPONSE_THRESHOLDS.quiz,
+    isAnswered: chosenId != null,
+    onChosen: handleChosen,
+    onNext: goNext
+  });
+
+  useEffect(() => {
+    if (chosenId == null || chosenId !== currentId) return;
+    const timeout = setTimeout(goNext, AUTO_ADVANCE_MS);
+    return () => clearTimeout(timeout);
+  }, [chosenId, currentId, goNext]);
+
+  const handleTopicChange = useCallback((topicId) => {
+    setChosenId(null);
+    setSelectedTopic(topicId);
+  }, [setSelectedTopic]);
+
+  const handleRestart = useCallback(() => {
+    setChosenId(null);
+    restart();
+  }, [restart]);
+
+  if (isFinished) {
+    return (
+      <PracticeSummary
+        title="Quiz Done"
+        results={results}
+        wordsById={wordsById}
+        onRestart={handleRestart}
+        onHome={() => navigate('/')}
+      />
+    );
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="max-w-3xl mx-auto space-y-6"
+    >
+      <PracticeHeader
+        topics={topics}
+        selectedTopic={selectedTopic}
+        onTopicChange={handleTopicChange}
+        position={index + 1}
+        total={total}
+        correct={correctCount}
+        onExit={() => navigate('/')}
+      />
+
+      {pool.length === 0 ? (
+        <Card className="card-glass border-0 text-center py-16">
+          <div className="text-7xl mb-6">📝</div>
+          <h3 className="text-2xl font-black text-slate-900 dark:text-slate-100 mb-3">
+            No words to practise
+          </h3>
+          <p className="text-slate-600 dark:text-slate-400 text-lg mb-6">
+            Add words to this topic to start the quiz.
+          </p>
+          <Button onClick={() => navigate('/add-word')} icon="➕">Add Words</Button>
+        </Card>
+      ) : current && (
+        <Card className="card-glass border-0 p-6 sm:p-10">
+          <AnimatePresence mode="wait">
+            <motion.div
+              key={`${current.id}-${direction}`}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+              transition={{ duration: 0.2 }}
+            >
+              <div className="text-center mb-8">
+                <p className="text-sm uppercase tracking-[0.2em] text-slate-500 dark:text-slate-400 mb-3">
+                  {isReverse ? 'Pick the word' : 'Pick the meaning'}
+                </p>
+                <h2 className="text-4xl sm:text-5xl font-black text-slate-900 dark:text-slate-100 break-words">
+                  {getPromptAndAnswer(current, direction).prompt}
+                </h2>
+              </div>
+
+              <div className="space-y-3">
+                {options.map((option, optionIndex) => (
+                  <QuizOption
+                    key={option.id}
+                    option={option}
+                    label={getPromptAndAnswer(option, direction).answer}
+                    index={optionIndex}
+                    chosenId={chosenId}
+                    answerId={current.id}
+                    onChoose={handleChoose}
+                  />
+                ))}
+              </div>
+            </motion.div>
+          </AnimatePresence>
+
+          {chosenId != null && chosenId !== current.id && (
+            <div className="mt-6">
+              <Button onClick={goNext} fullWidth icon="→">
+                {index + 1 >= total ? 'See Results' : 'Next'}
+              </Button>
+            </div>
+          )}
+        </Card>
+      )}
+    </motion.div>
+  );
+};
+
+export default QuizGame;
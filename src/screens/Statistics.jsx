@@ -1,21 +1,23 @@
-import React, { useMemo, lazy, Suspense } from 'react';
+import React, { useState, useMemo, lazy, Suspense } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import Button from '../components/Button';
 import Card from '../components/Card';
 import useContentStore from '../store/contentStore';
 import useUserStore from '../store/userStore';
+import useProgressStore from '../store/progressStore';
+import useReviewStore from '../store/reviewStore';
+import useSettingsStore from '../store/settingsStore';
+import WindowSelector from '../components/WindowSelector';
 import { getWordInsights, estimateDifficulty } from '../utils/aiWordSelector';
+import { PROGRESS_WINDOWS, buildProgressSeries } from '../utils/progressHistory';
+import { FORECAST_DAYS, buildReviewForecast, summarizeForecast } from '../utils/forecast';
+import { MIN_FIT_SAMPLES, TARGET_RETENTION_OPTIONS, collectRecallSamples, fitStabilityScale, buildRecallCurve } from '../utils/memoryFit';
 
 // Lazy load the chart component to reduce initial bundle size
 const ProgressChart = lazy(() => import('../components/ProgressChart'));
-
-// Constants for mock data generation
-const ACCURACY_VARIANCE = 15; // ±15% random variation in historical accuracy
-const ACCURACY_DAILY_IMPROVEMENT = 2; // +2% accuracy improvement per day
-const MASTERY_VARIANCE = 10; // ±10% random variation in historical mastery
-const MASTERY_DAILY_IMPROVEMENT = 1.5; // +1.5% mastery improvement per day
-const MS_PER_DAY = 1000 * 60 * 60 * 24; // Milliseconds in a day
+const ForecastChart = lazy(() => import('../components/ForecastChart'));
+const RecallCurveChart = lazy(() => import('../components/RecallCurveChart'));
 
 const Statistics = () => {
   const navigate = useNavigate();
@@ -23,6 +25,14 @@ const Statistics = () => {
   const topics = useContentStore(state => state.topics);
   const userData = useUserStore(state => state.userData);
   const isDark = useUserStore(state => state.isDark);
+  const progressDays = useProgressStore(state => state.days);
+  const reviews = useReviewStore(state => state.reviews);
+  const targetRetention = useSettingsStore(state => state.targetRetention);
+  const memoryFit = useSettingsStore(state => state.memoryFit);
+  const setTargetRetention = useSettingsStore(state => state.setTargetRetention);
+  const setMemoryFit = useSettingsStore(state => state.setMemoryFit);
+  const clearMemoryFit = useSettingsStore(state => state.clearMemoryFit);
+  const [progressWindow, setProgressWindow] = useState(PROGRESS_WINDOWS[0]);
 
   const total = userData.correctMatches + userData.wrongMatches;
   const accuracy = total > 0 ? Math.round((userData.correctMatches / total) * 100) : 0;
@@ -136,38 +146,28 @@ const Statistics = () => {
     });
   }, [topics, words]);
 
-  // Generate mock progress data (in a real app, this would come from historical data)
-  // Creates a trend showing gradual improvement toward current accuracy
-  // Shows actual days since user started, not always 7 days
-  const progressData = useMemo(() => {
-    // Calculate days since first use (minimum 1 day - today)
-    const daysSinceStart = userData.firstUsedDate 
-      ? Math.max(1, Math.ceil((Date.now() - userData.firstUsedDate) / MS_PER_DAY))
-      : 1;
-    
-    // Show up to 7 days, but not more than days since start
-    const days = Math.min(7, daysSinceStart);
-    const data = [];
-    
-    for (let i = days - 1; i >= 0; i--) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
-      // Generate historical data with upward trend using defined constants
-      const historicalAccuracy = Math.max(0, accuracy - Math.random() * ACCURACY_VARIANCE + (i * ACCURACY_DAILY_IMPROVEMENT));
-      const historicalMastery = Math.max(0, projectMetrics.avgMastery - Math.random() * MASTERY_VARIANCE + (i * MASTERY_DAILY_IMPROVEMENT));
-      data.push({
-        date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-        accuracy: Math.round(historicalAccuracy * 100) / 100,
-        mastery: Math.round(historicalMastery * 100) / 100
-      });
-    }
-    // Set today's data to actual values
-    if (data.length > 0) {
-      data[data.length - 1].accuracy = accuracy;
-      data[data.length - 1].mastery = projectMetrics.avgMastery;
-    }
-    return data;
-  }, [accuracy, total, projectMetrics.avgMastery, userData.firstUsedDate]);
+  // Real per-day accuracy and mastery from the daily rollups
+  const progressData = useMemo(
+    () => buildProgressSeries(progressDays, progressWindow),
+    [progressDays, progressWindow]
+  );
+
+  // Reviews and new words coming up over the next 30 days. The simulated
+  // intervals follow the memory parameters, so it's redrawn when they change
+  const forecastData = useMemo(
+    () => buildReviewForecast(words, topics),
+    [words, topics, targetRetention, memoryFit]
+  );
+  const forecastSummary = useMemo(() => summarizeForecast(forecastData), [forecastData]);
+
+  // The learner's forgetting curve, fitted from the review history
+  const recallSamples = useMemo(() => collectRecallSamples(reviews), [reviews]);
+  const candidateFit = useMemo(() => fitStabilityScale(recallSamples), [recallSamples]);
+  const recallCurve = useMemo(
+    () => buildRecallCurve(recallSamples, candidateFit?.stabilityScale ?? memoryFit?.stabilityScale ?? 1),
+    [recallSamples, candidateFit, memoryFit]
+  );
+  const isFitApplied = memoryFit && candidateFit && memoryFit.stabilityScale === candidateFit.stabilityScale;
 
   const stats = [
     { icon: '📚', label: 'Total Words', value: projectMetrics.totalWords, color: 'from-blue-500 to-blue-600' },
@@ -176,17 +176,13 @@ const Statistics = () => {
     { icon: '🏆', label: 'Mastered Words', value: projectMetrics.masteredWords, color: 'from-amber-500 to-amber-600' },
   ];
 
-  // Dynamic description based on actual days since first use
   const progressDescription = useMemo(() => {
-    const numDays = progressData.length;
-    if (numDays === 1) {
-      return 'Track your accuracy and mastery progress starting today';
-    } else if (numDays < 7) {
-      return `Track your accuracy and mastery progress over the last ${numDays} days`;
-    } else {
-      return 'Track your accuracy and mastery progress over the last 7 days';
+    const hasReviews = progressData.some(point => point.reviews > 0);
+    if (!hasReviews) {
+      return `No reviews in the last ${progressWindow} days yet. Play a game to start tracking your progress`;
     }
-  }, [progressData.length]);
+    return `Track your accuracy and mastery progress over the last ${progressWindow} days`;
+  }, [progressData, progressWindow]);
 
   return (
     <motion.div
@@ -285,9 +281,16 @@ const Statistics = () => {
           <h3 className="text-2xl font-bold text-slate-900 dark:text-slate-100 mb-2 text-center">
             📈 Your Learning Journey
           </h3>
-          <p className="text-slate-600 dark:text-slate-400 text-center mb-6">
+          <p className="text-slate-600 dark:text-slate-400 text-center mb-4">
             {progressDescription}
           </p>
+          <div className="mb-6">
+            <WindowSelector
+              options={PROGRESS_WINDOWS}
+              value={progressWindow}
+              onChange={setProgressWindow}
+            />
+          </div>
           <Suspense fallback={
             <div className="h-[400px] flex items-center justify-center">
               <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
@@ -298,6 +301,89 @@ const Statistics = () => {
         </Card>
       </motion.div>
 
+      {/* Review Forecast */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.22 }}
+      >
+        <Card className="p-6 card-glass border-0">
+          <h3 className="text-2xl font-bold text-slate-900 dark:text-slate-100 mb-2 text-center">
+            🗓️ Upcoming Reviews
+          </h3>
+          <p className="text-slate-600 dark:text-slate-400 text-center mb-4">
+            {forecastSummary.tomorrow} tomorrow · {forecastSummary.nextWeek} over the next 7 days · next {FORECAST_DAYS} days below
+          </p>
+          <Suspense fallback={
+            <div className="h-[260px] flex items-center justify-center">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+            </div>
+          }>
+            <ForecastChart data={forecastData} isDark={isDark} />
+          </Suspense>
+        </Card>
+      </motion.div>
+
+      {/* Personal Forgetting Curve */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.24 }}
+      >
+        <Card className="p-6 card-glass border-0">
+          <h3 className="text-2xl font-bold text-slate-900 dark:text-slate-100 mb-2 text-center">
+            🧠 Your Forgetting Curve
+          </h3>
+          <p className="text-slate-600 dark:text-slate-400 text-center mb-4">
+            {candidateFit
+              ? `From ${candidateFit.samples} spaced reviews, your memory lasts ${candidateFit.stabilityScale}× as long as the default model predicts`
+              : `${recallSamples.length} of ${MIN_FIT_SAMPLES} spaced reviews needed to fit your curve. Reviews in the same sitting don't count`}
+          </p>
+
+          <div className="mb-6 space-y-2">
+            <p className="text-sm font-bold text-slate-700 dark:text-slate-300 text-center">Target retention</p>
+            <WindowSelector
+              options={TARGET_RETENTION_OPTIONS}
+              value={targetRetention}
+              onChange={setTargetRetention}
+              formatLabel={(retention) => `${Math.round(retention * 100)}%`}
+              label="Target retention"
+            />
+            <p className="text-xs text-slate-500 dark:text-slate-400 text-center">
+              Higher means more reviews and fewer forgotten words. Applies from each word's next review, in FSRS topics only: SM-2, Leitner and the heuristic scheduler ignore it
+            </p>
+          </div>
+
+          {recallCurve.length > 0 && (
+            <Suspense fallback={
+              <div className="h-[280px] flex items-center justify-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+              </div>
+            }>
+              <RecallCurveChart data={recallCurve} isDark={isDark} />
+            </Suspense>
+          )}
+
+          <div className="flex flex-wrap justify-center items-center gap-3 mt-4">
+            {candidateFit && !isFitApplied && (
+              <Button size="sm" icon="🎯" onClick={() => setMemoryFit(candidateFit)}>
+                Use my curve for scheduling
+              </Button>
+            )}
+            {memoryFit && (
+              <>
+                <span className="text-sm text-slate-600 dark:text-slate-400">
+                  Scheduling with your curve ({memoryFit.stabilityScale}×, fitted {new Date(memoryFit.fittedAt).toLocaleDateString()})
+                </span>
+                <Button size="sm" variant="secondary" onClick={clearMemoryFit}>
+                  Use default curve
+                </Button>
+              </>
+            )}
+          </div>
+        </Card>
+      </motion.div>
+
       {/* Topics Overview */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -1,4 +1,4 @@
-import React, { useMemo } from 'react';
+import React, { useState, useMemo } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { AreaChart, Area, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
@@ -6,11 +6,30 @@ import Button from '../components/Button';
 import Card from '../components/Card';
 import useContentStore from '../store/contentStore';
 import useUserStore from '../store/userStore';
+import useProgressStore from '../store/progressStore';
+import useConfusionStore from '../store/confusionStore';
+import WindowSelector from '../components/WindowSelector';
+import ForecastChart from '../components/ForecastChart';
+import WordEditor from '../components/WordEditor';
 import { getWordInsights, estimateDifficulty } from '../utils/aiWordSelector';
+import { SCHEDULERS, getScheduler } from '../utils/schedulers';
+import { PROGRESS_WINDOWS, buildProgressSeries } from '../utils/progressHistory';
+import { getTopConfusedPairs } from '../utils/confusions';
+import { findAmbiguousMeanings } from '../utils/ambiguity';
+import { FORECAST_DAYS, buildReviewForecast, summarizeForecast } from '../utils/forecast';
+import {
+  LEARNING_STAGES,
+  NEW_WORDS_PER_DAY_OPTIONS,
+  countByStage,
+  createNewWordAllowance,
+  getNewWordsPerDay
+} from '../utils/learningStages';
+import { SPEECH_LANGUAGES, getTopicLanguage } from '../utils/speech';
 
 // Custom tooltip to format percentages to 2 decimal places
 const CustomTooltip = ({ active, payload, label }) => {
   if (active && payload && payload.length) {
+    const point = payload[0].payload;
     return (
       <div 
         style={{
@@ -22,40 +41,75 @@ const CustomTooltip = ({ active, payload, label }) => {
         }}
       >
         <p className="text-sm font-semibold mb-2">{label}</p>
-        {payload.map((entry, index) => (
+        {payload.filter(entry => entry.value != null).map((entry, index) => (
           <p key={index} style={{ color: entry.color }} className="text-sm">
             {`${entry.name}: ${entry.value.toFixed(2)}%`}
           </p>
         ))}
+        <p className="text-xs text-slate-500 mt-1">
+          {point.reviews} reviews · {point.newWords} new words
+        </p>
       </div>
     );
   }
   return null;
 };
 
-// Constants for mock data generation and game requirements
-const ACCURACY_VARIANCE = 15; // ±15% random variation in historical accuracy
-const ACCURACY_DAILY_IMPROVEMENT = 2; // +2% accuracy improvement per day
-const MASTERY_VARIANCE = 10; // ±10% random variation in historical mastery
-const MASTERY_DAILY_IMPROVEMENT = 1.5; // +1.5% mastery improvement per day
+// Game requirements
 const MINIMUM_PRACTICE_WORDS = 8; // Minimum words required to practice a topic
 
+// Words listed before "Show all"
+const WORD_PREVIEW_COUNT = 10;
+
 const TopicDetails = () => {
   const navigate = useNavigate();
   const { topicId } = useParams();
 
   const words = useContentStore(state => state.words);
   const topics = useContentStore(state => state.topics);
+  const updateTopic = useContentStore(state => state.updateTopic);
+  const editWord = useContentStore(state => state.editWord);
   const userData = useUserStore(state => state.userData);
+  const isDark = useUserStore(state => state.isDark);
+  const progressDays = useProgressStore(state => state.days);
+  const confusionPairs = useConfusionStore(state => state.pairs);
+  const [progressWindow, setProgressWindow] = useState(PROGRESS_WINDOWS[0]);
+  const [showAllWords, setShowAllWords] = useState(false);
+  const [editingWordId, setEditingWordId] = useState(null);
 
   // Find the topic
   const topic = topics.find(t => t.id === parseInt(topicId));
+  const scheduler = getScheduler(topic?.schedulerId);
   
   // Get words for this topic
   const topicWords = useMemo(() => {
     return words.filter(w => w.topicId === parseInt(topicId));
   }, [words, topicId]);
 
+  // Reviews and new words coming up for this topic
+  const forecastData = useMemo(
+    () => (topic ? buildReviewForecast(topicWords, [topic]) : []),
+    [topicWords, topic]
+  );
+  const forecastSummary = useMemo(() => summarizeForecast(forecastData), [forecastData]);
+
+  // Word pairs most often mixed up in this topic
+  const confusedPairs = useMemo(
+    () => getTopConfusedPairs(confusionPairs, words, { topicId: parseInt(topicId) }),
+    [confusionPairs, words, topicId]
+  );
+
+  // Words sharing a meaning, never dealt on the same board
+  const ambiguousMeanings = useMemo(() => findAmbiguousMeanings(topicWords), [topicWords]);
+
+  // Words per learning stage and today's remaining introductions
+  const stageCounts = useMemo(() => countByStage(topicWords), [topicWords]);
+  const newWordsPerDay = getNewWordsPerDay(topic);
+  const newWordsLeftToday = useMemo(
+    () => (topic ? createNewWordAllowance([topic], topicWords)(topic.id) : 0),
+    [topic, topicWords]
+  );
+
   // Calculate topic-specific metrics
   const topicMetrics = useMemo(() => {
     if (topicWords.length === 0) {
@@ -108,7 +162,7 @@ const TopicDetails = () => {
     };
 
     practicedTopicWords.forEach(word => {
-      const insights = getWordInsights(word);
+      const insights = getWordInsights(word, scheduler);
       const status = insights.status.toLowerCase();
       if (statusCount.hasOwnProperty(status)) {
         statusCount[status]++;
@@ -126,7 +180,7 @@ const TopicDetails = () => {
       totalWrong,
       accuracy: totalAttempts > 0 ? Math.round((totalCorrect / totalAttempts) * 100) : 0
     };
-  }, [topicWords]);
+  }, [topicWords, scheduler]);
 
   // Mastery distribution for this topic
   const masteryDistribution = useMemo(() => {
@@ -147,28 +201,11 @@ const TopicDetails = () => {
     return ranges;
   }, [topicWords]);
 
-  // Mock progress data for this topic
-  const progressData = useMemo(() => {
-    const days = 7;
-    const data = [];
-    for (let i = days - 1; i >= 0; i--) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
-      const historicalAccuracy = Math.max(0, topicMetrics.accuracy - Math.random() * ACCURACY_VARIANCE + (i * ACCURACY_DAILY_IMPROVEMENT));
-      const historicalMastery = Math.max(0, topicMetrics.avgMastery - Math.random() * MASTERY_VARIANCE + (i * MASTERY_DAILY_IMPROVEMENT));
-      data.push({
-        date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-        accuracy: Math.round(historicalAccuracy * 100) / 100,
-        mastery: Math.round(historicalMastery * 100) / 100
-      });
-    }
-    // Set today's data to actual values
-    if (data.length > 0) {
-      data[data.length - 1].accuracy = topicMetrics.accuracy;
-      data[data.length - 1].mastery = topicMetrics.avgMastery;
-    }
-    return data;
-  }, [topicMetrics]);
+  // Real per-day progress for this topic from the daily rollups
+  const progressData = useMemo(
+    () => buildProgressSeries(progressDays, progressWindow, parseInt(topicId)),
+    [progressDays, progressWindow, topicId]
+  );
 
   if (!topic) {
     return (
@@ -240,9 +277,16 @@ const TopicDetails = () => {
 
       {/* Progress Chart */}
       <Card className="card-glass border-0 p-6">
-        <h3 className="text-xl font-bold text-slate-900 dark:text-slate-100 mb-4">
-          📈 Progress Trend
-        </h3>
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="text-xl font-bold text-slate-900 dark:text-slate-100">
+            📈 Progress Trend
+          </h3>
+          <WindowSelector
+            options={PROGRESS_WINDOWS}
+            value={progressWindow}
+            onChange={setProgressWindow}
+          />
+        </div>
         <ResponsiveContainer width="100%" height={300}>
           <AreaChart data={progressData}>
             <defs>
@@ -267,6 +311,7 @@ const TopicDetails = () => {
               fillOpacity={1} 
               fill="url(#colorAccuracy)"
               name="Accuracy %"
+              connectNulls
             />
             <Area 
               type="monotone" 
@@ -275,11 +320,23 @@ const TopicDetails = () => {
               fillOpacity={1} 
               fill="url(#colorMastery)"
               name="Mastery %"
+              connectNulls
             />
           </AreaChart>
         </ResponsiveContainer>
       </Card>
 
+      {/* Review Forecast */}
+      <Card className="card-glass border-0 p-6">
+        <h3 className="text-xl font-bold text-slate-900 dark:text-slate-100 mb-1">
+          🗓️ Upcoming Reviews
+        </h3>
+        <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+          {forecastSummary.tomorrow} tomorrow · {forecastSummary.nextWeek} over the next 7 days · next {FORECAST_DAYS} days below
+        </p>
+        <ForecastChart data={forecastData} isDark={isDark} />
+      </Card>
+
       {/* Mastery Distribution */}
       <Card className="card-glass border-0 p-6">
         <h3 className="text-xl font-bold text-slate-900 dark:text-slate-100 mb-4">
@@ -304,6 +361,96 @@ const TopicDetails = () => {
         </ResponsiveContainer>
       </Card>
 
+      {/* Scheduling Algorithm */}
+      <Card className="card-glass border-0 p-6">
+        <h3 className="text-xl font-bold text-slate-900 dark:text-slate-100 mb-1">
+          🗓️ Scheduling Algorithm
+        </h3>
+        <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+          Decides when words in this topic are due. Every algorithm tracks all your reviews, so you can switch at any time.
+        </p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {Object.values(SCHEDULERS).map(option => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => updateTopic(topic.id, { schedulerId: option.id })}
+              aria-pressed={scheduler.id === option.id}
+              className={`text-left p-4 rounded-xl border-2 transition-colors ${
+                scheduler.id === option.id
+                  ? 'border-indigo-500 bg-indigo-50 dark:bg-indigo-900/30'
+                  : 'border-slate-200 dark:border-slate-700 hover:border-indigo-300 dark:hover:border-indigo-700'
+              }`}
+            >
+              <div className="font-bold text-slate-900 dark:text-slate-100">{option.name}</div>
+              <div className="text-sm text-slate-600 dark:text-slate-400">{option.description}</div>
+            </button>
+          ))}
+        </div>
+      </Card>
+
+      {/* Pronunciation Language */}
+      <Card className="card-glass border-0 p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+          <div>
+            <h3 className="text-xl font-bold text-slate-900 dark:text-slate-100 mb-1">
+              🔊 Pronunciation
+            </h3>
+            <p className="text-sm text-slate-600 dark:text-slate-400">
+              Words in this topic are read aloud in this language. Pick a voice for it on the home screen.
+            </p>
+          </div>
+          <select
+            value={getTopicLanguage(topic)}
+            onChange={(e) => updateTopic(topic.id, { language: e.target.value })}
+            aria-label="Pronunciation language"
+            className="px-3 py-2 rounded-xl border-2 border-slate-200 dark:border-slate-600 focus:border-indigo-500 focus:outline-none transition-colors bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100 text-sm"
+          >
+            {SPEECH_LANGUAGES.map(language => (
+              <option key={language.code} value={language.code}>
+                {language.name} ({language.nativeName})
+              </option>
+            ))}
+          </select>
+        </div>
+      </Card>
+
+      {/* New Words per Day */}
+      <Card className="card-glass border-0 p-6">
+        <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-4 mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-slate-900 dark:text-slate-100 mb-1">
+              🌱 New Words per Day
+            </h3>
+            <p className="text-sm text-slate-600 dark:text-slate-400">
+              Sessions mix due reviews with at most this many new words a day.
+              {' '}{newWordsLeftToday} left today.
+            </p>
+          </div>
+          <WindowSelector
+            options={NEW_WORDS_PER_DAY_OPTIONS}
+            value={newWordsPerDay}
+            onChange={(value) => updateTopic(topic.id, { newWordsPerDay: value })}
+            formatLabel={(count) => `${count}`}
+            label="New words per day"
+          />
+        </div>
+        <div className="grid grid-cols-3 gap-4">
+          <div className="text-center p-4 bg-slate-50 dark:bg-slate-800/50 rounded-lg">
+            <div className="text-2xl font-bold text-slate-700 dark:text-slate-300">{stageCounts[LEARNING_STAGES.NEW]}</div>
+            <div className="text-sm text-slate-600 dark:text-slate-400">New</div>
+          </div>
+          <div className="text-center p-4 bg-blue-50 dark:bg-blue-900/20 rounded-lg">
+            <div className="text-2xl font-bold text-blue-600 dark:text-blue-400">{stageCounts[LEARNING_STAGES.LEARNING]}</div>
+            <div className="text-sm text-slate-600 dark:text-slate-400">Learning</div>
+          </div>
+          <div className="text-center p-4 bg-emerald-50 dark:bg-emerald-900/20 rounded-lg">
+            <div className="text-2xl font-bold text-emerald-600 dark:text-emerald-400">{stageCounts[LEARNING_STAGES.REVIEW]}</div>
+            <div className="text-sm text-slate-600 dark:text-slate-400">Review</div>
+          </div>
+        </div>
+      </Card>
+
       {/* Topic Stats */}
       <Card className="card-glass border-0 p-6">
         <h3 className="text-xl font-bold text-slate-900 dark:text-slate-100 mb-4">
@@ -337,6 +484,125 @@ const TopicDetails = () => {
         </div>
       </Card>
 
+      {/* Most Confused Pairs */}
+      <Card className="card-glass border-0 p-6">
+        <h3 className="text-xl font-bold text-slate-900 dark:text-slate-100 mb-1">
+          🔀 Most Confused Pairs
+        </h3>
+        <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+          Words you matched with each other's meaning. They are dealt together so you can practise telling them apart.
+        </p>
+        {confusedPairs.length === 0 ? (
+          <p className="text-center py-6 text-slate-500 dark:text-slate-400">
+            No mix-ups yet. Keep playing!
+          </p>
+        ) : (
+          <ul className="space-y-3">
+            {confusedPairs.map(({ key, first, second, count }) => (
+              <li
+                key={key}
+                className="flex items-center justify-between gap-4 p-4 bg-slate-50 dark:bg-slate-800/50 rounded-lg"
+              >
+                <div className="grid grid-cols-[1fr_auto_1fr] items-center gap-3 flex-1 min-w-0">
+                  <div className="min-w-0">
+                    <div className="font-bold text-slate-900 dark:text-slate-100 truncate">{first.word}</div>
+                    <div className="text-sm text-slate-600 dark:text-slate-400 truncate">{first.meaning}</div>
+                  </div>
+                  <span className="text-slate-400" aria-hidden="true">↔</span>
+                  <div className="min-w-0">
+                    <div className="font-bold text-slate-900 dark:text-slate-100 truncate">{second.word}</div>
+                    <div className="text-sm text-slate-600 dark:text-slate-400 truncate">{second.meaning}</div>
+                  </div>
+                </div>
+                <span className="px-3 py-1 bg-rose-100 dark:bg-rose-900/30 text-rose-700 dark:text-rose-300 rounded-full text-sm font-bold whitespace-nowrap">
+                  {count}×
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </Card>
+
+      {/* Shared Meanings */}
+      {ambiguousMeanings.length > 0 && (
+        <Card className="card-glass border-0 p-6">
+          <h3 className="text-xl font-bold text-slate-900 dark:text-slate-100 mb-1">
+            👯 Shared Meanings
+          </h3>
+          <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+            These words have the same meaning, so they are never dealt on the same board.
+          </p>
+          <ul className="space-y-2">
+            {ambiguousMeanings.map(({ meaning, words: sharing }) => (
+              <li
+                key={meaning}
+                className="flex flex-wrap items-center gap-2 p-3 bg-slate-50 dark:bg-slate-800/50 rounded-lg"
+              >
+                <span className="font-semibold text-slate-700 dark:text-slate-300">"{meaning}"</span>
+                <span className="text-slate-400" aria-hidden="true">←</span>
+                {sharing.map(w => (
+                  <span
+                    key={w.id}
+                    className="px-2 py-0.5 bg-indigo-100 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-300 rounded-full text-sm font-medium"
+                  >
+                    {w.word}
+                  </span>
+                ))}
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+
+      {/* Words */}
+      {topicWords.length > 0 && (
+        <Card className="card-glass border-0 p-6">
+          <h3 className="text-xl font-bold text-slate-900 dark:text-slate-100 mb-1">
+            📝 Words
+          </h3>
+          <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+            Fix a word or its meaning without losing its progress.
+          </p>
+          <ul className="space-y-2">
+            {(showAllWords ? topicWords : topicWords.slice(0, WORD_PREVIEW_COUNT)).map(w => (
+              <li key={w.id} className="p-3 bg-slate-50 dark:bg-slate-800/50 rounded-lg">
+                {w.id === editingWordId ? (
+                  <WordEditor
+                    word={w}
+                    words={words}
+                    topics={topics}
+                    onSave={(id, updates, options) => {
+                      editWord(id, updates, options);
+                      setEditingWordId(null);
+                    }}
+                    onCancel={() => setEditingWordId(null)}
+                  />
+                ) : (
+                  <div className="flex items-center justify-between gap-4">
+                    <div className="min-w-0">
+                      <div className="font-bold text-slate-900 dark:text-slate-100 truncate">{w.word}</div>
+                      <div className="text-sm text-slate-600 dark:text-slate-400 truncate">{w.meaning}</div>
+                    </div>
+                    <Button size="sm" variant="secondary" icon="✏️" onClick={() => setEditingWordId(w.id)}>
+                      Edit
+                    </Button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+          {topicWords.length > WORD_PREVIEW_COUNT && (
+            <button
+              type="button"
+              onClick={() => setShowAllWords(v => !v)}
+              className="mt-4 text-sm font-semibold text-indigo-600 dark:text-indigo-400 hover:underline"
+            >
+              {showAllWords ? 'Show fewer' : `Show all ${topicWords.length} words`}
+            </button>
+          )}
+        </Card>
+      )}
+
       {/* Action Buttons */}
       <div className="flex gap-4 justify-center">
         <Button
@@ -348,7 +614,7 @@ const TopicDetails = () => {
           Practice This Topic
         </Button>
         <Button
-          onClick={() => navigate('/words')}
+          onClick={() => navigate('/words', { state: { topicId: parseInt(topicId) } })}
           size="lg"
           variant="secondary"
           icon="📝"
@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import Button from '../components/Button';
+import Card from '../components/Card';
+import WindowSelector from '../components/WindowSelector';
+import PracticeHeader from '../components/PracticeHeader';
+import PracticeSummary from '../components/PracticeSummary';
+import useContentStore from '../store/contentStore';
+import usePracticeSession from '../hooks/usePracticeSession';
+import { checkAnswer } from '../utils/answerChecker';
+import { RESPONSE_THRESHOLDS } from '../utils/grading';
+import { Rating } from '../utils/fsrs';
+import { DIRECTION_SETTINGS, DIRECTION_LABELS, getPromptAndAnswer } from '../utils/directions';
+import { hapticSuccess, hapticError } from '../utils/haptic';
+
+const TypingGame = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const words = useContentStore(state => state.words);
+  const {
+    topics, pool, selectedTopic, setSelectedTopic, directionSetting, setDirectionSetting, direction,
+    current, index, total, results, isFinished, answer, next, restart
+  } = usePracticeSession({
+    mode: 'typing',
+    topicId: location.state?.topicId || null,
+    direction: location.state?.direction
+  });
+
+  const [input, setInput] = useState('');
+  const [feedback, setFeedback] = useState(null);
+  const inputRef = useRef(null);
+
+  const wordsById = useMemo(() => new Map(words.map(w => [w.id, w])), [words]);
+  const correctCount = results.filter(r => r.isCorrect).length;
+
+  const { prompt, answer: expected } = current ? getPromptAndAnswer(current, direction) : {};
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, [index, current]);
+
+  const goNext = useCallback(() => {
+    setFeedback(null);
+    setInput('');
+    next();
+  }, [next]);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    if (!current) return;
+    if (feedback) {
+      goNext();
+      return;
+    }
+    if (!input.trim()) return;
+
+    const check = checkAnswer(input, expected);
+    // A typo still counts, but the word wasn't recalled cleanly
+    answer(check.isCorrect, {
+      rating: check.isCorrect && !check.isExact ? Rating.HARD : undefined,
+      thresholds: RESPONSE_THRESHOLDS.typing
+    });
+    if (check.isCorrect) {
+      hapticSuccess();
+    } else {
+      hapticError();
+    }
+    setFeedback(check);
+  }, [current, feedback, input, expected, answer, goNext]);
+
+  const handleGiveUp = useCallback(() => {
+    if (!current || feedback) return;
+    answer(false);
+    hapticError();
+    setFeedback({ isCorrect: false, isExact: false, closest: expected });
+    inputRef.current?.focus();
+  }, [current, feedback, expected, answer]);
+
+  const handleTopicChange = useCallback((topicId) => {
+    setFeedback(null);
+    setInput('');
+    setSelectedTopic(topicId);
+  }, [setSelectedTopic]);
+
+  const handleRestart = useCallback(() => {
+    setFeedback(null);
+    setInput('');
+    restart();
+  }, [restart]);
+
+  if (isFinished) {
+    return (
+      <PracticeSummary
+        title="Typing Done"
+        results={results}
+        wordsById={wordsById}
+        onRestart={handleRestart}
+        onHome={() => navigate('/')}
+      />
+    );
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="max-w-3xl mx-auto space-y-6"
+    >
+      <PracticeHeader
+        topics={topics}
+        selectedTopic={selectedTopic}
+        onTopicChange={handleTopicChange}
+        position={index + 1}
+        total={total}
+        correct={correctCount}
+        onExit={() => navigate('/')}
+      />
+
+      <WindowSelector
+        options={DIRECTION_SETTINGS}
+        value={directionSetting}
+        onChange={setDirectionSetting}
+        formatLabel={(option) => DIRECTION_LABELS[option]}
+        label="Direction"
+      />
+
+      {pool.length === 0 ? (
+        <Card className="card-glass border-0 text-center py-16">
+          <div className="text-7xl mb-6">⌨️</div>
+          <h3 className="text-2xl font-black text-slate-900 dark:text-slate-100 mb-3">
+            No words to practise
+          </h3>
+          <p className="text-slate-600 dark:text-slate-400 text-lg mb-6">
+            Add words to this topic to start typing.
+          </p>
+          <Button onClick={() => navigate('/add-word')} icon="➕">Add Words</Button>
+        </Card>
+      ) : current && (
+        <Card className="card-glass border-0 p-6 sm:p-10">
+          <AnimatePresence mode="wait">
+            <motion.div
+              key={`${current.id}-${direction}`}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+              transition={{ duration: 0.2 }}
+              className="text-center mb-8"
+            >
+              <p className="text-sm uppercase tracking-[0.2em] text-slate-500 dark:text-slate-400 mb-3">
+                {direction === 'forward' ? 'Type the meaning' : 'Type the word'}
+              </p>
+              <h2 className="text-4xl sm:text-5xl font-black text-slate-900 dark:text-slate-100 break-words">
+                {prompt}
+              </h2>
+            </motion.div>
+          </AnimatePresence>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <input
+              ref={inputRef}
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              readOnly={!!feedback}
+              autoComplete="off"
+              autoCapitalize="off"
+              spellCheck={false}
+              placeholder={direction === 'forward' ? 'Meaning…' : 'Word…'}
+              aria-label="Your answer"
+              className={`
+                w-full px-5 py-4 rounded-2xl border-2 text-xl font-semibold text-center focus:outline-none transition-colors
+                bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100
+                ${!feedback ? 'border-slate-200 dark:border-slate-600 focus:border-indigo-500' : ''}
+                ${feedback?.isCorrect ? 'border-emerald-500' : ''}
+                ${feedback && !feedback.isCorrect ? 'border-rose-500' : ''}
+              `}
+            />
+
+            <AnimatePresence>
+              {feedback && (
+                <motion.div
+                  initial={{ opacity: 0, scale: 0.95 }}
+                  animate={{ opacity: 1, scale: 1 }}
+                  exit={{ opacity: 0 }}
+                  className={`p-4 rounded-xl text-center font-semibold ${
+                    feedback.isCorrect
+                      ? 'bg-emerald-50 dark:bg-emerald-900/20 text-emerald-800 dark:text-emerald-200'
+                      : 'bg-rose-50 dark:bg-rose-900/20 text-rose-800 dark:text-rose-200'
+                  }`}
+                  role="status"
+                >
+                  {feedback.isExact && '✅ Correct!'}
+                  {feedback.isCorrect && !feedback.isExact && <>✏️ Almost, it's spelled <strong>{feedback.closest}</strong></>}
+                  {!feedback.isCorrect && <>❌ The answer is <strong>{expected}</strong></>}
+                </motion.div>
+              )}
+            </AnimatePresence>
+
+            <div className="flex gap-3">
+              {feedback ? (
+                <Button type="submit" fullWidth icon="→">
+                  {index + 1 >= total ? 'See Results' : 'Next'}
+                </Button>
+              ) : (
+                <>
+                  <Button type="button" variant="secondary" onClick={handleGiveUp}>
+                    I don't know
+                  </Button>
+                  <Button type="submit" fullWidth disabled={!input.trim()}>
+                    Check
+                  </Button>
+                </>
+              )}
+            </div>
+          </form>
+        </Card>
+      )}
+    </motion.div>
+  );
+};
+
+export default TypingGame;
@@ -5,6 +5,9 @@ import Button from '../components/Button';
 import Card from '../components/Card';
 import useContentStore from '../store/contentStore';
 import germanVocabulary from '../data/germanVocabulary';
+import { getDueQueue } from '../utils/aiWordSelector';
+import { createSchedulerResolver } from '../utils/schedulers';
+import { downloadJson } from '../utils/download';
 
 // Lazy load EmojiPicker component
 const EmojiPicker = lazy(() => import('../components/EmojiPicker'));
@@ -77,14 +80,14 @@ const Welcome = () => {
       let successCount = 0;
       let skipCount = 0;
       
+      // A word text is unique within its topic
+      const topicTexts = new Set(getWordsByTopic(newTopic.id).map(w => w.word.toLowerCase()));
+
       for (const wordData of germanVocabulary.words) {
-        // Check if word already exists
-        const wordExists = words.some(w => 
-          w.word.toLowerCase() === wordData.word.toLowerCase()
-        );
-        
-        if (!wordExists) {
-          addWord(wordData.word, wordData.meaning, newTopic.id);
+        const text = wordData.word.toLowerCase();
+        if (!topicTexts.has(text)) {
+          addWord(wordData.word, wordData.meaning, newTopic.id, { source: germanVocabulary.topic.name });
+          topicTexts.add(text);
           successCount++;
         } else {
           skipCount++;
@@ -134,15 +137,7 @@ const Welcome = () => {
       return;
     }
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${data.topic.name}-${Date.now()}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadJson(data, `${data.topic.name}-${Date.now()}.json`);
   }, [exportTopic]);
 
   const handleImportTopic = useCallback((e) => {
@@ -156,7 +151,7 @@ const Welcome = () => {
         const result = importTopic(data);
         
         if (result.success) {
-          alert(`Successfully imported topic: ${result.topic.name}`);
+          alert(`Successfully imported topic: ${result.topic.name}${result.skipped > 0 ? `\n(Skipped ${result.skipped} duplicate words)` : ''}`);
         } else {
           alert(`Failed to import: ${result.error}`);
         }
@@ -179,13 +174,16 @@ const Welcome = () => {
     }
   }, [topics, getWordsByTopic, deleteTopic]);
 
+  const schedulerFor = useMemo(() => createSchedulerResolver(topics), [topics]);
+
   const getTopicStats = useCallback((topicId) => {
     const topicWords = getWordsByTopic(topicId);
     return {
       count: topicWords.length,
-      practiced: topicWords.filter(w => w.lastPracticed).length
+      practiced: topicWords.filter(w => w.lastPracticed).length,
+      due: getDueQueue(topicWords, { schedulerFor }).length
     };
-  }, [getWordsByTopic]);
+  }, [getWordsByTopic, schedulerFor]);
 
   const practicedCount = useMemo(() => words.filter(w => w.lastPracticed).length, [words]);
   const progressPercent = useMemo(() => Math.round((practicedCount / Math.max(words.length, 1)) * 100), [practicedCount, words.length]);
@@ -488,8 +486,27 @@ const Welcome = () => {
                       <span className="px-3 py-1.5 bg-gradient-to-r from-emerald-500/10 to-teal-500/10 dark:from-emerald-500/20 dark:to-teal-500/20 text-emerald-700 dark:text-emerald-300 rounded-full font-semibold border border-emerald-200 dark:border-emerald-800">
                         ✅ {stats.practiced} practiced
                       </span>
+                      {stats.due > 0 && (
+                        <span className="px-3 py-1.5 bg-gradient-to-r from-amber-500/10 to-orange-500/10 dark:from-amber-500/20 dark:to-orange-500/20 text-amber-700 dark:text-amber-300 rounded-full font-semibold border border-amber-200 dark:border-amber-800">
+                          🗓️ {stats.due} due
+                        </span>
+                      )}
                     </div>
 
+                    {stats.due > 0 && (
+                      <motion.div whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+                        <Button
+                          size="sm"
+                          variant="primary"
+                          onClick={() => navigate('/game', { state: { topicId: topic.id, mode: 'due' } })}
+                          icon="🗓️"
+                          fullWidth
+                        >
+                          Review {stats.due} due
+                        </Button>
+                      </motion.div>
+                    )}
+
                     {/* Actions */}
                     <div className="grid grid-cols-2 gap-2">
                       <motion.div whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
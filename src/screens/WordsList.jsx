@@ -4,12 +4,31 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { Search, X } from 'lucide-react';
 import Button from '../components/Button';
 import Card from '../components/Card';
+import SpeakButton from '../components/SpeakButton';
+import WordEditor from '../components/WordEditor';
+import WordSelectionToolbar from '../components/WordSelectionToolbar';
 import useContentStore from '../store/contentStore';
 import { getWordInsights } from '../utils/aiWordSelector';
+import { getLeeches } from '../utils/leeches';
+import { DIRECTION_LABELS } from '../utils/directions';
+import { getMeanings, getTags } from '../utils/wordSchema';
+import { downloadJson } from '../utils/download';
+import { NOUN_ATTRIBUTE_LABELS, formatNoun, getDrillableAttributes, getGrammarStats } from '../utils/germanNouns';
+
+const countLabel = (count) => `${count} ${count === 1 ? 'word' : 'words'}`;
 
 // Memoized Word Item Component
-const WordItem = React.memo(({ word, index, onDelete }) => {
+const WordItem = React.memo(({ word, index, isSelected, onToggleSelect, onEdit, onDelete }) => {
   const insights = useMemo(() => getWordInsights(word), [word]);
+  const meanings = getMeanings(word);
+
+  const handleToggleSelect = useCallback(() => {
+    onToggleSelect(word.id);
+  }, [onToggleSelect, word.id]);
+
+  const handleEdit = useCallback(() => {
+    onEdit(word.id);
+  }, [onEdit, word.id]);
 
   const handleDelete = useCallback(() => {
     onDelete(word.id);
@@ -29,25 +48,84 @@ const WordItem = React.memo(({ word, index, onDelete }) => {
       whileHover={{ y: -4 }}
       layout // Enable layout animations for smoother list reordering
     >
-      <Card className="card-glass border-0 group hover:shadow-xl transition-shadow duration-300">
+      <Card className={`card-glass border-0 group hover:shadow-xl transition-shadow duration-300 ${isSelected ? 'ring-2 ring-indigo-500' : ''}`}>
         <div className="flex items-center justify-between gap-6">
+          <input
+            type="checkbox"
+            checked={isSelected}
+            onChange={handleToggleSelect}
+            aria-label={`Select ${word.word}`}
+            className="w-5 h-5 flex-shrink-0 accent-indigo-600 cursor-pointer"
+          />
           <div className="flex-1 min-w-0">
             <div className="flex items-center gap-3 mb-2">
               <span className="text-2xl">{insights.emoji}</span>
               <h3 className="text-2xl font-black bg-gradient-to-r from-indigo-600 to-purple-600 dark:from-indigo-400 dark:to-purple-400 bg-clip-text text-transparent truncate">
                 {word.word}
               </h3>
+              <SpeakButton word={word} />
               <motion.span
                 whileHover={{ scale: 1.1 }}
                 className="px-3 py-1 text-xs font-black rounded-full bg-gradient-to-r from-indigo-100 to-purple-100 dark:from-indigo-900/40 dark:to-purple-900/40 text-indigo-700 dark:text-indigo-300"
               >
                 {insights.status}
               </motion.span>
+              {word.partOfSpeech && (
+                <span className="px-2 py-1 text-xs font-bold rounded-full bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-400">
+                  {word.partOfSpeech}
+                </span>
+              )}
+              {word.suspended && (
+                <span className="px-3 py-1 text-xs font-black rounded-full bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300">
+                  ⏸️ Suspended
+                </span>
+              )}
             </div>
-            <p className="text-slate-700 dark:text-slate-300 text-base font-medium mb-4">
-              {word.meaning}
-            </p>
-            <div className="flex gap-6 items-center text-sm">
+            {meanings.length > 1 ? (
+              <ol className="flex flex-wrap gap-x-4 text-slate-700 dark:text-slate-300 text-base font-medium mb-4">
+                {meanings.map((sense, i) => (
+                  <li key={i}><span className="text-slate-400 dark:text-slate-500">{i + 1}.</span> {sense}</li>
+                ))}
+              </ol>
+            ) : (
+              <p className="text-slate-700 dark:text-slate-300 text-base font-medium mb-4">
+                {word.meaning}
+              </p>
+            )}
+            {(word.gender || word.plural || word.genitive) && (
+              <p className="text-sm text-slate-500 dark:text-slate-400 -mt-3 mb-4">
+                {formatNoun(word)}
+                {word.plural && <>, die {word.plural}</>}
+                {word.genitive && <> · Gen. {word.genitive}</>}
+              </p>
+            )}
+            {word.examples?.length > 0 && (
+              <ul className="space-y-1 -mt-2 mb-4 text-sm">
+                {word.examples.map((example, i) => (
+                  <li key={i} className="text-slate-600 dark:text-slate-400">
+                    <span className="italic">“{example.text}”</span>
+                    {example.translation && <span className="text-slate-500 dark:text-slate-500"> — {example.translation}</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {getTags(word).length > 0 && (
+              <div className="flex flex-wrap gap-2 -mt-2 mb-4">
+                {getTags(word).map(tag => (
+                  <span key={tag} className="px-2 py-0.5 text-xs font-semibold rounded-full bg-indigo-50 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-300">
+                    #{tag}
+                  </span>
+                ))}
+              </div>
+            )}
+            {(word.notes || word.mnemonic || word.source) && (
+              <div className="space-y-1 -mt-2 mb-4 text-sm text-slate-600 dark:text-slate-400">
+                {word.notes && <p>📝 {word.notes}</p>}
+                {word.mnemonic && <p>💡 {word.mnemonic}</p>}
+                {word.source && <p className="text-xs text-slate-500 dark:text-slate-500">📖 {word.source}</p>}
+              </div>
+            )}
+            <div className="flex flex-wrap gap-x-6 gap-y-2 items-center text-sm">
               <div className="flex items-center gap-2 text-slate-600 dark:text-slate-400">
                 <span className="font-bold">Mastery:</span>
                 <div className="w-16 h-2 bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden">
@@ -68,16 +146,57 @@ const WordItem = React.memo(({ word, index, onDelete }) => {
               <span className="flex items-center gap-1.5 text-slate-600 dark:text-slate-400">
                 ❌ <span className="font-black text-rose-600 dark:text-rose-400">{word.wrong}</span>
               </span>
+              {[['forward', '→'], ['reverse', '←']].map(([direction, arrow]) => {
+                const stats = insights.directions[direction];
+                return (
+                  <span
+                    key={direction}
+                    className="flex items-center gap-1 text-slate-600 dark:text-slate-400"
+                    title={`${DIRECTION_LABELS[direction]}: ${stats.correct} ✅ ${stats.wrong} ❌`}
+                  >
+                    <span className="font-bold">{arrow}</span>
+                    <span className="font-black text-indigo-600 dark:text-indigo-400">
+                      {stats.attempts > 0 ? `${stats.masteryScore}%` : '–'}
+                    </span>
+                  </span>
+                );
+              })}
+              {getDrillableAttributes(word).map((attribute) => {
+                const stats = getGrammarStats(word, attribute);
+                if (stats.correct + stats.wrong === 0) return null;
+                return (
+                  <span
+                    key={attribute}
+                    className="flex items-center gap-1 text-slate-600 dark:text-slate-400"
+                    title={`${NOUN_ATTRIBUTE_LABELS[attribute]} drill: ${stats.correct} ✅ ${stats.wrong} ❌`}
+                  >
+                    <span className="font-bold">{NOUN_ATTRIBUTE_LABELS[attribute]}</span>
+                    <span className="font-black text-indigo-600 dark:text-indigo-400">{stats.masteryScore}%</span>
+                  </span>
+                );
+              })}
             </div>
           </div>
-          <motion.button
-            whileHover={{ scale: 1.1, rotate: 5 }}
-            whileTap={{ scale: 0.9 }}
-            onClick={handleDelete}
-            className="px-5 py-3 bg-rose-50 dark:bg-rose-900/30 hover:bg-rose-100 dark:hover:bg-rose-900/50 text-rose-600 dark:text-rose-400 rounded-xl transition-all font-black opacity-0 group-hover:opacity-100 text-lg"
-          >
-            🗑️
-          </motion.button>
+          <div className="flex flex-col gap-2 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+            <motion.button
+              whileHover={{ scale: 1.1, rotate: -5 }}
+              whileTap={{ scale: 0.9 }}
+              onClick={handleEdit}
+              aria-label={`Edit ${word.word}`}
+              className="px-5 py-3 bg-indigo-50 dark:bg-indigo-900/30 hover:bg-indigo-100 dark:hover:bg-indigo-900/50 text-indigo-600 dark:text-indigo-400 rounded-xl transition-all font-black text-lg"
+            >
+              ✏️
+            </motion.button>
+            <motion.button
+              whileHover={{ scale: 1.1, rotate: 5 }}
+              whileTap={{ scale: 0.9 }}
+              onClick={handleDelete}
+              aria-label={`Delete ${word.word}`}
+              className="px-5 py-3 bg-rose-50 dark:bg-rose-900/30 hover:bg-rose-100 dark:hover:bg-rose-900/50 text-rose-600 dark:text-rose-400 rounded-xl transition-all font-black text-lg"
+            >
+              🗑️
+            </motion.button>
+          </div>
         </div>
       </Card>
     </motion.div>
@@ -92,6 +211,15 @@ const WordsList = () => {
   const words = useContentStore(state => state.words);
   const topics = useContentStore(state => state.topics);
   const deleteWord = useContentStore(state => state.deleteWord);
+  const editWord = useContentStore(state => state.editWord);
+  const deleteWords = useContentStore(state => state.deleteWords);
+  const resetWordsProgress = useContentStore(state => state.resetWordsProgress);
+  const setWordsSuspended = useContentStore(state => state.setWordsSuspended);
+  const moveWords = useContentStore(state => state.moveWords);
+  const copyWords = useContentStore(state => state.copyWords);
+  const tagWords = useContentStore(state => state.tagWords);
+  const untagWords = useContentStore(state => state.untagWords);
+  const exportWords = useContentStore(state => state.exportWords);
 
   const getWordsByTopic = useCallback((topicId) => {
      return words.filter(w => w.topicId === topicId);
@@ -99,6 +227,10 @@ const WordsList = () => {
 
   const [selectedTopic, setSelectedTopic] = useState(location.state?.topicId || null);
   const [searchQuery, setSearchQuery] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  // Kept while the search or topic changes, so a selection can span searches
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [notice, setNotice] = useState('');
 
   useEffect(() => {
     if (location.state?.topicId) {
@@ -111,16 +243,29 @@ const WordsList = () => {
     [selectedTopic, getWordsByTopic, words]
   );
 
-  // Filter words based on search query
+  // Filter words based on search query ("#a1" looks for a tag)
   const filteredWords = useMemo(() => displayWords.filter(word => {
     const query = searchQuery.toLowerCase().trim();
     if (!query) return true;
+    if (query.startsWith('#')) return getTags(word).some(tag => tag.includes(query.slice(1)));
     return (
       word.word.toLowerCase().includes(query) ||
-      word.meaning.toLowerCase().includes(query)
+      word.meaning.toLowerCase().includes(query) ||
+      getTags(word).some(tag => tag.includes(query))
     );
   }), [displayWords, searchQuery]);
 
+  // Selected words that still exist; deleted words drop out of the selection
+  const selectedWords = useMemo(() => words.filter(w => selectedIds.has(w.id)), [words, selectedIds]);
+  const selectedWordIds = useMemo(() => selectedWords.map(w => w.id), [selectedWords]);
+  const shownSelectedCount = useMemo(
+    () => filteredWords.filter(w => selectedIds.has(w.id)).length,
+    [filteredWords, selectedIds]
+  );
+  const suspendedCount = selectedWords.filter(w => w.suspended).length;
+
+  const leechCount = useMemo(() => getLeeches(words).length, [words]);
+
   const currentTopic = useMemo(() => 
     selectedTopic ? topics.find(t => t.id === selectedTopic) : null,
     [selectedTopic, topics]
@@ -137,6 +282,84 @@ const WordsList = () => {
     }
   }, [deleteWord]);
 
+  const handleSave = useCallback((id, updates, options) => {
+    editWord(id, updates, options);
+    setEditingId(null);
+  }, [editWord]);
+
+  const handleCancelEdit = useCallback(() => setEditingId(null), []);
+
+  const handleToggleSelect = useCallback((id) => {
+    setSelectedIds(previous => {
+      const next = new Set(previous);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }, []);
+
+  const handleSelectAll = useCallback(() => {
+    setSelectedIds(previous => new Set([...previous, ...filteredWords.map(w => w.id)]));
+  }, [filteredWords]);
+
+  const handleClearSelection = useCallback(() => {
+    setSelectedIds(new Set());
+    setNotice('');
+  }, []);
+
+  const topicLabel = (topicId) => {
+    const topic = topics.find(t => t.id === topicId);
+    return topic ? `${topic.emoji} ${topic.name}` : 'the topic';
+  };
+
+  const handleMove = useCallback((topicId) => {
+    const moved = moveWords(selectedWordIds, topicId);
+    const skipped = selectedWordIds.length - moved;
+    setNotice(`Moved ${countLabel(moved)} to ${topicLabel(topicId)}${skipped > 0 ? `; ${skipped} already there` : ''}`);
+  }, [selectedWordIds, moveWords, topics]);
+
+  const handleCopy = useCallback((topicId) => {
+    const copied = copyWords(selectedWordIds, topicId);
+    const skipped = selectedWordIds.length - copied;
+    setNotice(`Copied ${countLabel(copied)} to ${topicLabel(topicId)}${skipped > 0 ? `; ${skipped} already there` : ''}`);
+  }, [selectedWordIds, copyWords, topics]);
+
+  const handleTag = useCallback((tag) => {
+    tagWords(selectedWordIds, tag);
+    setNotice(`Tagged ${countLabel(selectedWordIds.length)} #${tag}`);
+  }, [selectedWordIds, tagWords]);
+
+  const handleUntag = useCallback((tag) => {
+    untagWords(selectedWordIds, tag);
+    setNotice(`Removed #${tag} from ${countLabel(selectedWordIds.length)}`);
+  }, [selectedWordIds, untagWords]);
+
+  const handleSuspend = useCallback((suspended) => {
+    setWordsSuspended(selectedWordIds, suspended);
+    setNotice(`${suspended ? 'Suspended' : 'Unsuspended'} ${countLabel(selectedWordIds.length)}`);
+  }, [selectedWordIds, setWordsSuspended]);
+
+  const handleReset = useCallback(() => {
+    if (window.confirm(`Start ${countLabel(selectedWordIds.length)} over as new? Their review history is kept, and suspended words stay suspended.`)) {
+      resetWordsProgress(selectedWordIds);
+      setNotice(`Reset ${countLabel(selectedWordIds.length)}`);
+    }
+  }, [selectedWordIds, resetWordsProgress]);
+
+  const handleExport = useCallback(() => {
+    const data = exportWords(selectedWordIds);
+    downloadJson(data, `${data.topic.name}-${Date.now()}.json`);
+    setNotice(`Exported ${countLabel(selectedWordIds.length)}. Import the file on the Topics screen as a new topic.`);
+  }, [selectedWordIds, exportWords]);
+
+  const handleDeleteSelected = useCallback(() => {
+    if (window.confirm(`Are you sure you want to delete ${countLabel(selectedWordIds.length)}?`)) {
+      deleteWords(selectedWordIds);
+      setSelectedIds(new Set());
+      setNotice(`Deleted ${countLabel(selectedWordIds.length)}`);
+    }
+  }, [selectedWordIds, deleteWords]);
+
   return (
     <motion.div
       initial={{ opacity: 0, x: -20 }}
@@ -181,6 +404,16 @@ const WordsList = () => {
                   {searchQuery ? 'found' : (currentTopic ? 'in this topic' : 'in your collection')}
                 </span>
               </p>
+              {leechCount > 0 && (
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => navigate('/leeches')}
+                  className="mt-4 px-4 py-2 rounded-full bg-white/20 hover:bg-white/30 backdrop-blur-sm text-white font-bold text-sm transition-colors"
+                >
+                  🩹 {leechCount} {leechCount === 1 ? 'leech' : 'leeches'} need attention →
+                </motion.button>
+              )}
             </div>
             {topics.length > 0 && (
               <motion.select
@@ -217,7 +450,7 @@ const WordsList = () => {
                 type="text"
                 value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
-                placeholder="Search words or meanings..."
+                placeholder="Search words, meanings or #tags..."
                 className="w-full pl-14 pr-14 py-4 rounded-xl border-2 border-slate-200 dark:border-slate-600 focus:border-indigo-500 focus:outline-none transition-all bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100 placeholder-slate-400 text-base font-medium"
               />
               {searchQuery && (
@@ -236,6 +469,28 @@ const WordsList = () => {
         </motion.div>
       )}
 
+      {/* Selection Toolbar */}
+      {filteredWords.length > 0 && (
+        <WordSelectionToolbar
+          selectedCount={selectedWords.length}
+          shownSelectedCount={shownSelectedCount}
+          resultCount={filteredWords.length}
+          suspendedCount={suspendedCount}
+          topics={topics}
+          notice={notice}
+          onSelectAll={handleSelectAll}
+          onClear={handleClearSelection}
+          onMove={handleMove}
+          onCopy={handleCopy}
+          onTag={handleTag}
+          onUntag={handleUntag}
+          onSuspend={handleSuspend}
+          onReset={handleReset}
+          onExport={handleExport}
+          onDelete={handleDeleteSelected}
+        />
+      )}
+
       {/* Words List */}
       {displayWords.length === 0 ? (
         <Card className="card-glass border-0 text-center py-16">
@@ -282,14 +537,29 @@ const WordsList = () => {
       ) : (
         <div className="space-y-4">
           <AnimatePresence mode="popLayout">
-            {filteredWords.map((word, index) => (
+            {filteredWords.map((word, index) => (word.id === editingId ? (
+              <motion.div key={word.id} layout>
+                <Card className="card-glass border-0">
+                  <WordEditor
+                    word={word}
+                    words={words}
+                    topics={topics}
+                    onSave={handleSave}
+                    onCancel={handleCancelEdit}
+                  />
+                </Card>
+              </motion.div>
+            ) : (
               <WordItem
                 key={word.id}
                 word={word}
                 index={index}
+                isSelected={selectedIds.has(word.id)}
+                onToggleSelect={handleToggleSelect}
+                onEdit={setEditingId}
                 onDelete={handleDelete}
               />
-            ))}
+            )))}
           </AnimatePresence>
         </div>
       )}
@@ -0,0 +1,45 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { pairKey } from '../utils/confusions';
+
+/**
+ * Word pairs confused in wrong matches, keyed by pairKey(a, b).
+ * Pairs of deleted words are left in place and skipped when read.
+ *
+ * Pair shape:
+ * { wordIds: [smallerId, largerId], count, lastConfused }
+ */
+const useConfusionStore = create(
+  persist(
+    (set, get) => ({
+      pairs: {},
+
+      recordConfusion: (wordIdA, wordIdB, timestamp = Date.now()) => {
+        if (wordIdA === wordIdB) return;
+
+        const key = pairKey(wordIdA, wordIdB);
+        set((state) => {
+          const previous = state.pairs[key];
+          return {
+            pairs: {
+              ...state.pairs,
+              [key]: {
+                wordIds: [Math.min(wordIdA, wordIdB), Math.max(wordIdA, wordIdB)],
+                count: (previous?.count || 0) + 1,
+                lastConfused: timestamp
+              }
+            }
+          };
+        });
+      },
+
+      getConfusionCount: (wordIdA, wordIdB) => get().pairs[pairKey(wordIdA, wordIdB)]?.count || 0
+    }),
+    {
+      name: 'recalla-confusion-storage',
+      // Default is localStorage
+    }
+  )
+);
+
+export default useConfusionStore;
@@ -1,12 +1,54 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import useUserStore from './userStore';
+import useReviewStore from './reviewStore';
+import useProgressStore from './progressStore';
+import { averagePracticedMastery } from '../utils/progressHistory';
+import { ratingFromResult } from '../utils/fsrs';
+import { reviewWithAllSchedulers } from '../utils/schedulers';
+import { getLearningStage, nextLearningStage } from '../utils/learningStages';
+import { isLapse, reachesLeechThreshold } from '../utils/leeches';
+import { calculateMasteryScore } from '../utils/wordMetrics';
+import { DIRECTIONS, getDirectionStats, nextDirectionStats } from '../utils/directions';
+import { getGrammarStats, nextGrammarStats } from '../utils/germanNouns';
+import { WORD_SCHEMA_VERSION, applyWordUpdates, migrateWord, getTags } from '../utils/wordSchema';
 
 let idCounter = 0;
 export const generateUniqueId = () => {
   return Date.now() + idCounter++;
 };
 
+// Selected words that can join a topic: not in it already, and without
+// the same word text as one of its words (or as an earlier selected word)
+const selectForTopic = (words, ids, topicId) => {
+  const selected = new Set(ids);
+  const texts = new Set(words.filter((w) => w.topicId === topicId).map((w) => w.word.toLowerCase()));
+  return words.filter((w) => {
+    if (!selected.has(w.id) || w.topicId === topicId) return false;
+    const text = w.word.toLowerCase();
+    if (texts.has(text)) return false;
+    texts.add(text);
+    return true;
+  });
+};
+
+// A word started over as new: counters, schedule and stage cleared. A
+// learner's own suspension stays; a leech's ends, since it's being relearned
+const withoutProgress = (word) => {
+  const { scheduling, learningStage, introducedAt, directionStats, grammarStats, ...rest } = word;
+  return {
+    ...rest,
+    correct: 0,
+    wrong: 0,
+    lastPracticed: null,
+    masteryScore: 0,
+    consecutiveCorrect: 0,
+    lapses: 0,
+    isLeech: false,
+    suspended: word.isLeech ? false : !!word.suspended
+  };
+};
+
 const useContentStore = create(
   persist(
     (set, get) => ({
@@ -16,8 +58,11 @@ const useContentStore = create(
       setWords: (words) => set({ words }),
       setTopics: (topics) => set({ topics }),
 
-      addWord: (word, meaning, topicId = null) => {
-        const newWord = {
+      // `details` holds optional fields: the schema fields (see
+      // utils/wordSchema.js; `meanings` replaces `meaning` when given) and
+      // a noun's gender and plural (see utils/germanNouns.js)
+      addWord: (word, meaning, topicId = null, details = {}) => {
+        const newWord = applyWordUpdates(migrateWord({
           id: generateUniqueId(),
           word,
           meaning,
@@ -27,7 +72,7 @@ const useContentStore = create(
           lastPracticed: null,
           masteryScore: 0,
           consecutiveCorrect: 0
-        };
+        }), details);
 
         set((state) => ({ words: [...state.words, newWord] }));
 
@@ -40,39 +85,191 @@ const useContentStore = create(
       deleteWord: (id) =>
         set((state) => ({ words: state.words.filter((w) => w.id !== id) })),
 
-      updateWordStats: (id, isCorrect) =>
+      updateWord: (id, updates) => {
+        const previous = get().words.find((w) => w.id === id);
         set((state) => ({
-          words: state.words.map((w) => {
-            if (w.id === id) {
-                const newConsecutiveCorrect = isCorrect ? (w.consecutiveCorrect || 0) + 1 : 0;
-                const totalAttempts = (w.correct || 0) + (w.wrong || 0) + 1;
-                const correctCount = isCorrect ? (w.correct || 0) + 1 : (w.correct || 0);
+          words: state.words.map((w) => (w.id === id ? applyWordUpdates(w, updates) : w))
+        }));
+        if (previous && updates.topicId !== undefined && updates.topicId !== previous.topicId) {
+          useReviewStore.getState().moveReviews([id], updates.topicId);
+        }
+      },
 
-                const MASTERY_CONSECUTIVE_THRESHOLD = 5;
-                const MASTERY_PRACTICE_THRESHOLD = 20;
-                const MASTERY_MIN_PRACTICE_THRESHOLD = 5;
+      setWordSuspended: (id, suspended) =>
+        set((state) => ({
+          words: state.words.map((w) => (w.id === id ? { ...w, suspended } : w))
+        })),
 
-                const accuracy = totalAttempts > 0 ? (correctCount / totalAttempts) : 0;
-                const consecutiveBonus = Math.min(newConsecutiveCorrect / MASTERY_CONSECUTIVE_THRESHOLD, 1);
-                const practiceBonus = Math.min(totalAttempts / MASTERY_PRACTICE_THRESHOLD, 1);
+      // Saves from the word editor; `resetProgress` starts the word over
+      // after its meaning changed
+      editWord: (id, updates, { resetProgress = false } = {}) => {
+        get().updateWord(id, updates);
+        if (resetProgress) get().resetWordProgress(id);
+      },
 
-                const practicePenalty = totalAttempts < MASTERY_MIN_PRACTICE_THRESHOLD ? (totalAttempts / MASTERY_MIN_PRACTICE_THRESHOLD) : 1;
+      // Start a word over as new. Its review history is kept.
+      resetWordProgress: (id) =>
+        set((state) => ({
+          words: state.words.map((w) => (w.id === id ? withoutProgress(w) : w))
+        })),
 
-                const masteryScore = Math.round(
-                  (accuracy * 60 + consecutiveBonus * 30 + practiceBonus * 10) * practicePenalty
-                );
+      // Batch versions of the word actions above, for a selection of words
 
-                return {
-                  ...w,
+      deleteWords: (ids) => {
+        const selected = new Set(ids);
+        set((state) => ({ words: state.words.filter((w) => !selected.has(w.id)) }));
+      },
+
+      resetWordsProgress: (ids) => {
+        const selected = new Set(ids);
+        set((state) => ({
+          words: state.words.map((w) => (selected.has(w.id) ? withoutProgress(w) : w))
+        }));
+      },
+
+      setWordsSuspended: (ids, suspended) => {
+        const selected = new Set(ids);
+        set((state) => ({
+          words: state.words.map((w) => (selected.has(w.id) ? { ...w, suspended } : w))
+        }));
+      },
+
+      // A word appears at most once per topic (see utils/wordValidation.js),
+      // so moving and copying skip words the target topic already has.
+      // Both return the number of words moved or copied.
+
+      // Progress and review history move with the words
+      moveWords: (ids, topicId) => {
+        const moving = selectForTopic(get().words, ids, topicId).map((w) => w.id);
+        const selected = new Set(moving);
+        set((state) => ({
+          words: state.words.map((w) => (selected.has(w.id) ? { ...w, topicId } : w))
+        }));
+        useReviewStore.getState().moveReviews(moving, topicId);
+        return moving.length;
+      },
+
+      // Copies start as new words
+      copyWords: (ids, topicId) => {
+        const copies = selectForTopic(get().words, ids, topicId)
+          .map((w) => ({ ...withoutProgress(w), id: generateUniqueId(), topicId }));
+        set((state) => ({ words: [...state.words, ...copies] }));
+        return copies.length;
+      },
+
+      // `tag` is stored as given; see normalizeTag in utils/wordSchema.js
+      tagWords: (ids, tag) => {
+        const selected = new Set(ids);
+        set((state) => ({
+          words: state.words.map((w) => (
+            selected.has(w.id) && !getTags(w).includes(tag) ? { ...w, tags: [...getTags(w), tag] } : w
+          ))
+        }));
+      },
+
+      untagWords: (ids, tag) => {
+        const selected = new Set(ids);
+        set((state) => ({
+          words: state.words.map((w) => (
+            selected.has(w.id) && getTags(w).includes(tag) ? { ...w, tags: getTags(w).filter((t) => t !== tag) } : w
+          ))
+        }));
+      },
+
+      // `review` carries the context of the answer (mode, direction,
+      // responseTime, sessionId) and is appended to the review history.
+      // Its optional `rating` grades the answer for the schedulers
+      // (see utils/grading.js); without one a correct answer is Good.
+      // `countsAsLapse: false` keeps a wrong answer from counting as a lapse
+      // when the word wasn't the one being recalled (the other card of a
+      // mismatch).
+      updateWordStats: (id, isCorrect, review = {}) => {
+        const previous = get().words.find((w) => w.id === id);
+        const isNew = previous ? !previous.lastPracticed : false;
+        const now = Date.now();
+        const rating = review.rating ?? ratingFromResult(isCorrect);
+        const direction = review.direction || DIRECTIONS.FORWARD;
+
+        set((state) => ({
+          words: state.words.map((w) => {
+            if (w.id === id) {
+                const counters = {
                   correct: isCorrect ? (w.correct || 0) + 1 : (w.correct || 0),
                   wrong: !isCorrect ? (w.wrong || 0) + 1 : (w.wrong || 0),
-                  lastPracticed: Date.now(),
-                  consecutiveCorrect: newConsecutiveCorrect,
-                  masteryScore: masteryScore
+                  consecutiveCorrect: isCorrect ? (w.consecutiveCorrect || 0) + 1 : 0
+                };
+
+                const lapsed = review.countsAsLapse !== false && isLapse(w, isCorrect);
+                const lapses = (w.lapses || 0) + (lapsed ? 1 : 0);
+                // Words that keep lapsing are flagged and taken out of sessions
+                const becomesLeech = lapses !== (w.lapses || 0) && reachesLeechThreshold(lapses);
+
+                const updated = {
+                  ...w,
+                  ...counters,
+                  masteryScore: calculateMasteryScore(counters),
+                  directionStats: {
+                    ...w.directionStats,
+                    [direction]: nextDirectionStats(getDirectionStats(w, direction), isCorrect)
+                  },
+                  lapses,
+                  ...(becomesLeech ? { isLeech: true, suspended: true } : {})
+                };
+
+                // Schedulers see the previous lastPracticed when deriving a first state
+                return {
+                  ...updated,
+                  learningStage: nextLearningStage(w, updated, isCorrect),
+                  introducedAt: isNew ? now : (w.introducedAt ?? null),
+                  lastPracticed: now,
+                  scheduling: reviewWithAllSchedulers(updated, {
+                    rating,
+                    isCorrect,
+                    now
+                  })
                 };
             }
             return w;
           })
+        }));
+
+        const { words } = get();
+        const word = words.find((w) => w.id === id);
+        if (word) {
+          useReviewStore.getState().logReview({
+            ...review,
+            wordId: id,
+            topicId: word.topicId,
+            isCorrect,
+            rating,
+            timestamp: now
+          });
+          useProgressStore.getState().recordReview({
+            topicId: word.topicId,
+            isCorrect,
+            isNew,
+            avgMastery: averagePracticedMastery(words),
+            topicAvgMastery: averagePracticedMastery(words.filter((w) => w.topicId === word.topicId)),
+            timestamp: now
+          });
+        }
+      },
+
+      // Grammar drill answers (review.attribute: 'gender' or 'plural') only
+      // touch that attribute's counters, not the meaning's stats or schedule
+      updateGrammarStats: (id, isCorrect, review = {}) =>
+        set((state) => ({
+          words: state.words.map((w) => (
+            w.id === id
+              ? {
+                  ...w,
+                  grammarStats: {
+                    ...w.grammarStats,
+                    [review.attribute]: nextGrammarStats(getGrammarStats(w, review.attribute), isCorrect)
+                  }
+                }
+              : w
+          ))
         })),
 
       addTopic: (name, emoji = '📚') => {
@@ -104,18 +301,41 @@ const useContentStore = create(
           }
           const newTopicId = generateUniqueId();
           const newTopic = { ...data.topic, id: newTopicId, createdAt: Date.now() };
-          const newWords = data.words.map((word) => ({
-            ...word,
-            id: generateUniqueId(),
-            topicId: newTopicId
-          }));
+          const idMap = new Map();
+          // A selection from several topics can hold the same word text
+          // more than once; the first one is kept, with its reviews
+          const texts = new Set();
+          const uniqueWords = data.words.filter((word) => {
+            const text = String(word.word).toLowerCase();
+            if (texts.has(text)) return false;
+            texts.add(text);
+            return true;
+          });
+          // Exports from before the rich word schema are migrated on the way in
+          const newWords = uniqueWords.map((word) => {
+            const newId = generateUniqueId();
+            idMap.set(word.id, newId);
+            return {
+              ...migrateWord(word),
+              id: newId,
+              topicId: newTopicId
+            };
+          });
 
           set((state) => ({
             topics: [...state.topics, newTopic],
             words: [...state.words, ...newWords]
           }));
 
-          return { success: true, topic: newTopic };
+          // Older exports have no review history
+          if (Array.isArray(data.reviews) && data.reviews.length > 0) {
+            const reviews = data.reviews
+              .filter((r) => idMap.has(r.wordId))
+              .map((r) => ({ ...r, wordId: idMap.get(r.wordId), topicId: newTopicId }));
+            useReviewStore.getState().appendReviews(reviews);
+          }
+
+          return { success: true, topic: newTopic, skipped: data.words.length - newWords.length };
         } catch (error) {
           return { success: false, error: error.message };
         }
@@ -131,8 +351,24 @@ const useContentStore = create(
         return {
           topic,
           words: topicWords,
+          reviews: useReviewStore.getState().getReviewsByTopic(topicId),
           exportedAt: Date.now(),
-          version: '1.0'
+          // 2.0: words carry the rich schema (see utils/wordSchema.js)
+          version: '2.0',
+          wordSchemaVersion: WORD_SCHEMA_VERSION
+        };
+      },
+
+      // A selection in the topic export format, so it imports as a new topic
+      exportWords: (ids, topic = { name: 'Selected words', emoji: '📦' }) => {
+        const selected = new Set(ids);
+        return {
+          topic,
+          words: get().words.filter((w) => selected.has(w.id)),
+          reviews: useReviewStore.getState().getReviewsByWords(ids),
+          exportedAt: Date.now(),
+          version: '2.0',
+          wordSchemaVersion: WORD_SCHEMA_VERSION
         };
       },
 
@@ -143,6 +379,39 @@ const useContentStore = create(
     {
       name: 'recalla-content-storage',
       // Default is localStorage
+      version: 4,
+      migrate: (persistedState, version) => {
+        const state = { ...persistedState };
+        if (version < 1) {
+          // v1: the FSRS memory state moved into the per-scheduler map
+          state.words = (state.words || []).map(({ memory, ...w }) => (
+            memory ? { ...w, scheduling: { ...w.scheduling, fsrs: memory } } : w
+          ));
+        }
+        if (version < 2) {
+          // v2: words track their learning stage
+          state.words = (state.words || []).map((w) => ({ ...w, learningStage: getLearningStage(w) }));
+        }
+        if (version < 3) {
+          // v3: counters per direction; every earlier answer was word → meaning
+          state.words = (state.words || []).map((w) => ({
+            ...w,
+            directionStats: {
+              forward: {
+                correct: w.correct || 0,
+                wrong: w.wrong || 0,
+                consecutiveCorrect: w.consecutiveCorrect || 0,
+                masteryScore: w.masteryScore || 0
+              }
+            }
+          }));
+        }
+        if (version < 4) {
+          // v4: rich word schema; meanings are split out of `meaning`
+          state.words = (state.words || []).map(migrateWord);
+        }
+        return state;
+      }
     }
   )
 );
@@ -0,0 +1,63 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { toDayKey } from '../utils/progressHistory';
+
+const emptyRollup = () => ({
+  reviews: 0,
+  correct: 0,
+  newWords: 0,
+  avgMastery: null
+});
+
+const applyReview = (rollup, { isCorrect, isNew, avgMastery }) => ({
+  reviews: rollup.reviews + 1,
+  correct: rollup.correct + (isCorrect ? 1 : 0),
+  newWords: rollup.newWords + (isNew ? 1 : 0),
+  // Snapshot taken after every review, so the last one of the day wins
+  avgMastery
+});
+
+/**
+ * Daily progress rollups, keyed by local day ('YYYY-MM-DD').
+ *
+ * Each day holds a global rollup plus one rollup per topic:
+ * { reviews, correct, newWords, avgMastery, topics: { [topicId]: rollup } }
+ */
+const useProgressStore = create(
+  persist(
+    (set) => ({
+      days: {},
+
+      recordReview: ({ topicId, isCorrect, isNew, avgMastery, topicAvgMastery, timestamp = Date.now() }) =>
+        set((state) => {
+          const key = toDayKey(timestamp);
+          const day = state.days[key] || { ...emptyRollup(), topics: {} };
+          const topics = { ...day.topics };
+
+          if (topicId != null) {
+            topics[topicId] = applyReview(topics[topicId] || emptyRollup(), {
+              isCorrect,
+              isNew,
+              avgMastery: topicAvgMastery
+            });
+          }
+
+          return {
+            days: {
+              ...state.days,
+              [key]: {
+                ...applyReview(day, { isCorrect, isNew, avgMastery }),
+                topics
+              }
+            }
+          };
+        })
+    }),
+    {
+      name: 'recalla-progress-storage',
+      // Default is localStorage
+    }
+  )
+);
+
+export default useProgressStore;
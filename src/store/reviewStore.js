@@ -0,0 +1,94 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+
+/**
+ * Append-only review history.
+ *
+ * Every graded answer is stored as one event so that scheduling, statistics
+ * and exports can work from what actually happened instead of the aggregate
+ * counters kept on each word.
+ *
+ * Event shape:
+ * {
+ *   wordId, topicId, timestamp,
+ *   outcome: 'correct' | 'wrong',
+ *   rating: Rating.* (1-4) or null,
+ *   mode: 'match' | ...,
+ *   direction: 'forward' | 'reverse',
+ *   responseTime: ms or null,
+ *   sessionId: id or null
+ * }
+ */
+const useReviewStore = create(
+  persist(
+    (set, get) => ({
+      reviews: [],
+
+      logReview: ({
+        wordId,
+        topicId = null,
+        isCorrect,
+        rating = null,
+        mode = 'match',
+        direction = 'forward',
+        responseTime = null,
+        sessionId = null,
+        timestamp = Date.now()
+      }) => {
+        const review = {
+          wordId,
+          topicId,
+          timestamp,
+          outcome: isCorrect ? 'correct' : 'wrong',
+          rating,
+          mode,
+          direction,
+          responseTime,
+          sessionId
+        };
+
+        set((state) => ({ reviews: [...state.reviews, review] }));
+
+        return review;
+      },
+
+      // Used by topic import; events keep their original order
+      appendReviews: (reviews) =>
+        set((state) => ({
+          reviews: [...state.reviews, ...reviews].sort((a, b) => a.timestamp - b.timestamp)
+        })),
+
+      // Words moved to another topic take their history along
+      moveReviews: (wordIds, topicId) => {
+        const ids = new Set(wordIds);
+        set((state) => ({
+          reviews: state.reviews.map((r) => (ids.has(r.wordId) ? { ...r, topicId } : r))
+        }));
+      },
+
+      getReviewsByWord: (wordId) =>
+        get().reviews.filter((r) => r.wordId === wordId),
+
+      getReviewsByWords: (wordIds) => {
+        const ids = new Set(wordIds);
+        return get().reviews.filter((r) => ids.has(r.wordId));
+      },
+
+      getReviewsByTopic: (topicId) =>
+        get().reviews.filter((r) => r.topicId === topicId),
+
+      // Inclusive start, exclusive end (both in ms)
+      getReviewsInRange: (start, end = Date.now()) =>
+        get().reviews.filter((r) => r.timestamp >= start && r.timestamp < end),
+
+      getReviewsBySession: (sessionId) =>
+        get().reviews.filter((r) => r.sessionId === sessionId)
+    }),
+    {
+      name: 'recalla-review-storage',
+      // Default is localStorage
+    }
+  )
+);
+
+export default useReviewStore;
@@ -0,0 +1,59 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { DEFAULT_TARGET_RETENTION, setMemoryParameters } from '../utils/fsrs';
+import { DEFAULT_SPEECH_RATE } from '../utils/speech';
+
+/**
+ * Learning settings that outgrow the cookie-backed user store.
+ *
+ * memoryFit shape (see utils/memoryFit.js):
+ * { stabilityScale, logLoss, baselineLogLoss, samples, fittedAt }
+ *
+ * speechVoices maps a topic language to the chosen voice (see utils/speech.js):
+ * { 'de-DE': voiceURI }
+ */
+const useSettingsStore = create(
+  persist(
+    (set) => ({
+      targetRetention: DEFAULT_TARGET_RETENTION,
+      memoryFit: null,
+      speechVoices: {},
+      speechRate: DEFAULT_SPEECH_RATE,
+      autoPlaySpeech: false,
+
+      setTargetRetention: (targetRetention) => set({ targetRetention }),
+
+      setMemoryFit: (fit, fittedAt = Date.now()) => set({ memoryFit: { ...fit, fittedAt } }),
+
+      clearMemoryFit: () => set({ memoryFit: null }),
+
+      // An empty voiceURI goes back to the automatic choice
+      setSpeechVoice: (language, voiceURI) =>
+        set((state) => {
+          const speechVoices = { ...state.speechVoices, [language]: voiceURI };
+          if (!voiceURI) delete speechVoices[language];
+          return { speechVoices };
+        }),
+
+      setSpeechRate: (speechRate) => set({ speechRate }),
+
+      setAutoPlaySpeech: (autoPlaySpeech) => set({ autoPlaySpeech })
+    }),
+    {
+      name: 'recalla-settings-storage',
+      // Default is localStorage
+    }
+  )
+);
+
+// Scheduling reads the learner's forgetting curve and target retention from
+// utils/fsrs.js. They are applied as soon as the stored settings load, before
+// any screen renders, and again whenever they change
+const applyMemoryParameters = ({ memoryFit, targetRetention }) => {
+  setMemoryParameters({ stabilityScale: memoryFit?.stabilityScale ?? 1, targetRetention });
+};
+
+applyMemoryParameters(useSettingsStore.getState());
+useSettingsStore.subscribe(applyMemoryParameters);
+
+export default useSettingsStore;
@@ -6,88 +6,102 @@
  * locally to keep the application lightweight.
  * 
  * Key algorithms:
- * 1. Spaced Repetition (SM-2 inspired)
- * 2. Forgetting Curve (Ebbinghaus model)
+ * 1. Spaced Repetition (FSRS memory model, see ./fsrs.js)
+ * 2. Forgetting Curve (FSRS power-law retrievability)
  * 3. Difficulty Estimation
  * 4. Learning Velocity Tracking
  */
 
+import { personalRetrievability } from './fsrs';
+import { estimateDifficulty } from './wordMetrics';
+import { SCHEDULERS, DEFAULT_SCHEDULER_ID, getScheduler, getSchedulerState } from './schedulers';
+import { LEARNING_STAGES, getLearningStage } from './learningStages';
+import { normalizeMeaning } from './ambiguity';
+import { shuffle } from './random';
+import { DIRECTIONS, getDirectionStats } from './directions';
+
+export { estimateDifficulty };
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+const MS_PER_DAY = MS_PER_HOUR * 24;
+
+const defaultScheduler = getScheduler(DEFAULT_SCHEDULER_ID);
+
+/**
+ * Get the FSRS memory state of a word
+ * Retention always comes from the memory model, whichever scheduler
+ * decides when the word is due.
+ *
+ * @param {Object} word - The word object with learning stats
+ * @returns {Object|null} - Memory state, or null for never-practiced words
+ */
+export const getMemoryState = (word) => getSchedulerState(word, SCHEDULERS.fsrs);
+
 /**
  * Calculate the forgetting curve value for a word
- * Based on Ebbinghaus forgetting curve: R = e^(-t/S)
- * where R = retention, t = time since last review, S = stability (based on mastery)
+ * Uses the FSRS power-law curve: R = (1 + 19/81 * t/(k*S))^-0.5
+ * where R = retention, t = days since last review, S = stability in days
+ * and k = the learner's fitted stability scale (1 until fitted)
  * 
  * @param {Object} word - The word object with learning stats
+ * @param {number} now - Reference time in ms (default: now)
  * @returns {number} - Retention probability (0-1)
  */
-export const calculateRetention = (word) => {
-  if (!word.lastPracticed) {
+export const calculateRetention = (word, now = Date.now()) => {
+  const memory = getMemoryState(word);
+  if (!memory) {
     return 0; // Never practiced = needs review
   }
 
-  const hoursSinceLastPractice = (Date.now() - word.lastPracticed) / (1000 * 60 * 60);
-  const masteryScore = word.masteryScore || 0;
-  
-  // Stability increases with mastery (hours until 50% retention)
-  // Low mastery: review after 1-2 hours, High mastery: review after 24-48 hours
-  const stability = 1 + (masteryScore / 100) * 47; // 1-48 hours
-  
-  // Forgetting curve: R = e^(-t/S)
-  const retention = Math.exp(-hoursSinceLastPractice / stability);
+  const daysSinceLastReview = (now - memory.lastReview) / MS_PER_DAY;
+  const retention = personalRetrievability(daysSinceLastReview, memory.stability);
   
   return Math.max(0, Math.min(1, retention));
 };
 
 /**
- * Calculate the optimal next review time based on spaced repetition
- * Inspired by SuperMemo SM-2 algorithm
+ * Calculate the scheduled interval between the last and the next review
  * 
  * @param {Object} word - The word object with learning stats
- * @returns {number} - Hours until next optimal review
+ * @param {Object} scheduler - Scheduler deciding the due date (default: FSRS)
+ * @returns {number} - Hours between last review and the due date
  */
-export const calculateNextReviewInterval = (word) => {
-  const consecutiveCorrect = word.consecutiveCorrect || 0;
-  const masteryScore = word.masteryScore || 0;
-  
-  // Base intervals (in hours) for each repetition
-  const intervals = [0.1, 0.5, 1, 3, 8, 24, 48, 96]; // Up to 4 days
-  
-  // Get interval based on consecutive correct answers
-  let interval = intervals[Math.min(consecutiveCorrect, intervals.length - 1)];
-  
-  // Adjust based on mastery score
-  const masteryFactor = 0.5 + (masteryScore / 100) * 1.5; // 0.5 to 2.0
-  interval *= masteryFactor;
-  
-  return interval;
+export const calculateNextReviewInterval = (word, scheduler = defaultScheduler) => {
+  const state = getSchedulerState(word, scheduler);
+  if (!state) {
+    return 0; // New words are due immediately
+  }
+  return Math.max(0, (state.due - state.lastReview) / MS_PER_HOUR);
 };
 
 /**
- * Estimate the difficulty of a word based on user performance
+ * How overdue a word is, relative to its scheduled interval
+ * 0 = just reviewed, 1 = due now, 2 = overdue by a full interval, ...
  * 
  * @param {Object} word - The word object with learning stats
- * @returns {number} - Difficulty score (0-100, higher = more difficult)
+ * @param {number} now - Reference time in ms (default: now)
+ * @param {Object} scheduler - Scheduler deciding the due date (default: FSRS)
+ * @returns {number} - Due-ness ratio (new words count as due now)
  */
-export const estimateDifficulty = (word) => {
-  const totalAttempts = (word.correct || 0) + (word.wrong || 0);
-  
-  if (totalAttempts === 0) {
-    return 50; // Unknown difficulty
-  }
-  
-  const errorRate = (word.wrong || 0) / totalAttempts;
-  
-  // Check for recent failures (if currently on a wrong streak)
-  const recentFailureBoost = (word.consecutiveCorrect === 0 && (word.wrong || 0) > 0) ? 30 : 0;
-  
-  // Difficulty factors:
-  // 1. Error rate (70% weight)
-  // 2. Recent failures (30% boost)
-  const difficulty = (errorRate * 70) + recentFailureBoost;
-  
-  return Math.round(Math.max(0, Math.min(100, difficulty)));
+export const calculateDueness = (word, now = Date.now(), scheduler = defaultScheduler) => {
+  const state = getSchedulerState(word, scheduler);
+  if (!state) return 1;
+
+  const interval = Math.max(state.due - state.lastReview, 1);
+  return Math.max(0, (now - state.lastReview) / interval);
 };
 
+/**
+ * Whether a word is due for review
+ * 
+ * @param {Object} word - The word object with learning stats
+ * @param {number} now - Reference time in ms (default: now)
+ * @param {Object} scheduler - Scheduler deciding the due date (default: FSRS)
+ * @returns {boolean}
+ */
+export const isWordDue = (word, now = Date.now(), scheduler = defaultScheduler) =>
+  scheduler.isDue(getSchedulerState(word, scheduler), now);
+
 /**
  * Calculate learning velocity - how quickly the user is mastering this word
  * 
@@ -121,51 +135,12 @@ export const calculateLearningVelocity = (word) => {
  * Higher score = higher priority for review
  * 
  * @param {Object} word - The word object with learning stats
+ * @param {number} now - Reference time in ms (default: now)
+ * @param {Object} scheduler - Scheduler ranking the word (default: FSRS)
  * @returns {number} - Priority score (0-1000)
  */
-export const calculatePriority = (word) => {
-  // Get various factors
-  const retention = calculateRetention(word);
-  const difficulty = estimateDifficulty(word);
-  const masteryScore = word.masteryScore || 0;
-  const hoursSinceLastPractice = word.lastPracticed 
-    ? (Date.now() - word.lastPracticed) / (1000 * 60 * 60)
-    : 1000;
-  
-  // Priority calculation weights:
-  // 1. Low retention = high priority (40%)
-  // 2. High difficulty = high priority (30%)
-  // 3. Low mastery = high priority (20%)
-  // 4. Overdue for review = high priority (10%)
-  
-  const retentionPriority = (1 - retention) * 400; // 0-400 points
-  const difficultyPriority = (difficulty / 100) * 300; // 0-300 points
-  const masteryPriority = (1 - masteryScore / 100) * 200; // 0-200 points
-  
-  // Check if word is overdue for review based on spaced repetition intervals
-  const nextReviewInterval = calculateNextReviewInterval(word);
-  const isOverdue = hoursSinceLastPractice > nextReviewInterval;
-  const overduePriority = isOverdue ? 100 : 0; // 0-100 points
-  
-  const totalPriority = retentionPriority + difficultyPriority + masteryPriority + overduePriority;
-  
-  return Math.round(totalPriority);
-};
-
-/**
- * Fisher-Yates shuffle algorithm for proper randomization
- * 
- * @param {Array} array - Array to shuffle
- * @returns {Array} - Shuffled array
- */
-const shuffleArray = (array) => {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-  }
-  return shuffled;
-};
+export const calculatePriority = (word, now = Date.now(), scheduler = defaultScheduler) =>
+  scheduler.priority(getSchedulerState(word, scheduler), word, now);
 
 /**
  * Weighted random sampling across the entire word pool.
@@ -174,9 +149,10 @@ const shuffleArray = (array) => {
  * 
  * @param {Array} items - Array of items with a 'weight' property
  * @param {number} count - Number of items to select
+ * @param {Function} rng - Random number generator (default: Math.random)
  * @returns {Array} - Selected items
  */
-const weightedRandomSample = (items, count) => {
+const weightedRandomSample = (items, count, rng = Math.random) => {
   if (items.length <= count) return [...items];
   
   const selected = [];
@@ -184,7 +160,7 @@ const weightedRandomSample = (items, count) => {
   let totalWeight = remaining.reduce((sum, item) => sum + item.weight, 0);
   
   for (let i = 0; i < count && remaining.length > 0; i++) {
-    let random = Math.random() * totalWeight;
+    let random = rng() * totalWeight;
     
     let chosenIndex = 0;
     for (let j = 0; j < remaining.length; j++) {
@@ -203,11 +179,129 @@ const weightedRandomSample = (items, count) => {
   return selected;
 };
 
+/**
+ * Split new words into those that may be introduced now and those held
+ * back by their topic's daily cap. New words are introduced in the order
+ * they were added.
+ * 
+ * @param {Array} newWords - Candidate entries for never-practiced words
+ * @param {Function} newWordAllowance - (topicId) => new words still allowed
+ * @returns {Object} - { allowed, heldBack }
+ */
+const applyNewWordAllowance = (newWords, newWordAllowance) => {
+  const usedByTopic = new Map();
+  const allowed = [];
+  const heldBack = [];
+
+  newWords.forEach(w => {
+    const topicId = w.word.topicId;
+    const used = usedByTopic.get(topicId) || 0;
+    if (used < newWordAllowance(topicId)) {
+      usedByTopic.set(topicId, used + 1);
+      allowed.push(w);
+    } else {
+      heldBack.push(w);
+    }
+  });
+
+  return { allowed, heldBack };
+};
+
+/**
+ * Swap confusable partners into the selection so learners practise
+ * telling them apart. Words already on the board (`dealtWith`) and the
+ * selected words act as seeds; a seed's most confused partner from the
+ * pool replaces the least important other selected word that isn't
+ * already part of a pair (selections are ordered most important first).
+ * 
+ * @param {Array} selected - Selected entries, most important first
+ * @param {Array} pool - All candidate entries
+ * @param {Array} dealtWith - Words already on the board
+ * @param {Function} confusionPartners - (wordId) => partner ids, most confused first
+ * @param {number} maxSwaps - Maximum number of partners to swap in
+ * @returns {Array} - Selected entries with partners swapped in
+ */
+const dealConfusablePairs = (selected, pool, dealtWith, confusionPartners, maxSwaps) => {
+  const result = [...selected];
+  const poolById = new Map(pool.map(w => [w.word.id, w]));
+  const present = new Set([...dealtWith.map(w => w.id), ...result.map(w => w.word.id)]);
+  const paired = new Set();
+  let swaps = 0;
+
+  const seeds = [
+    ...dealtWith.map(word => ({ word, index: -1 })),
+    ...result.map((entry, index) => ({ word: entry.word, index })),
+  ];
+
+  for (const { word, index } of seeds) {
+    if (swaps >= maxSwaps) break;
+    if (paired.has(word.id) || !present.has(word.id)) continue;
+
+    const partnerIds = confusionPartners(word.id);
+    const presentPartner = partnerIds.find(id => present.has(id));
+    if (presentPartner != null) {
+      paired.add(word.id);
+      paired.add(presentPartner);
+      continue;
+    }
+
+    const partner = partnerIds.map(id => poolById.get(id)).find(Boolean);
+    if (!partner) continue;
+
+    let slot = result.length - 1;
+    while (slot >= 0 && (slot === index || paired.has(result[slot].word.id))) slot--;
+    if (slot < 0) continue;
+
+    present.delete(result[slot].word.id);
+    result[slot] = partner;
+    present.add(partner.word.id);
+    paired.add(word.id);
+    paired.add(partner.word.id);
+    swaps++;
+  }
+
+  return result;
+};
+
+/**
+ * Drop selected words whose meaning is already on the board or earlier in
+ * the selection, and refill from the pool with words of unused meanings.
+ * Two cards with the same meaning text can't be told apart.
+ * 
+ * @param {Array} selected - Selected entries, most important first
+ * @param {Array} pool - All candidate entries, in fill order
+ * @param {Array} dealtWith - Words already on the board
+ * @param {number} count - Number of entries wanted
+ * @returns {Array} - Entries with distinct meanings
+ */
+const withDistinctMeanings = (selected, pool, dealtWith, count) => {
+  const meanings = new Set(dealtWith.map(w => normalizeMeaning(w.meaning)));
+  const considered = new Set();
+  const result = [];
+
+  [...selected, ...pool].forEach(entry => {
+    if (result.length >= count || considered.has(entry.word.id)) return;
+    considered.add(entry.word.id);
+
+    const meaning = normalizeMeaning(entry.word.meaning);
+    if (meanings.has(meaning)) return;
+    meanings.add(meaning);
+    result.push(entry);
+  });
+
+  return result;
+};
+
 /**
  * Select words intelligently for the next game session
- * Uses weighted random sampling across the entire word pool to ensure
- * words from throughout the topic (beginning, middle, end) are shown,
- * while still giving higher probability to words that need review.
+ * Words that are due for review are dealt first, then new words up to the
+ * daily allowance of their topic. Remaining slots are filled with weighted
+ * random sampling across the entire word pool to ensure words from
+ * throughout the topic (beginning, middle, end) are shown, while still
+ * giving higher probability to words that need review.
+ * New words past the allowance are only dealt when nothing else can fill
+ * the board. Words the learner has confused are dealt together, words
+ * sharing a meaning never are.
  * 
  * @param {Array} allWords - Array of all available word objects
  * @param {number} count - Number of words to select
@@ -219,23 +313,33 @@ export const selectWordsForSession = (allWords, count, options = {}) => {
     includeNew = true, // Include never-practiced words
     balanceChallenge = true, // Mix difficult and easier words
     maxDifficulty = 100, // Maximum difficulty to include
+    schedulerFor = () => defaultScheduler, // Resolves each word's scheduler (per topic)
+    newWordAllowance = () => Infinity, // (topicId) => new words still allowed today
+    confusionPartners = () => [], // (wordId) => ids of words it gets confused with
+    dealtWith = [], // Words already on the board, for pairing confusable words
+    includeSuspended = false, // Include suspended words (e.g. leeches)
+    rng = Math.random, // Random number generator, seeded to reproduce a selection
+    now = Date.now(), // Reference time, fixed to reproduce a selection
   } = options;
   
-  if (allWords.length === 0) {
+  const candidates = includeSuspended ? allWords : allWords.filter(w => !w.suspended);
+  if (candidates.length === 0) {
     return [];
   }
-  
+
   // Calculate priority for each word
-  const wordsWithPriority = allWords.map(word => ({
+  const wordsWithPriority = candidates.map(word => ({
     word,
-    priority: calculatePriority(word),
+    priority: calculatePriority(word, now, schedulerFor(word)),
+    isDue: isWordDue(word, now, schedulerFor(word)),
+    isNew: getLearningStage(word) === LEARNING_STAGES.NEW,
     difficulty: estimateDifficulty(word),
-    retention: calculateRetention(word),
+    retention: calculateRetention(word, now),
     masteryScore: word.masteryScore || 0,
   }));
   
   // Filter by difficulty if needed
-  const filtered = wordsWithPriority.filter(w => w.difficulty <= maxDifficulty);
+  const filtered = wordsWithPriority.filter(w => w.difficulty <= maxDifficulty && (includeNew || !w.isNew));
   
   if (filtered.length === 0) {
     return [];
@@ -254,26 +358,134 @@ export const selectWordsForSession = (allWords, count, options = {}) => {
     weight: w.priority + baseWeight,
   }));
   
-  const selected = weightedRandomSample(weighted, selectedCount);
+  // Due reviews take the first slots, then today's new words, and the
+  // rest of the pool fills up the board
+  const due = weighted.filter(w => w.isDue && !w.isNew);
+  const notDue = weighted.filter(w => !w.isDue && !w.isNew);
+  const { allowed, heldBack } = applyNewWordAllowance(weighted.filter(w => w.isNew), newWordAllowance);
+
+  const selected = weightedRandomSample(due, selectedCount, rng);
+  const fill = (pool, sample) => {
+    if (selected.length < selectedCount) {
+      selected.push(...sample(pool, selectedCount - selected.length));
+    }
+  };
+  fill(allowed, (pool, n) => pool.slice(0, n));
+  fill(notDue, (pool, n) => weightedRandomSample(pool, n, rng));
+  fill(heldBack, (pool, n) => pool.slice(0, n));
+
+  // Up to one confusable pair per 4 words dealt
+  const paired = dealConfusablePairs(
+    selected,
+    [...due, ...allowed, ...notDue],
+    dealtWith,
+    confusionPartners,
+    Math.max(1, Math.floor(selectedCount / 4))
+  );
+
+  // Never deal two words with the same meaning together
+  const distinct = withDistinctMeanings(
+    paired,
+    [...due, ...allowed, ...notDue, ...heldBack],
+    dealtWith,
+    selectedCount
+  );
   
   // Shuffle using Fisher-Yates to avoid predictable patterns
-  const shuffled = shuffleArray(selected);
+  const shuffled = shuffle(distinct, rng);
   
   return shuffled.map(w => w.word);
 };
 
+/**
+ * Select words for a shared challenge board
+ * Unlike selectWordsForSession nothing depends on the learner's stats or
+ * the clock: the pool is put in a fixed order (by word, then meaning) and
+ * shuffled with the seeded generator, so the same seed deals the same
+ * words on every device holding the same words. Words sharing a meaning
+ * are still never dealt together.
+ *
+ * @param {Array} allWords - Array of all available word objects
+ * @param {number} count - Number of words to select
+ * @param {Object} options - { rng, dealtWith }
+ * @returns {Array} - Selected words in dealing order
+ */
+export const selectWordsForChallenge = (allWords, count, options = {}) => {
+  const { rng = Math.random, dealtWith = [] } = options;
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  const ordered = [...allWords].sort((a, b) => (
+    compare(a.word.toLowerCase(), b.word.toLowerCase()) || compare(a.meaning, b.meaning)
+  ));
+  const entries = shuffle(ordered, rng).map(word => ({ word }));
+  return withDistinctMeanings(entries, [], dealtWith, Math.min(count, entries.length)).map(w => w.word);
+};
+
+/**
+ * End of the local calendar day containing `now`
+ * 
+ * @param {number} now - Reference time in ms (default: now)
+ * @returns {number} - Timestamp of 23:59:59.999 that day
+ */
+export const endOfDay = (now = Date.now()) => {
+  const date = new Date(now);
+  date.setHours(23, 59, 59, 999);
+  return date.getTime();
+};
+
+/**
+ * Build the queue of practiced words whose scheduled review falls on or
+ * before `until` (default: end of today), most urgent first.
+ * Never-practiced and suspended words are not part of the queue.
+ * 
+ * @param {Array} allWords - Array of word objects
+ * @param {Object} options - { schedulerFor, until, now }
+ * @returns {Array} - Due words sorted by priority
+ */
+export const getDueQueue = (allWords, options = {}) => {
+  const {
+    schedulerFor = () => defaultScheduler,
+    now = Date.now(),
+    until = endOfDay(now),
+  } = options;
+
+  return allWords
+    .filter(word => !word.suspended)
+    .map(word => {
+      const scheduler = schedulerFor(word);
+      return { word, scheduler, state: getSchedulerState(word, scheduler) };
+    })
+    .filter(({ state }) => state && state.due <= until)
+    .map(({ word, scheduler }) => ({ word, priority: calculatePriority(word, now, scheduler) }))
+    .sort((a, b) => b.priority - a.priority)
+    .map(({ word }) => word);
+};
+
+// Counters of one direction with their accuracy (null before any answer)
+const summarizeDirection = (word, direction) => {
+  const stats = getDirectionStats(word, direction);
+  const attempts = stats.correct + stats.wrong;
+  return {
+    ...stats,
+    attempts,
+    accuracy: attempts > 0 ? Math.round((stats.correct / attempts) * 100) : null,
+  };
+};
+
 /**
  * Get learning insights for a word
  * Provides human-readable insights about word learning status
  * 
  * @param {Object} word - The word object with learning stats
+ * @param {Object} scheduler - Scheduler deciding the due date (default: FSRS)
  * @returns {Object} - Insights object with recommendations
  */
-export const getWordInsights = (word) => {
+export const getWordInsights = (word, scheduler = defaultScheduler) => {
   const retention = calculateRetention(word);
   const difficulty = estimateDifficulty(word);
   const velocity = calculateLearningVelocity(word);
-  const nextReview = calculateNextReviewInterval(word);
+  const nextReview = calculateNextReviewInterval(word, scheduler);
+  const schedule = getSchedulerState(word, scheduler);
+  const memory = getMemoryState(word);
   const masteryScore = word.masteryScore || 0;
   
   // Determine status
@@ -307,7 +519,15 @@ export const getWordInsights = (word) => {
     difficulty: Math.round(difficulty),
     velocity: Math.round(velocity),
     nextReviewHours: Math.round(nextReview),
+    dueAt: schedule ? schedule.due : null,
+    isDue: isWordDue(word, Date.now(), scheduler),
+    stability: memory ? Math.round(memory.stability * 10) / 10 : 0,
+    stage: getLearningStage(word),
     masteryScore,
+    directions: {
+      forward: summarizeDirection(word, DIRECTIONS.FORWARD),
+      reverse: summarizeDirection(word, DIRECTIONS.REVERSE),
+    },
   };
 };
 
@@ -375,10 +595,14 @@ export const analyzeSession = (sessionWords, sessionStats) => {
 export default {
   calculateRetention,
   calculateNextReviewInterval,
+  calculateDueness,
+  isWordDue,
+  getMemoryState,
   estimateDifficulty,
   calculateLearningVelocity,
   calculatePriority,
   selectWordsForSession,
+  getDueQueue,
   getWordInsights,
   analyzeSession,
 };
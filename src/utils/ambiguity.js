@@ -0,0 +1,41 @@
+/**
+ * Ambiguous Meanings
+ * Words that share a meaning (e.g. "Inland" and "inländisch" → "domestic")
+ * can't be told apart on a match board, so they are never dealt together
+ * and a word matched with an identical meaning counts as correct.
+ */
+
+/**
+ * Normalize a meaning for comparison (case, surrounding and repeated spaces)
+ * @param {string} meaning - Meaning text
+ * @returns {string} Normalized meaning
+ */
+export const normalizeMeaning = (meaning) => (
+  (meaning || '').trim().toLowerCase().replace(/\s+/g, ' ')
+);
+
+/**
+ * Whether two words have the same meaning text
+ * @param {Object} a - Word object
+ * @param {Object} b - Word object
+ * @returns {boolean}
+ */
+export const haveSameMeaning = (a, b) => normalizeMeaning(a.meaning) === normalizeMeaning(b.meaning);
+
+/**
+ * Group the words that share a meaning
+ * @param {Array} words - Word objects, e.g. the words of one topic
+ * @returns {Array} [{ meaning, words }] for every meaning used more than once
+ */
+export const findAmbiguousMeanings = (words) => {
+  const groups = new Map();
+  words.forEach((w) => {
+    const key = normalizeMeaning(w.meaning);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(w);
+  });
+
+  return Array.from(groups.values())
+    .filter((group) => group.length > 1)
+    .map((group) => ({ meaning: group[0].meaning, words: group }));
+};
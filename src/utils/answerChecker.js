@@ -0,0 +1,138 @@
+/**
+ * Typed Answer Checker
+ * Grades a typed answer against a word or meaning without punishing the
+ * learner for things that aren't about remembering:
+ *
+ * - Case, punctuation and extra spaces
+ * - Accents and umlauts, typed either as "ae" or as the bare vowel (ä → ae / a, ß → ss)
+ * - Alternatives in the expected answer ("glance/view", "big, large")
+ * - Notes in parentheses ("bank (money)")
+ * - An optional "to " in front of verbs
+ * - Small typos, by edit distance
+ */
+
+// Letters with a conventional two-letter spelling
+const TRANSLITERATIONS = {
+  ä: 'ae',
+  ö: 'oe',
+  ü: 'ue',
+  ß: 'ss',
+  æ: 'ae',
+  œ: 'oe',
+  ø: 'oe',
+};
+
+const stripDiacritics = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const cleanUp = (text) => (text || '')
+  .toLowerCase()
+  .replace(/\([^)]*\)/g, ' ')
+  .replace(/[.,!?;:"'¿¡]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^to /, '');
+
+/**
+ * Comparable spellings of an answer: umlauts written out and umlauts
+ * reduced to their bare vowel
+ *
+ * @param {string} text - Typed or expected answer
+ * @returns {Array<string>} - Distinct normalized spellings
+ */
+export const normalizeAnswer = (text) => {
+  const cleaned = cleanUp(text);
+  const transliterated = stripDiacritics(cleaned.replace(/[äöüßæœø]/g, (ch) => TRANSLITERATIONS[ch]));
+  const bare = stripDiacritics(cleaned).replace(/ß/g, 'ss').replace(/[æœø]/g, (ch) => TRANSLITERATIONS[ch]);
+  return [...new Set([transliterated, bare])];
+};
+
+/**
+ * Accepted alternatives in an expected answer ("glance/view" → glance, view)
+ *
+ * @param {string} expected - Word or meaning as stored
+ * @returns {Array<string>} - Alternatives, trimmed and non-empty
+ */
+export const splitAlternatives = (expected) => (expected || '')
+  .split(/[/,;]/)
+  .map((part) => part.trim())
+  .filter(Boolean);
+
+/**
+ * Optimal string alignment distance: insertions, deletions, substitutions
+ * and swaps of neighbouring letters each cost 1
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+/**
+ * Typos tolerated for an answer of this length: none for very short
+ * answers, where one letter often makes another word
+ *
+ * @param {number} length - Length of the expected answer
+ * @returns {number}
+ */
+export const allowedTypos = (length) => {
+  if (length <= 3) return 0;
+  if (length <= 7) return 1;
+  return 2;
+};
+
+/**
+ * Check a typed answer
+ *
+ * @param {string} input - What the learner typed
+ * @param {string} expected - The stored word or meaning
+ * @returns {Object} - { isCorrect, isExact, closest, distance } where closest is
+ *   the alternative nearest to the input, as stored
+ */
+export const checkAnswer = (input, expected) => {
+  const alternatives = splitAlternatives(expected);
+  const typed = normalizeAnswer(input);
+
+  if (!typed[0] || alternatives.length === 0) {
+    return { isCorrect: false, isExact: false, closest: alternatives[0] || expected, distance: Infinity };
+  }
+
+  let best = { closest: alternatives[0], distance: Infinity, length: 0 };
+  alternatives.forEach((alternative) => {
+    normalizeAnswer(alternative).forEach((target) => {
+      typed.forEach((attempt) => {
+        const distance = editDistance(attempt, target);
+        if (distance < best.distance) {
+          best = { closest: alternative, distance, length: target.length };
+        }
+      });
+    });
+  });
+
+  return {
+    isCorrect: best.distance <= allowedTypos(best.length),
+    isExact: best.distance === 0,
+    closest: best.closest,
+    distance: best.distance,
+  };
+};
+
+export default {
+  normalizeAnswer,
+  splitAlternatives,
+  editDistance,
+  checkAnswer,
+};
@@ -0,0 +1,118 @@
+/**
+ * Cloze Sentences
+ * Blanks a word out of one of its example sentences (see ./wordSchema.js).
+ * Sentences often use an inflected form ("handeln" → "Er handelt schnell"),
+ * so the blank is found in two steps:
+ *
+ * 1. A stored form as a whole word: the word itself, or a noun's plural or
+ *    genitive (see ./germanNouns.js)
+ * 2. Otherwise the shortest sentence word made of the word's stem and an
+ *    ending of a few letters, optionally after the participle prefix "ge"
+ *    ("handel-" in "handelt" or "gehandelt", but not "erfolgreich")
+ *
+ * The form found in the sentence is accepted as the answer next to the
+ * word's dictionary form.
+ */
+
+import { splitArticle } from './germanNouns';
+
+// Stems shorter than this match too many unrelated words
+const MIN_STEM_LENGTH = 3;
+
+// Longest inflection ending after the stem ("-test", "-ern")
+const MAX_ENDING_LENGTH = 4;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Infinitive endings dropped to get a verb's stem ("handeln" → "handel")
+const stemOf = (form) => {
+  const lower = form.toLowerCase();
+  const stem = lower.replace(/(en|n)$/, '');
+  return stem.length >= MIN_STEM_LENGTH ? stem : lower;
+};
+
+/**
+ * Forms of a word to look for, dictionary form first
+ *
+ * @param {Object} word - Word object
+ * @returns {Array<string>}
+ */
+export const getSearchForms = (word) => {
+  const { noun } = splitArticle(word.word);
+  return [...new Set([noun, word.plural, word.genitive].filter(Boolean))];
+};
+
+/**
+ * Locate a word in a sentence
+ *
+ * @param {string} sentence - Example sentence
+ * @param {Object} word - Word object
+ * @returns {Object|null} - { index, form } of the form found, or null
+ */
+export const findWordInSentence = (sentence, word) => {
+  // 1. A stored form, as a whole word (phrases included)
+  for (const form of getSearchForms(word)) {
+    const match = new RegExp(`(?<![\\p{L}])${escapeRegExp(form)}(?![\\p{L}])`, 'iu').exec(sentence);
+    if (match) return { index: match.index, form: match[0] };
+  }
+
+  // 2. The stem with a short ending
+  const { noun } = splitArticle(word.word);
+  if (/\s/.test(noun)) return null;
+  const stem = stemOf(noun);
+  let best = null;
+  for (const match of sentence.matchAll(/\p{L}+/gu)) {
+    const token = match[0].toLowerCase();
+    const inflected = token.startsWith(stem) ? token : token.startsWith(`ge${stem}`) ? token.slice(2) : null;
+    if (inflected === null || inflected.length - stem.length > MAX_ENDING_LENGTH) continue;
+    if (!best || token.length < best.form.length) {
+      best = { index: match.index, form: match[0] };
+    }
+  }
+  return best;
+};
+
+/**
+ * A cloze question from one of a word's examples
+ *
+ * @param {Object} word - Word object
+ * @param {Function} rng - Picks among the usable examples (default: Math.random)
+ * @returns {Object|null} - { before, answer, after, translation }, or null
+ *   when no example contains the word
+ */
+export const buildCloze = (word, rng = Math.random) => {
+  const clozes = (word.examples || [])
+    .map((example) => {
+      const found = findWordInSentence(example.text, word);
+      if (!found) return null;
+      return {
+        before: example.text.slice(0, found.index),
+        answer: found.form,
+        after: example.text.slice(found.index + found.form.length),
+        translation: example.translation || '',
+      };
+    })
+    .filter(Boolean);
+  if (clozes.length === 0) return null;
+  return clozes[Math.floor(rng() * clozes.length)];
+};
+
+/**
+ * Whether a word has an example the cloze mode can use
+ *
+ * @param {Object} word - Word object
+ * @returns {boolean}
+ */
+export const canCloze = (word) => (word.examples || []).some((example) => findWordInSentence(example.text, word));
+
+/**
+ * Answers accepted for a cloze: the form in the sentence and the word's
+ * dictionary form (without an article)
+ *
+ * @param {Object} word - Word object
+ * @param {Object} cloze - From buildCloze
+ * @returns {Array<string>}
+ */
+export const getAcceptedAnswers = (word, cloze) => [
+  ...new Set([cloze.answer, splitArticle(word.word).noun]),
+];
@@ -0,0 +1,68 @@
+/**
+ * Confusion Pairs
+ * Helpers for the word pairs learners mix up in wrong matches
+ */
+
+// Pairs listed on a topic's page
+export const TOP_CONFUSED_PAIRS = 5;
+
+/**
+ * Order-independent key for a pair of words
+ * @param {number} wordIdA - First word id
+ * @param {number} wordIdB - Second word id
+ * @returns {string} Key formatted as 'smallerId-largerId'
+ */
+export const pairKey = (wordIdA, wordIdB) => (
+  wordIdA < wordIdB ? `${wordIdA}-${wordIdB}` : `${wordIdB}-${wordIdA}`
+);
+
+/**
+ * Build a wordId -> confusion partners resolver
+ * Partners are sorted by how often they were confused with the word.
+ *
+ * @param {Object} pairs - Pairs keyed by pairKey (from the confusion store)
+ * @returns {Function} (wordId) => partner word ids, most confused first
+ */
+export const createConfusionPartners = (pairs) => {
+  const partners = new Map();
+  const add = (wordId, partnerId, count) => {
+    if (!partners.has(wordId)) partners.set(wordId, []);
+    partners.get(wordId).push({ partnerId, count });
+  };
+
+  Object.values(pairs).forEach(({ wordIds: [a, b], count }) => {
+    add(a, b, count);
+    add(b, a, count);
+  });
+
+  partners.forEach(list => list.sort((x, y) => y.count - x.count));
+
+  return (wordId) => (partners.get(wordId) || []).map(p => p.partnerId);
+};
+
+/**
+ * Most confused pairs whose words still exist, optionally for one topic
+ * A pair belongs to a topic when either of its words does.
+ *
+ * @param {Object} pairs - Pairs keyed by pairKey (from the confusion store)
+ * @param {Array} words - All word objects
+ * @param {Object} options - { topicId, limit }
+ * @returns {Array} [{ key, first, second, count, lastConfused }] most confused first
+ */
+export const getTopConfusedPairs = (pairs, words, options = {}) => {
+  const { topicId = null, limit = TOP_CONFUSED_PAIRS } = options;
+  const wordsById = new Map(words.map(w => [w.id, w]));
+
+  return Object.entries(pairs)
+    .map(([key, pair]) => ({
+      key,
+      first: wordsById.get(pair.wordIds[0]),
+      second: wordsById.get(pair.wordIds[1]),
+      count: pair.count,
+      lastConfused: pair.lastConfused
+    }))
+    .filter(({ first, second }) => first && second)
+    .filter(({ first, second }) => topicId == null || first.topicId === topicId || second.topicId === topicId)
+    .sort((a, b) => b.count - a.count || b.lastConfused - a.lastConfused)
+    .slice(0, limit);
+};
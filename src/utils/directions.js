@@ -0,0 +1,77 @@
+/**
+ * Practice Directions
+ * Recognising "Erfolg → success" is easier than producing "success → Erfolg",
+ * so every mode can be played forward (word → meaning), reverse
+ * (meaning → word) or mixed, and each word keeps separate counters and
+ * mastery per direction next to its overall ones:
+ *
+ *   word.directionStats = {
+ *     forward: { correct, wrong, consecutiveCorrect, masteryScore },
+ *     reverse: { ... }
+ *   }
+ */
+
+import { nextAnswerCounters } from './wordMetrics';
+
+export const DIRECTIONS = {
+  FORWARD: 'forward',
+  REVERSE: 'reverse',
+};
+
+// Choices for the direction setting; 'mixed' picks one per word
+export const DIRECTION_SETTINGS = ['forward', 'reverse', 'mixed'];
+
+export const DIRECTION_LABELS = {
+  forward: 'Word → meaning',
+  reverse: 'Meaning → word',
+  mixed: 'Mixed',
+};
+
+const EMPTY_STATS = { correct: 0, wrong: 0, consecutiveCorrect: 0, masteryScore: 0 };
+
+/**
+ * Direction to practise a word in for a direction setting
+ *
+ * @param {string} setting - 'forward', 'reverse' or 'mixed'
+ * @param {Function} rng - Random source for 'mixed' (default: Math.random)
+ * @returns {string} - 'forward' or 'reverse'
+ */
+export const resolveDirection = (setting, rng = Math.random) => {
+  if (setting === DIRECTIONS.REVERSE) return DIRECTIONS.REVERSE;
+  if (setting === 'mixed') return rng() < 0.5 ? DIRECTIONS.FORWARD : DIRECTIONS.REVERSE;
+  return DIRECTIONS.FORWARD;
+};
+
+/**
+ * Prompt and expected answer of a word in a direction
+ *
+ * @param {Object} word - Word object
+ * @param {string} direction - 'forward' or 'reverse'
+ * @returns {Object} - { prompt, answer }
+ */
+export const getPromptAndAnswer = (word, direction) => (
+  direction === DIRECTIONS.REVERSE
+    ? { prompt: word.meaning, answer: word.word }
+    : { prompt: word.word, answer: word.meaning }
+);
+
+/**
+ * A word's counters for one direction
+ *
+ * @param {Object} word - Word object
+ * @param {string} direction - 'forward' or 'reverse'
+ * @returns {Object} - { correct, wrong, consecutiveCorrect, masteryScore }
+ */
+export const getDirectionStats = (word, direction) => ({
+  ...EMPTY_STATS,
+  ...word.directionStats?.[direction],
+});
+
+/**
+ * Counters for one direction after an answer
+ *
+ * @param {Object} stats - Current counters (from getDirectionStats)
+ * @param {boolean} isCorrect - Whether the answer was right
+ * @returns {Object} - Updated counters with their mastery score
+ */
+export const nextDirectionStats = (stats, isCorrect) => nextAnswerCounters(stats, isCorrect);
@@ -0,0 +1,128 @@
+/**
+ * Multiple-Choice Distractors
+ * Wrong options only teach something when they could plausibly be right.
+ * Candidates from the word's topic are scored by how confusable they are:
+ *
+ * - Past confusion partners (the learner already mixed them up)
+ * - Similar spelling of the word ("bekommen" / "bekämpfen")
+ * - Same part of speech (verbs against verbs)
+ * - Meanings of a similar length, so the answer doesn't stand out
+ *
+ * Words sharing any sense with the answer ("reason / ground" and "ground")
+ * are never offered, since picking them would be right too.
+ *
+ * Distractors come from the word's topic. Only when the topic has fewer
+ * valid candidates than needed do other topics fill the remaining places.
+ */
+
+import { editDistance } from './answerChecker';
+import { normalizeMeaning } from './ambiguity';
+import { getMeanings } from './wordSchema';
+
+// Wrong options next to the right one
+export const DISTRACTOR_COUNT = 3;
+
+const WEIGHTS = {
+  confusion: 3,
+  spelling: 2,
+  partOfSpeech: 1,
+  length: 0.5,
+};
+
+/**
+ * Part of speech of a word: the stored one, otherwise guessed from a noun
+ * gender, a meaning like "to run" (verb) or a German article like "der Hund" (noun)
+ *
+ * @param {Object} word - Word object
+ * @returns {string|null} - 'verb', 'noun', ... or null when unknown
+ */
+export const getPartOfSpeech = (word) => {
+  if (word.partOfSpeech) return word.partOfSpeech;
+  if (word.gender) return 'noun';
+  if (/^to\s/i.test((word.meaning || '').trim())) return 'verb';
+  if (/^(der|die|das)\s/i.test((word.word || '').trim())) return 'noun';
+  return null;
+};
+
+const similarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 0 : 1 - editDistance(a, b) / longest;
+};
+
+/**
+ * How confusable a candidate is with the word (higher is more confusable)
+ *
+ * @param {Object} word - The prompted word
+ * @param {Object} candidate - A possible distractor
+ * @param {Array<number>} partners - Word ids the learner confused the word with
+ * @returns {number}
+ */
+export const scoreDistractor = (word, candidate, partners = []) => {
+  const partnerRank = partners.indexOf(candidate.id);
+  const confusion = partnerRank === -1 ? 0 : 1 - partnerRank / (partners.length + 1);
+
+  const spelling = similarity((word.word || '').toLowerCase(), (candidate.word || '').toLowerCase());
+
+  const pos = getPartOfSpeech(word);
+  const partOfSpeech = pos && pos === getPartOfSpeech(candidate) ? 1 : 0;
+
+  const [meaningA, meaningB] = [(word.meaning || '').length, (candidate.meaning || '').length];
+  const length = 1 - Math.abs(meaningA - meaningB) / Math.max(meaningA, meaningB, 1);
+
+  return confusion * WEIGHTS.confusion +
+    spelling * WEIGHTS.spelling +
+    partOfSpeech * WEIGHTS.partOfSpeech +
+    length * WEIGHTS.length;
+};
+
+const getSenses = (word) => getMeanings(word).map(normalizeMeaning).filter(Boolean);
+
+/**
+ * Pick the most confusable distractors for a word
+ * Same-topic words only; other topics fill up topics that are too small.
+ *
+ * @param {Object} word - The prompted word
+ * @param {Array} words - All candidate words (e.g. every unsuspended word)
+ * @param {Object} options - { count, confusionPartners: (wordId) => ids, rng }
+ * @returns {Array} Distractor words, most confusable first
+ */
+export const pickDistractors = (word, words, options = {}) => {
+  const {
+    count = DISTRACTOR_COUNT,
+    confusionPartners = () => [],
+    rng = Math.random,
+  } = options;
+
+  const partners = confusionPartners(word.id);
+  const usedSenses = new Set(getSenses(word));
+
+  // A little noise so equally plausible distractors rotate between sessions
+  const rank = (candidates) => candidates
+    .map(w => ({ word: w, score: scoreDistractor(word, w, partners) + rng() * 0.1 }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ word: w }) => w);
+
+  const picked = [];
+  const pickFrom = (candidates) => {
+    for (const candidate of candidates) {
+      if (picked.length >= count) return;
+      const senses = getSenses(candidate);
+      if (senses.some(sense => usedSenses.has(sense))) continue;
+      senses.forEach(sense => usedSenses.add(sense));
+      picked.push(candidate);
+    }
+  };
+
+  const others = words.filter(w => w.id !== word.id);
+  pickFrom(rank(others.filter(w => w.topicId === word.topicId)));
+  if (picked.length < count) {
+    pickFrom(rank(others.filter(w => w.topicId !== word.topicId)));
+  }
+  return picked;
+};
+
+export default {
+  getPartOfSpeech,
+  scoreDistractor,
+  pickDistractors,
+};
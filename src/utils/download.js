@@ -0,0 +1,22 @@
+/**
+ * File Downloads
+ * Saves data the app generates (topic exports, selections) as a file
+ */
+
+/**
+ * Download data as a pretty-printed JSON file
+ *
+ * @param {Object} data - Data to save
+ * @param {string} filename - Suggested file name, with its extension
+ */
+export const downloadJson = (data, filename) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
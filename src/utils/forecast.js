@@ -0,0 +1,146 @@
+/**
+ * Review Forecast
+ * Day-by-day count of the reviews coming up, plus the new words the daily
+ * caps will introduce. Each word is stepped through its scheduler as if
+ * every review were answered Good, so a word reviewed on day 1 shows up
+ * again on its next due day, and words introduced under the caps bring
+ * their own follow-up reviews.
+ */
+
+import { getSchedulerState, createSchedulerResolver } from './schedulers';
+import { Rating } from './fsrs';
+import { nextAnswerCounters } from './wordMetrics';
+import {
+  LEARNING_STAGES,
+  getLearningStage,
+  getNewWordsPerDay,
+  createNewWordAllowance,
+  DEFAULT_NEW_WORDS_PER_DAY
+} from './learningStages';
+
+// Days shown in the forecast, starting today
+export const FORECAST_DAYS = 30;
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+const MS_PER_DAY = MS_PER_HOUR * 24;
+
+// Guards against a scheduler that keeps a word due within the same minute
+const MAX_REVIEWS_PER_WORD = 100;
+
+const startOfDay = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * A word and its state after a review answered Good
+ *
+ * @param {Object} word - The word before the review
+ * @param {Object|null} state - Its scheduler state (null for a new word)
+ * @param {Object} scheduler - Scheduler
+ * @param {number} now - Review time in ms
+ * @returns {Object} - { word, state }
+ */
+const simulateGoodReview = (word, state, scheduler, now) => {
+  const updated = { ...word, ...nextAnswerCounters(word, true) };
+  const next = scheduler.onReview(state, { rating: Rating.GOOD, isCorrect: true, now }, updated);
+  return { word: { ...updated, lastPracticed: now }, state: next };
+};
+
+/**
+ * Build the forecast of upcoming reviews
+ * Overdue words count towards today. Every review is assumed to be
+ * answered Good, on the day it falls due.
+ *
+ * @param {Array} words - Word objects (all, or one topic's)
+ * @param {Array} topics - Topic objects, for schedulers and new-word caps
+ * @param {Object} options - { days, now, includeNewWords }
+ * @returns {Array} Points of { date, reviews, newWords }
+ */
+export const buildReviewForecast = (words, topics, options = {}) => {
+  const { days = FORECAST_DAYS, now = Date.now(), includeNewWords = true } = options;
+  const schedulerFor = createSchedulerResolver(topics);
+  const today = startOfDay(now);
+
+  const series = Array.from({ length: days }, (_, i) => {
+    const date = new Date(today);
+    date.setDate(date.getDate() + i);
+    return {
+      date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+      reviews: 0,
+      newWords: 0
+    };
+  });
+
+  const active = words.filter(w => !w.suspended);
+  // Rounded so days shortened or lengthened by DST still land on the right index
+  const dayIndexOf = (timestamp) => Math.max(0, Math.round((startOfDay(timestamp) - today) / MS_PER_DAY));
+
+  // Count each review from `state` on, reviewing the word on its due dates
+  const addReviews = (startWord, startState, scheduler) => {
+    let word = startWord;
+    let state = startState;
+    for (let count = 0; count < MAX_REVIEWS_PER_WORD; count++) {
+      const due = Math.max(state.due, state.lastReview);
+      const dayIndex = dayIndexOf(due);
+      if (dayIndex >= days) return;
+      series[dayIndex].reviews += 1;
+      ({ word, state } = simulateGoodReview(word, state, scheduler, Math.max(due, now)));
+    }
+  };
+
+  active.forEach(word => {
+    const scheduler = schedulerFor(word);
+    const state = getSchedulerState(word, scheduler);
+    if (state) addReviews(word, state, scheduler);
+  });
+
+  if (includeNewWords) {
+    const topicsById = new Map(topics.map(t => [t.id, t]));
+    const allowanceToday = createNewWordAllowance(topics, words, now);
+    const newByTopic = new Map();
+    active.forEach(w => {
+      if (getLearningStage(w) === LEARNING_STAGES.NEW) {
+        if (!newByTopic.has(w.topicId)) newByTopic.set(w.topicId, []);
+        newByTopic.get(w.topicId).push(w);
+      }
+    });
+
+    newByTopic.forEach((newWords, topicId) => {
+      const topic = topicsById.get(topicId);
+      const perDay = topic ? getNewWordsPerDay(topic) : DEFAULT_NEW_WORDS_PER_DAY;
+      let next = 0;
+      series.forEach((point, i) => {
+        const introduced = newWords.slice(next, next + Math.min(newWords.length - next, i === 0 ? allowanceToday(topicId) : perDay));
+        next += introduced.length;
+        point.newWords += introduced.length;
+
+        // Introduced at this time of day, then reviewed like any other word
+        const introducedAt = i === 0 ? now : now + i * MS_PER_DAY;
+        introduced.forEach(word => {
+          const scheduler = schedulerFor(word);
+          const first = simulateGoodReview(word, null, scheduler, introducedAt);
+          addReviews(first.word, first.state, scheduler);
+        });
+      });
+    });
+  }
+
+  return series;
+};
+
+/**
+ * Totals for the forecast headline
+ *
+ * @param {Array} series - Points from buildReviewForecast
+ * @returns {Object} { today, tomorrow, nextWeek } with reviews + new words each
+ */
+export const summarizeForecast = (series) => {
+  const total = (point) => (point ? point.reviews + point.newWords : 0);
+  return {
+    today: total(series[0]),
+    tomorrow: total(series[1]),
+    nextWeek: series.slice(0, 7).reduce((sum, point) => sum + total(point), 0)
+  };
+};
@@ -0,0 +1,202 @@
+/**
+ * FSRS Memory Model
+ *
+ * A small implementation of the Free Spaced Repetition Scheduler (FSRS v4.5).
+ * Every word carries a memory state:
+ *
+ *   stability  - days until recall probability drops to 90%
+ *   difficulty - how hard the word is to stabilise (1-10)
+ *   due        - timestamp of the next scheduled review
+ *
+ * The state is updated on every review, so intervals grow from days to
+ * months for words that keep being recalled and collapse after a lapse.
+ *
+ * Two learner parameters sit on top of the model (see ./memoryFit.js):
+ *
+ *   stabilityScale  - personal multiplier on stability, fitted from the
+ *                     learner's own review history (1 = FSRS default)
+ *   targetRetention - recall probability intervals are aimed at
+ *
+ * They are configured once with setMemoryParameters() and used by the
+ * interval and retention helpers unless parameters are passed explicitly.
+ *
+ * Reference: https://github.com/open-spaced-repetition/fsrs4anki/wiki/The-Algorithm
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Review grades
+export const Rating = {
+  AGAIN: 1,
+  HARD: 2,
+  GOOD: 3,
+  EASY: 4,
+};
+
+// Default FSRS v4.5 weights
+const W = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+];
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81; // Makes R(S, S) = 0.9
+
+export const DEFAULT_TARGET_RETENTION = 0.9;
+export const MAX_INTERVAL_DAYS = 365;
+const MIN_STABILITY = 0.1;
+
+export const DEFAULT_MEMORY_PARAMETERS = {
+  stabilityScale: 1,
+  targetRetention: DEFAULT_TARGET_RETENTION,
+};
+
+let memoryParameters = DEFAULT_MEMORY_PARAMETERS;
+
+/**
+ * Configure the learner's parameters (from the settings store)
+ *
+ * @param {Object} parameters - { stabilityScale, targetRetention }
+ */
+export const setMemoryParameters = (parameters) => {
+  memoryParameters = { ...DEFAULT_MEMORY_PARAMETERS, ...parameters };
+};
+
+/**
+ * Currently configured learner parameters
+ *
+ * @returns {Object} - { stabilityScale, targetRetention }
+ */
+export const getMemoryParameters = () => memoryParameters;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const initStability = (rating) => Math.max(W[rating - 1], MIN_STABILITY);
+
+const initDifficulty = (rating) => clamp(W[4] - (rating - 3) * W[5], 1, 10);
+
+/**
+ * Probability of recalling a word after `elapsedDays` with the given stability
+ *
+ * @param {number} elapsedDays - Days since the last review
+ * @param {number} stability - Memory stability in days
+ * @returns {number} - Retrievability (0-1)
+ */
+export const retrievability = (elapsedDays, stability) => {
+  if (elapsedDays <= 0) return 1;
+  return Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+};
+
+/**
+ * Recall probability for this learner: the FSRS curve with their
+ * personal stability scale
+ *
+ * @param {number} elapsedDays - Days since the last review
+ * @param {number} stability - Memory stability in days (model value)
+ * @param {Object} parameters - Learner parameters (default: configured)
+ * @returns {number} - Retrievability (0-1)
+ */
+export const personalRetrievability = (elapsedDays, stability, parameters = memoryParameters) =>
+  retrievability(elapsedDays, stability * parameters.stabilityScale);
+
+/**
+ * Days until retrievability falls to the target retention
+ *
+ * @param {number} stability - Memory stability in days
+ * @param {number} targetRetention - Desired recall probability (default 0.9)
+ * @returns {number} - Interval in days
+ */
+export const intervalForStability = (stability, targetRetention = DEFAULT_TARGET_RETENTION) => {
+  const interval = (stability / FACTOR) * (Math.pow(targetRetention, 1 / DECAY) - 1);
+  return clamp(interval, MIN_STABILITY, MAX_INTERVAL_DAYS);
+};
+
+const nextDifficulty = (difficulty, rating) => {
+  const next = difficulty - W[6] * (rating - 3);
+  // Mean reversion towards the difficulty of an "easy" first answer
+  return clamp(W[7] * initDifficulty(Rating.EASY) + (1 - W[7]) * next, 1, 10);
+};
+
+const nextRecallStability = (difficulty, stability, r, rating) => {
+  const hardPenalty = rating === Rating.HARD ? W[15] : 1;
+  const easyBonus = rating === Rating.EASY ? W[16] : 1;
+  return stability * (
+    1 +
+    Math.exp(W[8]) *
+    (11 - difficulty) *
+    Math.pow(stability, -W[9]) *
+    (Math.exp(W[10] * (1 - r)) - 1) *
+    hardPenalty *
+    easyBonus
+  );
+};
+
+const nextForgetStability = (difficulty, stability, r) => {
+  const next = W[11] *
+    Math.pow(difficulty, -W[12]) *
+    (Math.pow(stability + 1, W[13]) - 1) *
+    Math.exp(W[14] * (1 - r));
+  return Math.max(MIN_STABILITY, Math.min(next, stability));
+};
+
+/**
+ * Compute the memory state after a review
+ *
+ * @param {Object|null} state - Current memory state, or null for a first review
+ * @param {number} rating - One of Rating.*
+ * @param {number} now - Review time in ms
+ * @param {Object} parameters - Learner parameters for the next interval (default: configured)
+ * @returns {Object} - New memory state
+ */
+export const updateMemoryState = (state, rating, now = Date.now(), parameters = memoryParameters) => {
+  let stability;
+  let difficulty;
+  let lapses = state?.lapses || 0;
+
+  if (!state) {
+    stability = initStability(rating);
+    difficulty = initDifficulty(rating);
+  } else {
+    const elapsedDays = Math.max(0, (now - state.lastReview) / MS_PER_DAY);
+    const r = retrievability(elapsedDays, state.stability);
+
+    difficulty = nextDifficulty(state.difficulty, rating);
+    if (rating === Rating.AGAIN) {
+      stability = nextForgetStability(state.difficulty, state.stability, r);
+      lapses += 1;
+    } else {
+      stability = nextRecallStability(state.difficulty, state.stability, r, rating);
+    }
+  }
+
+  // The model state stays learner-independent, only the interval is personal
+  const intervalDays = intervalForStability(stability * parameters.stabilityScale, parameters.targetRetention);
+
+  return {
+    stability: Math.round(stability * 1000) / 1000,
+    difficulty: Math.round(difficulty * 1000) / 1000,
+    due: now + Math.round(intervalDays * MS_PER_DAY),
+    lastReview: now,
+    reps: (state?.reps || 0) + 1,
+    lapses,
+  };
+};
+
+/**
+ * Map a binary match result to an FSRS grade
+ *
+ * @param {boolean} isCorrect - Whether the answer was correct
+ * @returns {number} - One of Rating.*
+ */
+export const ratingFromResult = (isCorrect) => (isCorrect ? Rating.GOOD : Rating.AGAIN);
+
+export default {
+  Rating,
+  retrievability,
+  personalRetrievability,
+  setMemoryParameters,
+  getMemoryParameters,
+  intervalForStability,
+  updateMemoryState,
+  ratingFromResult,
+};
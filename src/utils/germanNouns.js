@@ -0,0 +1,181 @@
+/**
+ * German Noun Grammar
+ * Nouns can carry their article, plural and genitive next to the meaning:
+ *
+ *   { word: 'Erfolg', gender: 'der', plural: 'Erfolge', genitive: 'Erfolgs' }
+ *
+ * Forms can be entered the dictionary way, relative to the singular:
+ * "-e" adds an ending, "¨-er" also puts an umlaut on the stem vowel and
+ * "-" means unchanged. The grammar drill keeps its own counters per
+ * attribute so getting an article wrong doesn't count against the meaning:
+ *
+ *   word.grammarStats = {
+ *     gender: { correct, wrong, consecutiveCorrect, masteryScore },
+ *     plural: { ... }
+ *   }
+ */
+
+import { nextAnswerCounters } from './wordMetrics';
+
+export const GENDERS = ['der', 'die', 'das'];
+
+export const GENDER_LABELS = {
+  der: 'masculine',
+  die: 'feminine',
+  das: 'neuter',
+};
+
+// Attributes the drill asks for
+export const NOUN_ATTRIBUTES = {
+  GENDER: 'gender',
+  PLURAL: 'plural',
+};
+
+export const NOUN_ATTRIBUTE_LABELS = {
+  gender: 'Article',
+  plural: 'Plural',
+};
+
+const EMPTY_STATS = { correct: 0, wrong: 0, consecutiveCorrect: 0, masteryScore: 0 };
+
+const UMLAUTS = { a: 'ä', o: 'ö', u: 'ü', A: 'Ä', O: 'Ö', U: 'Ü' };
+
+const ARTICLE_PATTERN = /^(der|die|das|des|dem|den)\s+/i;
+
+/**
+ * Split a leading article off a word ("der Erfolg" → der, Erfolg)
+ *
+ * @param {string} text - Word as typed or stored
+ * @returns {Object} - { article, noun }; article is null without one
+ */
+export const splitArticle = (text = '') => {
+  const trimmed = text.trim();
+  const match = trimmed.match(/^(der|die|das)\s+(.+)$/i);
+  return match
+    ? { article: match[1].toLowerCase(), noun: match[2] }
+    : { article: null, noun: trimmed };
+};
+
+/**
+ * Whether a word could be a German noun: it has an article or is capitalised
+ *
+ * @param {string} text - Word as typed or stored
+ * @returns {boolean}
+ */
+export const looksLikeNoun = (text = '') => {
+  const { article, noun } = splitArticle(text);
+  return Boolean(article) || /^\p{Lu}/u.test(noun);
+};
+
+// Umlaut on the last a, o or u of the stem ("Haus" → "Häus", "Apfel" → "Äpfel")
+const umlautStem = (noun) => {
+  for (let i = noun.length - 1; i >= 0; i--) {
+    if (!UMLAUTS[noun[i]]) continue;
+    // "au" takes the umlaut on its a
+    const index = noun[i].toLowerCase() === 'u' && noun[i - 1]?.toLowerCase() === 'a' ? i - 1 : i;
+    return noun.slice(0, index) + UMLAUTS[noun[index]] + noun.slice(index + 1);
+  }
+  return noun;
+};
+
+/**
+ * Full form from a dictionary-style entry
+ * ("-e" → Erfolge, "¨-er" → Häuser, "-" → Lehrer, "Erfolge" → Erfolge)
+ *
+ * @param {string} noun - Singular without article
+ * @param {string} form - Entry as typed
+ * @returns {string} - The full form, or '' for an empty entry
+ */
+export const expandNounForm = (noun, form = '') => {
+  const trimmed = form.trim().replace(ARTICLE_PATTERN, '');
+  if (!trimmed) return '';
+  if (/^[-–]$/.test(trimmed)) return noun;
+  if (trimmed.startsWith('¨')) return umlautStem(noun) + trimmed.slice(1).replace(/^[-–]/, '');
+  if (/^[-–]/.test(trimmed)) return noun + trimmed.slice(1);
+  return trimmed;
+};
+
+/**
+ * Grammar fields to store for a word from the form's inputs; an article
+ * typed with the word stands in for an unpicked gender
+ *
+ * @param {string} word - Word as typed
+ * @param {Object} input - { gender, plural, genitive }
+ * @returns {Object} - Only the fields that were filled in
+ */
+export const buildNounFields = (word, { gender = '', plural = '', genitive = '' } = {}) => {
+  const { article, noun } = splitArticle(word);
+  const fields = {};
+  const resolvedGender = gender || article;
+  if (GENDERS.includes(resolvedGender)) fields.gender = resolvedGender;
+  const fullPlural = expandNounForm(noun, plural);
+  if (fullPlural) fields.plural = fullPlural;
+  const fullGenitive = expandNounForm(noun, genitive);
+  if (fullGenitive) fields.genitive = fullGenitive;
+  return fields;
+};
+
+/**
+ * Noun with its article ("der Erfolg")
+ *
+ * @param {Object} word - Word object
+ * @returns {string}
+ */
+export const formatNoun = (word) => {
+  const { noun } = splitArticle(word.word);
+  return word.gender ? `${word.gender} ${noun}` : word.word;
+};
+
+/**
+ * Attributes of a word the drill can ask for
+ *
+ * @param {Object} word - Word object
+ * @returns {Array<string>} - NOUN_ATTRIBUTES values
+ */
+export const getDrillableAttributes = (word) => [
+  ...(word.gender ? [NOUN_ATTRIBUTES.GENDER] : []),
+  ...(word.plural ? [NOUN_ATTRIBUTES.PLURAL] : []),
+];
+
+// Case and an optional "die" don't matter; umlauts may be typed as "ae"
+const normalizeForm = (text = '') => text
+  .trim()
+  .toLowerCase()
+  .replace(ARTICLE_PATTERN, '')
+  .replace(/\s+/g, ' ')
+  .replace(/ä/g, 'ae')
+  .replace(/ö/g, 'oe')
+  .replace(/ü/g, 'ue')
+  .replace(/ß/g, 'ss');
+
+/**
+ * Check a typed plural. Unlike meanings no typos are forgiven, since the
+ * ending or the umlaut is exactly what is being practised.
+ *
+ * @param {string} input - Typed answer
+ * @param {string} plural - Stored plural
+ * @returns {boolean}
+ */
+export const checkPlural = (input, plural) =>
+  normalizeForm(input) !== '' && normalizeForm(input) === normalizeForm(plural);
+
+/**
+ * A word's drill counters for one attribute
+ *
+ * @param {Object} word - Word object
+ * @param {string} attribute - NOUN_ATTRIBUTES value
+ * @returns {Object} - { correct, wrong, consecutiveCorrect, masteryScore }
+ */
+export const getGrammarStats = (word, attribute) => ({
+  ...EMPTY_STATS,
+  ...word.grammarStats?.[attribute],
+});
+
+/**
+ * Counters for one attribute after a drill answer
+ *
+ * @param {Object} stats - Current counters (from getGrammarStats)
+ * @param {boolean} isCorrect - Whether the answer was right
+ * @returns {Object} - Updated counters with their mastery score
+ */
+export const nextGrammarStats = (stats, isCorrect) => nextAnswerCounters(stats, isCorrect);
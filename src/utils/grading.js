@@ -0,0 +1,44 @@
+/**
+ * Response-Time Grading
+ * A match found instantly and one found after long hesitation are both
+ * "correct", but they say different things about memory. Correct answers
+ * are graded by how long they took so the scheduler can stretch intervals
+ * for easy recalls and shorten them for effortful ones.
+ */
+
+import { Rating, ratingFromResult } from './fsrs';
+
+// Correct answers at or below easyMs are easy, above hardMs hard.
+// Reading four options or typing an answer takes longer than picking a card,
+// and listening adds the time it takes to hear the word.
+export const RESPONSE_THRESHOLDS = {
+  match: { easyMs: 3000, hardMs: 10000 },
+  quiz: { easyMs: 4000, hardMs: 12000 },
+  typing: { easyMs: 6000, hardMs: 20000 },
+  listening: { easyMs: 6000, hardMs: 14000 },
+  dictation: { easyMs: 8000, hardMs: 22000 },
+};
+
+/**
+ * Grade an answer from its correctness and response time
+ *
+ * @param {boolean} isCorrect - Whether the answer was correct
+ * @param {number|null} responseTime - Time to answer in ms (null if unknown)
+ * @param {Object} thresholds - { easyMs, hardMs } (default: the match game's)
+ * @returns {number} - One of Rating.*
+ */
+export const gradeAnswer = (isCorrect, responseTime, thresholds = RESPONSE_THRESHOLDS.match) => {
+  if (!isCorrect || responseTime == null) return ratingFromResult(isCorrect);
+  if (responseTime <= thresholds.easyMs) return Rating.EASY;
+  if (responseTime > thresholds.hardMs) return Rating.HARD;
+  return Rating.GOOD;
+};
+
+/**
+ * Rating of a logged review, falling back to its outcome for reviews
+ * logged before grading
+ *
+ * @param {Object} review - Review event from the review store
+ * @returns {number} - One of Rating.*
+ */
+export const ratingOfReview = (review) => review.rating ?? ratingFromResult(review.outcome === 'correct');
@@ -0,0 +1,104 @@
+/**
+ * Learning Stages
+ * Every word is either new (never practiced), learning (recently
+ * introduced or forgotten) or in review (answered reliably, spaced out by
+ * the scheduler). Topics cap how many new words are introduced per day.
+ */
+
+import { toDayKey } from './progressHistory';
+
+export const LEARNING_STAGES = {
+  NEW: 'new',
+  LEARNING: 'learning',
+  REVIEW: 'review',
+};
+
+// Correct answers in a row that move a word from learning to review
+export const GRADUATING_STREAK = 2;
+
+// Default cap on words introduced per topic per day
+export const DEFAULT_NEW_WORDS_PER_DAY = 20;
+
+// Choices offered in the topic settings
+export const NEW_WORDS_PER_DAY_OPTIONS = [5, 10, 20, 50];
+
+/**
+ * Current learning stage of a word
+ * Words saved before stages existed get theirs from their counters.
+ *
+ * @param {Object} word - The word object with learning stats
+ * @returns {string} - One of LEARNING_STAGES
+ */
+export const getLearningStage = (word) => {
+  if (!word.lastPracticed) return LEARNING_STAGES.NEW;
+  if (word.learningStage) return word.learningStage;
+  return (word.consecutiveCorrect || 0) >= GRADUATING_STREAK
+    ? LEARNING_STAGES.REVIEW
+    : LEARNING_STAGES.LEARNING;
+};
+
+/**
+ * Stage of a word after a review
+ * New words start learning, learning words graduate after
+ * GRADUATING_STREAK correct answers in a row, and a wrong answer sends a
+ * review word back to learning.
+ *
+ * @param {Object} previous - The word before the review
+ * @param {Object} updated - The word with its counters updated
+ * @param {boolean} isCorrect - Whether the answer was correct
+ * @returns {string} - One of LEARNING_STAGES
+ */
+export const nextLearningStage = (previous, updated, isCorrect) => {
+  if (!isCorrect) return LEARNING_STAGES.LEARNING;
+  if ((updated.consecutiveCorrect || 0) >= GRADUATING_STREAK) return LEARNING_STAGES.REVIEW;
+  return getLearningStage(previous) === LEARNING_STAGES.REVIEW
+    ? LEARNING_STAGES.REVIEW
+    : LEARNING_STAGES.LEARNING;
+};
+
+/**
+ * Count words per stage
+ *
+ * @param {Array} words - Word objects
+ * @returns {Object} - { new, learning, review }
+ */
+export const countByStage = (words) => {
+  const counts = { [LEARNING_STAGES.NEW]: 0, [LEARNING_STAGES.LEARNING]: 0, [LEARNING_STAGES.REVIEW]: 0 };
+  words.forEach((w) => {
+    counts[getLearningStage(w)] += 1;
+  });
+  return counts;
+};
+
+/**
+ * Daily new-word cap of a topic
+ *
+ * @param {Object} topic - Topic object (with optional `newWordsPerDay`)
+ * @returns {number}
+ */
+export const getNewWordsPerDay = (topic) => topic?.newWordsPerDay ?? DEFAULT_NEW_WORDS_PER_DAY;
+
+/**
+ * Build a topicId -> remaining new words resolver for today
+ * Counts the words each topic introduced since local midnight.
+ *
+ * @param {Array} topics - Topic objects
+ * @param {Array} words - All word objects
+ * @param {number} now - Reference time in ms (default: now)
+ * @returns {Function} - (topicId) => number of new words still allowed today
+ */
+export const createNewWordAllowance = (topics, words, now = Date.now()) => {
+  const today = toDayKey(now);
+  const introducedToday = new Map();
+  words.forEach((w) => {
+    if (w.introducedAt && toDayKey(w.introducedAt) === today) {
+      introducedToday.set(w.topicId, (introducedToday.get(w.topicId) || 0) + 1);
+    }
+  });
+
+  const caps = new Map(topics.map((t) => [t.id, getNewWordsPerDay(t)]));
+  return (topicId) => Math.max(
+    0,
+    (caps.get(topicId) ?? DEFAULT_NEW_WORDS_PER_DAY) - (introducedToday.get(topicId) || 0)
+  );
+};
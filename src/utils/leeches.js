@@ -0,0 +1,46 @@
+/**
+ * Leeches
+ * Words that keep being forgotten eat review time without sticking.
+ * After LEECH_THRESHOLD lapses a word is flagged as a leech and suspended,
+ * so the learner can rework it (edit, add a mnemonic) instead of failing
+ * it over and over.
+ */
+
+import { LEARNING_STAGES, getLearningStage } from './learningStages';
+
+// Lapses before a word becomes a leech
+export const LEECH_THRESHOLD = 8;
+
+// A leech that keeps lapsing after being unsuspended is suspended again
+// every this many lapses
+export const LEECH_RECHECK_LAPSES = 4;
+
+/**
+ * Whether a review counts as a lapse: a failed review of a word in the
+ * review stage. Misses while a word is still being learned aren't lapses.
+ *
+ * @param {Object} word - The word before the review
+ * @param {boolean} isCorrect - Whether the answer was correct
+ * @returns {boolean}
+ */
+export const isLapse = (word, isCorrect) => !isCorrect && getLearningStage(word) === LEARNING_STAGES.REVIEW;
+
+/**
+ * Whether a word should be (re)suspended as a leech at this lapse count
+ *
+ * @param {number} lapses - Lapses including the current one
+ * @returns {boolean}
+ */
+export const reachesLeechThreshold = (lapses) => (
+  lapses >= LEECH_THRESHOLD && (lapses - LEECH_THRESHOLD) % LEECH_RECHECK_LAPSES === 0
+);
+
+/**
+ * Leech and suspended words, most lapses first
+ *
+ * @param {Array} words - Word objects
+ * @returns {Array} Words flagged as leeches or suspended
+ */
+export const getLeeches = (words) => words
+  .filter((w) => w.isLeech || w.suspended)
+  .sort((a, b) => (b.lapses || 0) - (a.lapses || 0));
@@ -0,0 +1,155 @@
+/**
+ * Personal Forgetting Curve
+ *
+ * Fits the learner's own stability scale from their review history, in the
+ * browser. Every word's reviews are replayed through the FSRS model to know
+ * its stability before each review; the recall outcomes of reviews that
+ * came at least an hour after the previous one are the samples. The scale
+ * k in R = (1 + 19/81 * t/(k*S))^-0.5 that best predicts them (lowest log
+ * loss) is the fitted parameter: k > 1 means the learner forgets slower
+ * than the default model, k < 1 faster.
+ */
+
+import { DEFAULT_MEMORY_PARAMETERS, retrievability, updateMemoryState } from './fsrs';
+import { ratingOfReview } from './grading';
+
+// Reviews needed before a fit is trusted
+export const MIN_FIT_SAMPLES = 50;
+
+// Target retentions the learner can choose from
+export const TARGET_RETENTION_OPTIONS = [0.8, 0.85, 0.9, 0.95];
+
+// Repeats within the same sitting say nothing about forgetting
+const MIN_ELAPSED_DAYS = 1 / 24;
+
+// Search range for the stability scale
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 10;
+
+// Buckets of elapsed time / stability for the observed recall chart
+const RATIO_BUCKETS = [0, 0.25, 0.5, 1, 2, 4, 8, 16, Infinity];
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Replay the review history into recall samples
+ *
+ * @param {Array} reviews - Review events (from the review store)
+ * @returns {Array} Samples of { elapsedDays, stability, recalled }
+ */
+export const collectRecallSamples = (reviews) => {
+  const byWord = new Map();
+  reviews.forEach((review) => {
+    if (!byWord.has(review.wordId)) byWord.set(review.wordId, []);
+    byWord.get(review.wordId).push(review);
+  });
+
+  const samples = [];
+  byWord.forEach((wordReviews) => {
+    let state = null;
+    [...wordReviews]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach((review) => {
+        const recalled = review.outcome === 'correct';
+        if (state) {
+          const elapsedDays = (review.timestamp - state.lastReview) / MS_PER_DAY;
+          if (elapsedDays >= MIN_ELAPSED_DAYS) {
+            samples.push({ elapsedDays, stability: state.stability, recalled });
+          }
+        }
+        state = updateMemoryState(state, ratingOfReview(review), review.timestamp, DEFAULT_MEMORY_PARAMETERS);
+      });
+  });
+
+  return samples;
+};
+
+const logLoss = (samples, stabilityScale) => {
+  const total = samples.reduce((sum, { elapsedDays, stability, recalled }) => {
+    const p = Math.min(Math.max(retrievability(elapsedDays, stability * stabilityScale), 1e-6), 1 - 1e-6);
+    return sum - (recalled ? Math.log(p) : Math.log(1 - p));
+  }, 0);
+  return total / samples.length;
+};
+
+/**
+ * Fit the stability scale to the samples (golden-section search on log k)
+ *
+ * @param {Array} samples - From collectRecallSamples
+ * @returns {Object|null} { stabilityScale, logLoss, baselineLogLoss, samples } or null with too few samples
+ */
+export const fitStabilityScale = (samples) => {
+  if (samples.length < MIN_FIT_SAMPLES) return null;
+
+  const loss = (logScale) => logLoss(samples, Math.exp(logScale));
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let low = Math.log(MIN_SCALE);
+  let high = Math.log(MAX_SCALE);
+  let a = high - ratio * (high - low);
+  let b = low + ratio * (high - low);
+  let lossA = loss(a);
+  let lossB = loss(b);
+
+  for (let i = 0; i < 60; i++) {
+    if (lossA < lossB) {
+      high = b;
+      b = a;
+      lossB = lossA;
+      a = high - ratio * (high - low);
+      lossA = loss(a);
+    } else {
+      low = a;
+      a = b;
+      lossA = lossB;
+      b = low + ratio * (high - low);
+      lossB = loss(b);
+    }
+  }
+
+  const stabilityScale = Math.exp((low + high) / 2);
+  return {
+    stabilityScale: Math.round(stabilityScale * 1000) / 1000,
+    logLoss: logLoss(samples, stabilityScale),
+    baselineLogLoss: logLoss(samples, DEFAULT_MEMORY_PARAMETERS.stabilityScale),
+    samples: samples.length,
+  };
+};
+
+/**
+ * Observed recall against the default and fitted curves, bucketed by
+ * elapsed time relative to stability
+ *
+ * @param {Array} samples - From collectRecallSamples
+ * @param {number} stabilityScale - Fitted (or configured) scale
+ * @returns {Array} Points of { label, observed, fitted, standard, count } (percentages)
+ */
+export const buildRecallCurve = (samples, stabilityScale) => {
+  const points = [];
+  for (let i = 0; i < RATIO_BUCKETS.length - 1; i++) {
+    const [from, to] = [RATIO_BUCKETS[i], RATIO_BUCKETS[i + 1]];
+    const bucket = samples.filter(({ elapsedDays, stability }) => {
+      const r = elapsedDays / stability;
+      return r >= from && r < to;
+    });
+    if (bucket.length === 0) continue;
+
+    const meanRatio = bucket.reduce((sum, s) => sum + s.elapsedDays / s.stability, 0) / bucket.length;
+    const recalled = bucket.filter((s) => s.recalled).length;
+    const percent = (value) => Math.round(value * 1000) / 10;
+
+    points.push({
+      label: to === Infinity ? `${from}×+` : `${from}–${to}×`,
+      observed: percent(recalled / bucket.length),
+      fitted: percent(retrievability(meanRatio, stabilityScale)),
+      standard: percent(retrievability(meanRatio, 1)),
+      count: bucket.length,
+    });
+  }
+  return points;
+};
+
+export default {
+  collectRecallSamples,
+  fitStabilityScale,
+  buildRecallCurve,
+};
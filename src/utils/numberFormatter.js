@@ -47,3 +47,28 @@ export const formatNumber = (num, decimals = 1) => {
 
   return sign + absNum.toString();
 };
+
+/**
+ * Format a time span compactly
+ * Examples:
+ *   90000 (1.5 min) → 2m
+ *   7200000 → 2h
+ *   3 days → 3d
+ *   45 days → 1.5mo
+ *   400 days → 1.1y
+ *
+ * @param {number} ms - Time span in milliseconds
+ * @returns {string} Formatted span with unit
+ */
+export const formatInterval = (ms) => {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes < 60) return `${minutes}m`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+
+  const days = Math.round(hours / 24);
+  if (days < 30) return `${days}d`;
+  if (days < 365) return `${Math.round((days / 30) * 10) / 10}mo`;
+  return `${Math.round((days / 365) * 10) / 10}y`;
+};
@@ -0,0 +1,91 @@
+/**
+ * Progress History Helpers
+ * Turns the daily rollups in the progress store into chart series
+ */
+
+// Selectable chart windows, in days
+export const PROGRESS_WINDOWS = [7, 30, 90, 365];
+
+/**
+ * Local calendar day key for a timestamp
+ * @param {number} timestamp - Time in ms
+ * @returns {string} Day key formatted as YYYY-MM-DD
+ */
+export const toDayKey = (timestamp) => {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Average mastery of the words that have been practiced at least once
+ * @param {Array} words - Word objects
+ * @returns {number|null} Average mastery (0-100) or null if nothing was practiced
+ */
+export const averagePracticedMastery = (words) => {
+  const practiced = words.filter(w => (w.correct || 0) + (w.wrong || 0) > 0);
+  if (practiced.length === 0) return null;
+  const total = practiced.reduce((sum, w) => sum + (w.masteryScore || 0), 0);
+  return Math.round((total / practiced.length) * 100) / 100;
+};
+
+/**
+ * Build a day-by-day series for the last `windowDays` days, ending today.
+ *
+ * Days without reviews have a null accuracy, so they get no point of their
+ * own (the charts draw the line straight across them), and carry the last
+ * known mastery forward, since mastery does not reset overnight.
+ *
+ * @param {Object} days - Rollups keyed by day (from the progress store)
+ * @param {number} windowDays - Number of days to include
+ * @param {number|null} topicId - Restrict to one topic, or null for all topics
+ * @param {number} now - Reference time in ms (default: now)
+ * @returns {Array} Points of { date, accuracy, mastery, reviews, newWords }
+ */
+export const buildProgressSeries = (days, windowDays, topicId = null, now = Date.now()) => {
+  const rollupFor = (key) => {
+    const day = days[key];
+    if (!day) return null;
+    return topicId == null ? day : (day.topics?.[topicId] || null);
+  };
+
+  const daysAgo = (n) => {
+    const date = new Date(now);
+    date.setDate(date.getDate() - n);
+    return date;
+  };
+
+  const startKey = toDayKey(daysAgo(windowDays - 1).getTime());
+
+  // Seed the carried mastery with the latest value recorded before the window
+  let lastMastery = null;
+  Object.keys(days)
+    .filter(key => key < startKey)
+    .sort()
+    .forEach(key => {
+      const rollup = rollupFor(key);
+      if (rollup && rollup.avgMastery != null) lastMastery = rollup.avgMastery;
+    });
+
+  const series = [];
+  for (let i = windowDays - 1; i >= 0; i--) {
+    const date = daysAgo(i);
+    const rollup = rollupFor(toDayKey(date.getTime()));
+
+    if (rollup && rollup.avgMastery != null) {
+      lastMastery = rollup.avgMastery;
+    }
+
+    const reviews = rollup?.reviews || 0;
+    series.push({
+      date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+      accuracy: reviews > 0 ? Math.round((rollup.correct / reviews) * 10000) / 100 : null,
+      mastery: lastMastery,
+      reviews,
+      newWords: rollup?.newWords || 0
+    });
+  }
+
+  return series;
+};
@@ -0,0 +1,62 @@
+/**
+ * Seeded Randomness
+ * A small seeded PRNG so a seed reproduces word selection and card dealing
+ * exactly (bug reports, tests, shared challenge boards). Everything that
+ * takes an `rng` falls back to Math.random when none is given.
+ */
+
+/**
+ * Random 32-bit seed for a fresh session
+ * @returns {number} Unsigned 32-bit integer
+ */
+export const randomSeed = () => Math.floor(Math.random() * 0x100000000);
+
+/**
+ * Turn any seed (number or string, e.g. 'daily-2026-10-19') into an
+ * unsigned 32-bit integer
+ * @param {number|string} seed - Seed
+ * @returns {number} Unsigned 32-bit integer
+ */
+export const normalizeSeed = (seed) => {
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+  // FNV-1a string hash
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - Seed
+ * @returns {Function} () => number in [0, 1), same sequence for the same seed
+ */
+export const createRng = (seed) => {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Fisher-Yates shuffle for proper randomization
+ * @param {Array} array - Array to shuffle (not modified)
+ * @param {Function} rng - Random number generator (default: Math.random)
+ * @returns {Array} Shuffled copy
+ */
+export const shuffle = (array, rng = Math.random) => {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
@@ -0,0 +1,66 @@
+/**
+ * FSRS Scheduler
+ *
+ * Wraps the FSRS memory model (../fsrs.js). Stability and difficulty are
+ * updated on every review and intervals grow to months.
+ *
+ * State: { stability, difficulty, due, lastReview, reps, lapses }
+ */
+
+import { updateMemoryState, personalRetrievability } from '../fsrs';
+import { legacyIntervalHours } from './heuristic';
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+const MS_PER_DAY = MS_PER_HOUR * 24;
+
+const fsrsScheduler = {
+  id: 'fsrs',
+  name: 'FSRS',
+  description: 'Memory model with per-word stability and difficulty. Intervals grow to months.',
+
+  // Words practiced before the memory model existed get an estimate from
+  // their counters, which is replaced by a real state on their next review
+  init: (word) => {
+    if (!word.lastPracticed) return null;
+
+    const totalAttempts = (word.correct || 0) + (word.wrong || 0);
+    const errorRate = totalAttempts > 0 ? (word.wrong || 0) / totalAttempts : 0.5;
+    const intervalMs = legacyIntervalHours(word) * MS_PER_HOUR;
+    return {
+      stability: Math.max(0.1, intervalMs / MS_PER_DAY),
+      difficulty: 1 + errorRate * 9,
+      due: word.lastPracticed + intervalMs,
+      lastReview: word.lastPracticed,
+      reps: totalAttempts,
+      lapses: 0,
+    };
+  },
+
+  onReview: (state, review) => updateMemoryState(state, review.rating, review.now),
+
+  isDue: (state, now = Date.now()) => !state || state.due <= now,
+
+  priority: (state, word, now = Date.now()) => {
+    if (!state) return 700; // New words: due, nothing remembered yet
+
+    const interval = Math.max(state.due - state.lastReview, 1);
+    const dueness = Math.max(0, (now - state.lastReview) / interval);
+    const retention = personalRetrievability((now - state.lastReview) / MS_PER_DAY, state.stability);
+    const masteryScore = word.masteryScore || 0;
+
+    // 1. Due-ness = high priority (40%), scaled up to twice the interval overdue
+    // 2. Low retention = high priority (30%)
+    // 3. High FSRS difficulty = high priority (20%)
+    // 4. Low mastery = high priority (10%)
+    const duePriority = dueness >= 1
+      ? 200 + Math.min(dueness - 1, 1) * 200 // 200-400 points once due
+      : dueness * 100; // 0-100 points while not yet due
+    const retentionPriority = (1 - retention) * 300;
+    const difficultyPriority = ((state.difficulty - 1) / 9) * 200;
+    const masteryPriority = (1 - masteryScore / 100) * 100;
+
+    return Math.round(duePriority + retentionPriority + difficultyPriority + masteryPriority);
+  },
+};
+
+export default fsrsScheduler;
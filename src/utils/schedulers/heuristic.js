@@ -0,0 +1,80 @@
+/**
+ * Heuristic Scheduler
+ *
+ * The original Recalla scheduler: intervals come from a fixed ladder
+ * indexed by consecutive correct answers and scaled by mastery (up to
+ * about 8 days), retention follows an exponential forgetting curve whose
+ * stability grows with mastery (1-48 hours).
+ *
+ * State: { due, lastReview }
+ */
+
+import { estimateDifficulty } from '../wordMetrics';
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+/**
+ * Hours until the next review, from consecutive correct answers and mastery
+ *
+ * @param {Object} word - The word object with learning stats
+ * @returns {number} - Interval in hours
+ */
+export const legacyIntervalHours = (word) => {
+  const consecutiveCorrect = word.consecutiveCorrect || 0;
+  const masteryScore = word.masteryScore || 0;
+
+  // Base intervals (in hours) for each repetition
+  const intervals = [0.1, 0.5, 1, 3, 8, 24, 48, 96]; // Up to 4 days
+
+  // Get interval based on consecutive correct answers
+  const interval = intervals[Math.min(consecutiveCorrect, intervals.length - 1)];
+
+  // Adjust based on mastery score
+  const masteryFactor = 0.5 + (masteryScore / 100) * 1.5; // 0.5 to 2.0
+  return interval * masteryFactor;
+};
+
+// Ebbinghaus curve R = e^(-t/S) with S = 1-48 hours depending on mastery
+const legacyRetention = (word, now) => {
+  if (!word.lastPracticed) return 0;
+  const hoursSinceLastPractice = (now - word.lastPracticed) / MS_PER_HOUR;
+  const stability = 1 + ((word.masteryScore || 0) / 100) * 47;
+  return Math.max(0, Math.min(1, Math.exp(-hoursSinceLastPractice / stability)));
+};
+
+const stateFromCounters = (word) => ({
+  due: word.lastPracticed + legacyIntervalHours(word) * MS_PER_HOUR,
+  lastReview: word.lastPracticed,
+});
+
+const heuristicScheduler = {
+  id: 'heuristic',
+  name: 'Recalla Classic',
+  description: 'The original heuristic: short intervals driven by streaks and mastery.',
+
+  init: (word) => (word.lastPracticed ? stateFromCounters(word) : null),
+
+  // The heuristic keeps no memory of its own; it re-reads the updated counters
+  onReview: (state, review, word) => stateFromCounters({ ...word, lastPracticed: review.now }),
+
+  isDue: (state, now = Date.now()) => !state || state.due <= now,
+
+  priority: (state, word, now = Date.now()) => {
+    const retention = legacyRetention(word, now);
+    const difficulty = estimateDifficulty(word);
+    const masteryScore = word.masteryScore || 0;
+
+    // 1. Low retention = high priority (40%)
+    // 2. High difficulty = high priority (30%)
+    // 3. Low mastery = high priority (20%)
+    // 4. Overdue for review = high priority (10%)
+    const retentionPriority = (1 - retention) * 400;
+    const difficultyPriority = (difficulty / 100) * 300;
+    const masteryPriority = (1 - masteryScore / 100) * 200;
+    const overduePriority = heuristicScheduler.isDue(state, now) ? 100 : 0;
+
+    return Math.round(retentionPriority + difficultyPriority + masteryPriority + overduePriority);
+  },
+};
+
+export default heuristicScheduler;
@@ -0,0 +1,99 @@
+/**
+ * Scheduler Registry
+ *
+ * Every scheduler implements the same contract:
+ *
+ *   id, name, description
+ *   init(word)                  -> state | null
+ *       Initial state for a word that has no state for this scheduler yet.
+ *       Returns null for never-practiced words.
+ *   onReview(state, review, word) -> state
+ *       New state after a review. `review` is { rating, isCorrect, now },
+ *       `word` already carries the updated counters.
+ *   isDue(state, now)           -> boolean
+ *   priority(state, word, now)  -> number (0-1000, higher = review sooner)
+ *
+ * By convention every state has `due` and `lastReview` timestamps.
+ *
+ * Each word keeps one state per scheduler in `word.scheduling[id]`, and all
+ * of them are updated on every review. Switching a topic to another
+ * algorithm therefore keeps its history, and algorithms can be compared
+ * on the same collection.
+ */
+
+import fsrsScheduler from './fsrs';
+import sm2Scheduler from './sm2';
+import leitnerScheduler from './leitner';
+import heuristicScheduler from './heuristic';
+import { Rating } from '../fsrs';
+
+export const SCHEDULERS = {
+  [fsrsScheduler.id]: fsrsScheduler,
+  [sm2Scheduler.id]: sm2Scheduler,
+  [leitnerScheduler.id]: leitnerScheduler,
+  [heuristicScheduler.id]: heuristicScheduler,
+};
+
+export const DEFAULT_SCHEDULER_ID = fsrsScheduler.id;
+
+/**
+ * Look up a scheduler by id, falling back to the default
+ *
+ * @param {string} id - Scheduler id
+ * @returns {Object} - Scheduler
+ */
+export const getScheduler = (id) => SCHEDULERS[id] || SCHEDULERS[DEFAULT_SCHEDULER_ID];
+
+/**
+ * Current state of a word for a scheduler
+ *
+ * @param {Object} word - The word object
+ * @param {Object} scheduler - Scheduler
+ * @returns {Object|null} - State, or null for never-practiced words
+ */
+export const getSchedulerState = (word, scheduler) =>
+  word.scheduling?.[scheduler.id] ?? scheduler.init(word);
+
+/**
+ * Update every scheduler's state for a review
+ *
+ * @param {Object} word - The word with its counters already updated
+ * @param {Object} review - { rating, isCorrect, now }
+ * @returns {Object} - New `scheduling` map for the word
+ */
+export const reviewWithAllSchedulers = (word, review) => {
+  const scheduling = {};
+  Object.values(SCHEDULERS).forEach((scheduler) => {
+    scheduling[scheduler.id] = scheduler.onReview(getSchedulerState(word, scheduler), review, word);
+  });
+  return scheduling;
+};
+
+/**
+ * Interval a scheduler would give after a review with this rating, e.g. to
+ * label self-grading buttons. Streak counters move as the review would move
+ * them; mastery is left as is, so counter-based schedulers are approximate.
+ *
+ * @param {Object} word - The word before the review
+ * @param {Object} scheduler - Scheduler
+ * @param {number} rating - One of Rating.*
+ * @param {number} now - Review time in ms
+ * @returns {number} - Time until the word would be due, in ms
+ */
+export const previewInterval = (word, scheduler, rating, now = Date.now()) => {
+  const isCorrect = rating !== Rating.AGAIN;
+  const updated = { ...word, consecutiveCorrect: isCorrect ? (word.consecutiveCorrect || 0) + 1 : 0 };
+  const state = scheduler.onReview(getSchedulerState(word, scheduler), { rating, isCorrect, now }, updated);
+  return Math.max(0, state.due - now);
+};
+
+/**
+ * Build a word -> scheduler resolver from the topics' chosen algorithms
+ *
+ * @param {Array} topics - Topic objects (with optional `schedulerId`)
+ * @returns {Function} - (word) => scheduler
+ */
+export const createSchedulerResolver = (topics) => {
+  const byTopic = new Map(topics.map((t) => [t.id, getScheduler(t.schedulerId)]));
+  return (word) => byTopic.get(word.topicId) || getScheduler(DEFAULT_SCHEDULER_ID);
+};
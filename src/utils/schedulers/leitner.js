@@ -0,0 +1,71 @@
+/**
+ * Leitner Scheduler
+ *
+ * Words move through numbered boxes. A correct answer promotes a word one
+ * box, a wrong answer sends it back to box 1. Each box has a fixed interval.
+ *
+ * State: { box (1-7), due, lastReview }
+ */
+
+import { Rating } from '../fsrs';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Review interval (days) for boxes 1..7
+export const LEITNER_BOX_INTERVALS = [1, 2, 4, 8, 16, 32, 64];
+
+const intervalForBox = (box) => LEITNER_BOX_INTERVALS[box - 1] * MS_PER_DAY;
+
+const leitnerScheduler = {
+  id: 'leitner',
+  name: 'Leitner Boxes',
+  description: `${LEITNER_BOX_INTERVALS.length} boxes. Right answers move a word up, wrong answers send it back to box 1.`,
+
+  init: (word) => {
+    if (!word.lastPracticed) return null;
+    const box = Math.min((word.consecutiveCorrect || 0) + 1, LEITNER_BOX_INTERVALS.length);
+    return {
+      box,
+      due: word.lastPracticed + intervalForBox(box),
+      lastReview: word.lastPracticed,
+    };
+  },
+
+  onReview: (state, review) => {
+    const { now } = review;
+
+    // Correct answers before the due date do not promote the word
+    if (state && review.rating !== Rating.AGAIN && now < state.due) {
+      return state;
+    }
+
+    let box;
+    if (review.rating === Rating.AGAIN) {
+      box = 1;
+    } else if (!state) {
+      box = review.rating === Rating.EASY ? 2 : 1;
+    } else {
+      box = Math.min(state.box + (review.rating === Rating.EASY ? 2 : 1), LEITNER_BOX_INTERVALS.length);
+    }
+
+    return {
+      box,
+      due: now + intervalForBox(box),
+      lastReview: now,
+    };
+  },
+
+  isDue: (state, now = Date.now()) => !state || state.due <= now,
+
+  priority: (state, word, now = Date.now()) => {
+    if (!state) return 700;
+
+    // Due words first, lower boxes before higher ones
+    const boxPriority = ((LEITNER_BOX_INTERVALS.length - state.box) / (LEITNER_BOX_INTERVALS.length - 1)) * 300;
+    const duePriority = state.due <= now ? 600 : 0;
+
+    return Math.round(duePriority + boxPriority);
+  },
+};
+
+export default leitnerScheduler;
@@ -0,0 +1,94 @@
+/**
+ * SM-2 Scheduler
+ *
+ * Classic SuperMemo 2: each word has an ease factor that shrinks with
+ * poor answers. Intervals go 1 day, 6 days, then multiply by the ease.
+ *
+ * State: { easeFactor, repetitions, interval (days), due, lastReview }
+ */
+
+import { Rating } from '../fsrs';
+import { legacyIntervalHours } from './heuristic';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+// SM-2 answer quality (0-5) for each grade
+const QUALITY = {
+  [Rating.AGAIN]: 1,
+  [Rating.HARD]: 3,
+  [Rating.GOOD]: 4,
+  [Rating.EASY]: 5,
+};
+
+const sm2Scheduler = {
+  id: 'sm2',
+  name: 'SM-2',
+  description: 'Classic SuperMemo 2 with an ease factor per word.',
+
+  init: (word) => {
+    if (!word.lastPracticed) return null;
+    const interval = Math.max(legacyIntervalHours(word) / 24, 0);
+    return {
+      easeFactor: DEFAULT_EASE,
+      repetitions: word.consecutiveCorrect || 0,
+      interval,
+      due: word.lastPracticed + interval * MS_PER_DAY,
+      lastReview: word.lastPracticed,
+    };
+  },
+
+  onReview: (state, review) => {
+    const { now } = review;
+    const quality = QUALITY[review.rating];
+    const previous = state || { easeFactor: DEFAULT_EASE, repetitions: 0, interval: 0, due: now, lastReview: now };
+
+    // Correct answers before the due date do not advance the schedule
+    if (state && quality >= 3 && now < state.due) {
+      return state;
+    }
+
+    const easeFactor = Math.max(
+      MIN_EASE,
+      previous.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    let repetitions;
+    let interval;
+    if (quality < 3) {
+      repetitions = 0;
+      interval = 1;
+    } else {
+      repetitions = previous.repetitions + 1;
+      if (repetitions === 1) interval = 1;
+      else if (repetitions === 2) interval = 6;
+      else interval = Math.round(Math.max(previous.interval, 1) * easeFactor);
+    }
+
+    return {
+      easeFactor: Math.round(easeFactor * 100) / 100,
+      repetitions,
+      interval,
+      due: now + interval * MS_PER_DAY,
+      lastReview: now,
+    };
+  },
+
+  isDue: (state, now = Date.now()) => !state || state.due <= now,
+
+  priority: (state, word, now = Date.now()) => {
+    if (!state) return 700;
+
+    const daysOverdue = (now - state.due) / MS_PER_DAY;
+    // Overdue words first, harder words (low ease) break ties
+    const duePriority = daysOverdue >= 0
+      ? 500 + Math.min(daysOverdue / Math.max(state.interval, 1), 1) * 300
+      : Math.max(0, 300 + daysOverdue * 50);
+    const easePriority = ((DEFAULT_EASE + 0.5 - state.easeFactor) / (DEFAULT_EASE + 0.5 - MIN_EASE)) * 200;
+
+    return Math.round(Math.max(0, Math.min(1000, duePriority + easePriority)));
+  },
+};
+
+export default sm2Scheduler;
@@ -0,0 +1,162 @@
+/**
+ * Pronunciation
+ *
+ * Reads words aloud with the browser's speechSynthesis. The voice is chosen
+ * from the topic's language: the learner's saved voice for that language if
+ * it is installed, else a voice for the exact locale, else any voice that
+ * speaks the language.
+ */
+
+export const SPEECH_LANGUAGES = [
+  { code: 'de-DE', name: 'German', nativeName: 'Deutsch' },
+  { code: 'en-GB', name: 'English', nativeName: 'English' },
+  { code: 'es-ES', name: 'Spanish', nativeName: 'Español' },
+  { code: 'fr-FR', name: 'French', nativeName: 'Français' },
+  { code: 'it-IT', name: 'Italian', nativeName: 'Italiano' },
+  { code: 'pt-PT', name: 'Portuguese', nativeName: 'Português' },
+  { code: 'nl-NL', name: 'Dutch', nativeName: 'Nederlands' },
+  { code: 'sv-SE', name: 'Swedish', nativeName: 'Svenska' },
+  { code: 'pl-PL', name: 'Polish', nativeName: 'Polski' },
+  { code: 'ru-RU', name: 'Russian', nativeName: 'Русский' },
+  { code: 'tr-TR', name: 'Turkish', nativeName: 'Türkçe' },
+  { code: 'ja-JP', name: 'Japanese', nativeName: '日本語' },
+  { code: 'zh-CN', name: 'Chinese', nativeName: '中文' },
+  { code: 'ko-KR', name: 'Korean', nativeName: '한국어' },
+];
+
+// Most content in the app is German (see data/germanVocabulary.js)
+export const DEFAULT_SPEECH_LANGUAGE = 'de-DE';
+
+export const SPEECH_RATES = [0.5, 0.75, 1, 1.25];
+export const DEFAULT_SPEECH_RATE = 1;
+
+const normalizeLocale = (language = '') => language.replace('_', '-').toLowerCase();
+
+const primarySubtag = (language) => normalizeLocale(language).split('-')[0];
+
+/**
+ * Whether this browser can speak
+ *
+ * @returns {boolean}
+ */
+export const isSpeechSupported = () =>
+  typeof window !== 'undefined' &&
+  'speechSynthesis' in window &&
+  typeof window.SpeechSynthesisUtterance !== 'undefined';
+
+/**
+ * Language a topic's words are spoken in: the topic's own setting, or
+ * guessed from a language named in the topic's name
+ *
+ * @param {Object} topic - Topic object
+ * @returns {string} - BCP 47 language tag, e.g. 'de-DE'
+ */
+export const getTopicLanguage = (topic) => {
+  if (topic?.language) return topic.language;
+  const name = (topic?.name || '').toLowerCase();
+  const named = SPEECH_LANGUAGES.find(({ name: english, nativeName }) =>
+    name.includes(english.toLowerCase()) || name.includes(nativeName.toLowerCase())
+  );
+  return named?.code || DEFAULT_SPEECH_LANGUAGE;
+};
+
+/**
+ * English name of a language tag
+ *
+ * @param {string} language - BCP 47 language tag
+ * @returns {string}
+ */
+export const getLanguageName = (language) =>
+  SPEECH_LANGUAGES.find(({ code }) => primarySubtag(code) === primarySubtag(language))?.name || language;
+
+/**
+ * Installed voices that speak a language, exact locale matches first
+ *
+ * @param {Array} voices - SpeechSynthesisVoice list
+ * @param {string} language - BCP 47 language tag
+ * @returns {Array} - Matching voices
+ */
+export const getVoicesForLanguage = (voices, language) => {
+  const locale = normalizeLocale(language);
+  return voices
+    .filter(voice => primarySubtag(voice.lang) === primarySubtag(language))
+    .sort((a, b) => (normalizeLocale(b.lang) === locale) - (normalizeLocale(a.lang) === locale));
+};
+
+/**
+ * Voice to read a language with
+ *
+ * @param {Array} voices - SpeechSynthesisVoice list
+ * @param {string} language - BCP 47 language tag
+ * @param {string} voiceURI - Preferred voice, if the learner picked one
+ * @returns {SpeechSynthesisVoice|null}
+ */
+export const pickVoice = (voices, language, voiceURI) => {
+  const candidates = getVoicesForLanguage(voices, language);
+  return candidates.find(voice => voice.voiceURI === voiceURI) || candidates[0] || null;
+};
+
+/**
+ * Installed voices. Browsers load them asynchronously, so this can be empty
+ * until the first 'voiceschanged' event (see onVoicesChanged)
+ *
+ * @returns {Array} - SpeechSynthesisVoice list
+ */
+export const getVoices = () => (isSpeechSupported() ? window.speechSynthesis.getVoices() : []);
+
+/**
+ * Subscribe to the voice list loading or changing
+ *
+ * @param {Function} callback - Called with the new voice list
+ * @returns {Function} - Unsubscribe
+ */
+export const onVoicesChanged = (callback) => {
+  if (!isSpeechSupported()) return () => {};
+  const handleChange = () => callback(getVoices());
+  window.speechSynthesis.addEventListener('voiceschanged', handleChange);
+  return () => window.speechSynthesis.removeEventListener('voiceschanged', handleChange);
+};
+
+/**
+ * Text worth reading aloud: hints in parentheses, e.g. a plural ending,
+ * are left out
+ *
+ * @param {string} text - Word as stored
+ * @returns {string}
+ */
+export const speakableText = (text = '') => text.replace(/\([^)]*\)/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Read text aloud, interrupting anything still being spoken
+ *
+ * @param {string} text - Text to speak
+ * @param {Object} options - { language, voiceURI, rate }
+ * @returns {boolean} - Whether speech was started
+ */
+export const speak = (text, { language = DEFAULT_SPEECH_LANGUAGE, voiceURI, rate = DEFAULT_SPEECH_RATE } = {}) => {
+  const spoken = speakableText(text);
+  if (!isSpeechSupported() || !spoken) return false;
+
+  try {
+    const synth = window.speechSynthesis;
+    synth.cancel();
+    const utterance = new window.SpeechSynthesisUtterance(spoken);
+    utterance.lang = language;
+    utterance.rate = rate;
+    const voice = pickVoice(synth.getVoices(), language, voiceURI);
+    if (voice) utterance.voice = voice;
+    synth.speak(utterance);
+    return true;
+  } catch (error) {
+    // Silently fail like haptics: pronunciation is never essential
+    console.debug('Speech synthesis not available:', error);
+    return false;
+  }
+};
+
+/**
+ * Stop speaking
+ */
+export const stopSpeaking = () => {
+  if (isSpeechSupported()) window.speechSynthesis.cancel();
+};
@@ -0,0 +1,73 @@
+/**
+ * Word Metrics
+ * Scores derived from the aggregate counters stored on each word.
+ * Shared by the word selector and the schedulers.
+ */
+
+/**
+ * Estimate the difficulty of a word based on user performance
+ * 
+ * @param {Object} word - The word object with learning stats
+ * @returns {number} - Difficulty score (0-100, higher = more difficult)
+ */
+export const estimateDifficulty = (word) => {
+  const totalAttempts = (word.correct || 0) + (word.wrong || 0);
+  
+  if (totalAttempts === 0) {
+    return 50; // Unknown difficulty
+  }
+  
+  const errorRate = (word.wrong || 0) / totalAttempts;
+  
+  // Check for recent failures (if currently on a wrong streak)
+  const recentFailureBoost = (word.consecutiveCorrect === 0 && (word.wrong || 0) > 0) ? 30 : 0;
+  
+  // Difficulty factors:
+  // 1. Error rate (70% weight)
+  // 2. Recent failures (30% boost)
+  const difficulty = (errorRate * 70) + recentFailureBoost;
+  
+  return Math.round(Math.max(0, Math.min(100, difficulty)));
+};
+
+const MASTERY_CONSECUTIVE_THRESHOLD = 5;
+const MASTERY_PRACTICE_THRESHOLD = 20;
+const MASTERY_MIN_PRACTICE_THRESHOLD = 5;
+
+/**
+ * Mastery score from answer counters
+ * Accuracy (60%), current streak (30%) and amount of practice (10%), scaled
+ * down while a word has fewer than 5 attempts.
+ *
+ * @param {Object} counters - { correct, wrong, consecutiveCorrect }
+ * @returns {number} - Mastery score (0-100)
+ */
+export const calculateMasteryScore = ({ correct = 0, wrong = 0, consecutiveCorrect = 0 }) => {
+  const totalAttempts = correct + wrong;
+  const accuracy = totalAttempts > 0 ? (correct / totalAttempts) : 0;
+  const consecutiveBonus = Math.min(consecutiveCorrect / MASTERY_CONSECUTIVE_THRESHOLD, 1);
+  const practiceBonus = Math.min(totalAttempts / MASTERY_PRACTICE_THRESHOLD, 1);
+
+  const practicePenalty = totalAttempts < MASTERY_MIN_PRACTICE_THRESHOLD ? (totalAttempts / MASTERY_MIN_PRACTICE_THRESHOLD) : 1;
+
+  return Math.round(
+    (accuracy * 60 + consecutiveBonus * 30 + practiceBonus * 10) * practicePenalty
+  );
+};
+
+/**
+ * Counters after an answer, with their mastery score. Used for the counters
+ * kept per direction and per grammar attribute.
+ *
+ * @param {Object} counters - { correct, wrong, consecutiveCorrect }
+ * @param {boolean} isCorrect - Whether the answer was right
+ * @returns {Object} - { correct, wrong, consecutiveCorrect, masteryScore }
+ */
+export const nextAnswerCounters = ({ correct = 0, wrong = 0, consecutiveCorrect = 0 }, isCorrect) => {
+  const counters = {
+    correct: correct + (isCorrect ? 1 : 0),
+    wrong: wrong + (isCorrect ? 0 : 1),
+    consecutiveCorrect: isCorrect ? consecutiveCorrect + 1 : 0,
+  };
+  return { ...counters, masteryScore: calculateMasteryScore(counters) };
+};
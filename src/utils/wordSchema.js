@@ -0,0 +1,173 @@
+/**
+ * Word Schema
+ * Besides its stats, a word (schema version 2) describes itself with:
+ *
+ *   partOfSpeech - 'noun', 'verb', ... or null when not given
+ *   meanings     - its senses, e.g. ['reason', 'ground']
+ *   examples     - [{ text, translation }] sentences using the word
+ *   notes        - free-form notes
+ *   source       - where the word was picked up (a book, a course, a link)
+ *
+ * Words may also carry `tags`, lowercase labels for curating a collection
+ * ("a1", "false-friend"). They are optional and not part of the version.
+ *
+ * `meaning` stays as all senses in one string ("reason / ground"). It is
+ * what the games show and compare, and it is kept in sync with `meanings`
+ * by applyWordUpdates. Version 1 words only had `meaning`; migrateWord
+ * splits it into senses. Mnemonics stay in `mnemonic` (edited with the
+ * rest of the word in the word editor) and German noun grammar in its own
+ * fields (see ./germanNouns.js).
+ */
+
+export const WORD_SCHEMA_VERSION = 2;
+
+export const PARTS_OF_SPEECH = [
+  'noun',
+  'verb',
+  'adjective',
+  'adverb',
+  'pronoun',
+  'preposition',
+  'conjunction',
+  'phrase',
+];
+
+export const PART_OF_SPEECH_ABBREVIATIONS = {
+  noun: 'n.',
+  verb: 'v.',
+  adjective: 'adj.',
+  adverb: 'adv.',
+  pronoun: 'pron.',
+  preposition: 'prep.',
+  conjunction: 'conj.',
+  phrase: 'phr.',
+};
+
+// Limits for the optional fields
+export const MAX_MEANINGS = 5;
+export const MAX_EXAMPLES = 3;
+export const MAX_EXAMPLE_LENGTH = 200;
+export const MAX_NOTES_LENGTH = 500;
+export const MAX_SOURCE_LENGTH = 100;
+export const MAX_MNEMONIC_LENGTH = 200;
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Senses crammed into one meaning string ("to act/trade" → to act, trade).
+ * Commas are kept, since "big, large" usually spells out a single sense.
+ *
+ * @param {string} meaning - Meaning as stored in version 1
+ * @returns {Array<string>} - Trimmed, non-empty senses
+ */
+export const splitMeanings = (meaning = '') => meaning
+  .split(/[/;]/)
+  .map((sense) => sense.trim())
+  .filter(Boolean);
+
+/**
+ * All senses in one string, for `meaning`
+ *
+ * @param {Array<string>} meanings - Senses
+ * @returns {string}
+ */
+export const joinMeanings = (meanings = []) => meanings
+  .map((sense) => sense.trim())
+  .filter(Boolean)
+  .join(' / ');
+
+/**
+ * A word's senses, also for words that haven't been migrated
+ *
+ * @param {Object} word - Word object
+ * @returns {Array<string>}
+ */
+export const getMeanings = (word) => (
+  word.meanings?.length ? word.meanings : splitMeanings(word.meaning)
+);
+
+/**
+ * Examples with their text trimmed; examples without a sentence are dropped
+ *
+ * @param {Array} examples - [{ text, translation }]
+ * @returns {Array} - [{ text, translation }]
+ */
+export const cleanExamples = (examples = []) => examples
+  .map((example) => ({
+    text: (example?.text || '').trim(),
+    translation: (example?.translation || '').trim(),
+  }))
+  .filter((example) => example.text)
+  .slice(0, MAX_EXAMPLES);
+
+/**
+ * Bring a word up to the current schema. Safe to call on current words.
+ *
+ * @param {Object} word - Word object of any schema version
+ * @returns {Object} - Word object with every field of the current schema
+ */
+export const migrateWord = (word) => {
+  if (word.schemaVersion >= WORD_SCHEMA_VERSION) return word;
+  return {
+    ...word,
+    // Nouns with a stored gender (see ./germanNouns.js) are known to be nouns
+    partOfSpeech: word.partOfSpeech ?? (word.gender ? 'noun' : null),
+    meanings: getMeanings(word),
+    examples: cleanExamples(word.examples),
+    notes: word.notes ?? '',
+    source: word.source ?? '',
+    schemaVersion: WORD_SCHEMA_VERSION,
+  };
+};
+
+/**
+ * Apply edits to a word, keeping `meaning` and `meanings` in sync
+ *
+ * @param {Object} word - Current word
+ * @param {Object} updates - Changed fields; `meanings` wins over `meaning`
+ * @returns {Object} - Updated word
+ */
+export const applyWordUpdates = (word, updates) => {
+  const updated = { ...word, ...updates };
+  if (updates.meanings) {
+    updated.meanings = updates.meanings.map((sense) => sense.trim()).filter(Boolean);
+    updated.meaning = joinMeanings(updated.meanings);
+  } else if (updates.meaning !== undefined) {
+    updated.meanings = splitMeanings(updates.meaning);
+  }
+  if (updates.examples) updated.examples = cleanExamples(updates.examples);
+  return updated;
+};
+
+/**
+ * The optional schema fields from a form, trimmed
+ *
+ * @param {Object} input - { partOfSpeech, examples, notes, source }
+ * @returns {Object} - Fields to store
+ */
+export const buildWordDetails = ({ partOfSpeech = '', examples = [], notes = '', source = '' } = {}) => ({
+  partOfSpeech: PARTS_OF_SPEECH.includes(partOfSpeech) ? partOfSpeech : null,
+  examples: cleanExamples(examples),
+  notes: notes.trim(),
+  source: source.trim(),
+});
+
+/**
+ * A tag as stored: lowercase, without a leading "#", words joined by "-"
+ *
+ * @param {string} tag - Tag as typed
+ * @returns {string} - Stored tag, or '' when nothing is left
+ */
+export const normalizeTag = (tag = '') => tag
+  .trim()
+  .replace(/^#+/, '')
+  .toLowerCase()
+  .replace(/\s+/g, '-')
+  .slice(0, MAX_TAG_LENGTH);
+
+/**
+ * A word's tags, also for words without any
+ *
+ * @param {Object} word - Word object
+ * @returns {Array<string>}
+ */
+export const getTags = (word) => word.tags || [];
@@ -0,0 +1,60 @@
+/**
+ * Word Validation
+ * Shared checks for adding and editing words
+ */
+
+import { checkAnswer } from './answerChecker';
+
+// Character limits
+export const MAX_WORD_LENGTH = 50;
+export const MAX_MEANING_LENGTH = 60;
+
+/**
+ * Validate a word and its meaning
+ *
+ * @param {Object} input - { word, meaning } or { word, meanings } for a word
+ *   with several senses (each sense has the meaning's limit)
+ * @param {Array} words - Existing words, for the duplicate check
+ * @param {Object} options - { topicId, excludeId }: a word may appear once
+ *   per topic, so only words of `topicId` count as duplicates; `excludeId`
+ *   skips the word being edited
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateWordInput = ({ word, meaning, meanings }, words, options = {}) => {
+  const { topicId = null, excludeId = null } = options;
+  const trimmedWord = (word || '').trim();
+  const trimmedMeanings = (meanings || [meaning]).map(m => (m || '').trim()).filter(Boolean);
+
+  if (!trimmedWord || trimmedMeanings.length === 0) {
+    return 'Please fill in both fields';
+  }
+
+  if (trimmedWord.length > MAX_WORD_LENGTH) {
+    return `Word must be ${MAX_WORD_LENGTH} characters or less`;
+  }
+
+  if (trimmedMeanings.some(m => m.length > MAX_MEANING_LENGTH)) {
+    return `Meaning must be ${MAX_MEANING_LENGTH} characters or less`;
+  }
+
+  if (words.some(w => w.id !== excludeId && w.topicId === topicId && w.word.toLowerCase() === trimmedWord.toLowerCase())) {
+    return 'This word is already in this topic!';
+  }
+
+  return null;
+};
+
+/**
+ * Whether an edited meaning is a different meaning rather than a fix.
+ * Typo fixes, added senses and rewording that keeps one of the old senses
+ * aren't; the progress made on the old meaning would still count.
+ *
+ * @param {string} previousMeaning - Meaning before the edit
+ * @param {Array<string>} meanings - Senses after the edit
+ * @returns {boolean}
+ */
+export const isSubstantialMeaningChange = (previousMeaning, meanings) => {
+  const senses = meanings.map(m => m.trim()).filter(Boolean);
+  if (!previousMeaning || senses.length === 0) return false;
+  return !senses.some(sense => checkAnswer(sense, previousMeaning).isCorrect);
+};